@@ -15,28 +15,30 @@ let allDraws = [];
 // API HELPERS
 // =====================================================
 
-async function fetchAPI(table, params = {}) {
-  const url = new URL(`${API_BASE}/${table}`, window.location.origin);
-  
-  // Add query params
-  if (params.select) url.searchParams.set('select', params.select);
-  if (params.order) url.searchParams.set('order', params.order);
-  if (params.limit) url.searchParams.set('limit', params.limit);
-  if (params.filter) {
-    Object.entries(params.filter).forEach(([key, val]) => {
-      url.searchParams.set(key, `eq.${val}`);
-    });
-  }
+/**
+ * Read one page of a server resource (/api/draws, /api/draw-types...)
+ * params: fields, order, limit, offset and the resource's filters (type...)
+ */
+async function fetchAPI(resource, params = {}) {
+  const url = new URL(`${API_BASE}/${resource}`, window.location.origin);
   
-  const headers = {};
-  if (params.count) headers['Prefer'] = 'count=exact';
+  Object.entries(params).forEach(([key, val]) => {
+    if (val !== undefined && val !== null) url.searchParams.set(key, val);
+  });
   
-  const res = await fetch(url, { headers });
-  const data = await res.json();
+  const res = await fetch(url);
+  const body = await res.json();
+  
+  if (!res.ok) {
+    return { data: [], count: null, error: body.error || res.statusText };
+  }
+  
+  // Rows come under the resource name: draw-types -> drawTypes
+  const key = resource.replace(/-(\w)/g, (_, c) => c.toUpperCase());
   
   return {
-    data: Array.isArray(data) ? data : [],
-    count: params.count ? parseInt(res.headers.get('content-range')?.split('/')[1] || data.length) : null,
+    data: body[key] || [],
+    count: body.total,
     error: null
   };
 }
@@ -143,7 +145,7 @@ async function handleRefreshData() {
   
   try {
     // Trigger server-side refresh
-    const res = await fetch('/refresh', { method: 'POST' });
+    const res = await authFetch('/refresh', { method: 'POST' });
     const result = await res.json();
     
     if (!result.success) {
@@ -193,9 +195,10 @@ async function handleRefreshData() {
 // =====================================================
 
 async function loadDrawTypes() {
-  const { data, error } = await fetchAPI('draw_types', {
-    select: 'id,name,category',
-    order: 'name.asc'
+  const { data, error } = await fetchAPI('draw-types', {
+    fields: 'id,name,category',
+    order: 'name.asc',
+    limit: 500
   });
   
   if (error || !data) {
@@ -322,9 +325,8 @@ async function loadDrawTypes() {
 async function loadHeaderStats() {
   // Total draws - optimized count
   const { count } = await fetchAPI('draws', {
-    select: 'id',
-    count: true,
-    limit: 1 // We just want the count header
+    fields: 'id',
+    limit: 1 // We just want the total
   });
   
   // Total types
@@ -332,13 +334,13 @@ async function loadHeaderStats() {
   
   // Date range (light query)
   const { data: latest } = await fetchAPI('draws', {
-    select: 'draw_date',
+    fields: 'draw_date',
     order: 'draw_date.desc',
     limit: 1
   });
   
   const { data: oldest } = await fetchAPI('draws', {
-    select: 'draw_date',
+    fields: 'draw_date',
     order: 'draw_date.asc',
     limit: 1
   });
@@ -358,13 +360,13 @@ async function loadAllData() {
   
   // 1. Fetch data (Optimized: limit to 2000 recent draws for UI performance)
   let params = {
-    select: 'winning_number_1,winning_number_2,winning_number_3,winning_number_4,winning_number_5,draw_date,draw_type_id,day_of_week,machine_number_1,machine_number_2,machine_number_3,machine_number_4,machine_number_5',
+    fields: 'winning_number_1,winning_number_2,winning_number_3,winning_number_4,winning_number_5,draw_date,draw_type_id,day_of_week,machine_number_1,machine_number_2,machine_number_3,machine_number_4,machine_number_5',
     order: 'draw_date.desc',
     limit: 2000 
   };
   
   if (selectedDrawType !== 'all') {
-    params.filter = { draw_type_id: selectedDrawType };
+    params.type = selectedDrawType;
   }
   
   const { data, error } = await fetchAPI('draws', params);
@@ -834,24 +836,15 @@ async function updateRecentDraws() {
 // PREDICTIONS & ALERTS
 // =====================================================
 
-const PREDICTION_WEIGHTS = {
-  hotNumber: 0.25,
-  coldNumber: 0.15,
-  overdueNumber: 0.20,
-  dayOfWeek: 0.15,
-  positionFreq: 0.10,
-  pairs: 0.10,
-  sumRange: 0.05
-};
-
-function calculateNumberScores(draws) {
-  const scores = {};
+/**
+ * Frequency and last appearance of every number (draws newest first)
+ */
+function calculateNumberStats(draws) {
   const freq = {};
   const lastSeen = {};
   
   // Initialize
   for (let i = 1; i <= 90; i++) {
-    scores[i] = 0;
     freq[i] = 0;
     lastSeen[i] = { date: null, days: 9999 };
   }
@@ -874,31 +867,38 @@ function calculateNumberScores(draws) {
     }
   }
   
-  const maxFreq = Math.max(...Object.values(freq));
-  const minFreq = Math.min(...Object.values(freq));
-  const validDays = Object.values(lastSeen).filter(l => l.days < 9999);
-  const maxDays = validDays.length ? Math.max(...validDays.map(l => l.days)) : 1;
+  return { freq, lastSeen };
+}
+
+/**
+ * Ensemble scores of the server's strategies for the selected type and
+ * today, scaled to 0-100 (best number = 100), with the calibrated hit
+ * probability of each number
+ * @returns {Promise<{scores, probabilities, calibrated, randomExpectedHits}>}
+ */
+async function fetchNumberScores() {
+  const params = new URLSearchParams({ day: new Date().getDay() });
+  if (selectedDrawType !== 'all') params.append('type', selectedDrawType);
   
-  // Score each number
-  for (let num = 1; num <= 90; num++) {
-    // Hot number score
-    const hotScore = maxFreq > 0 ? (freq[num] / maxFreq) * PREDICTION_WEIGHTS.hotNumber * 100 : 0;
-    
-    // Cold number score (contrarian)
-    const coldScore = maxFreq > minFreq ? 
-      ((maxFreq - freq[num]) / (maxFreq - minFreq)) * PREDICTION_WEIGHTS.coldNumber * 100 : 0;
-    
-    // Overdue score
-    const overdueScore = maxDays > 0 && lastSeen[num].days < 9999 ? 
-      (lastSeen[num].days / maxDays) * PREDICTION_WEIGHTS.overdueNumber * 100 : 0;
-    
-    scores[num] = hotScore + coldScore + overdueScore;
-  }
+  const res = await fetch(`/api/strategies?${params.toString()}`);
+  const data = await res.json();
+  if (data.error) throw new Error(data.error);
   
-  return { scores, freq, lastSeen };
+  const best = data.scores[0]?.score || 0;
+  const scores = {};
+  const probabilities = {};
+  for (const { number, score, probability } of data.scores) {
+    scores[number] = best > 0 ? (score / best) * 100 : 0;
+    probabilities[number] = probability;
+  }
+  return { scores, probabilities, calibrated: data.calibrated, randomExpectedHits: data.randomExpectedHits };
 }
 
-function generatePrediction(scores, draws) {
+/**
+ * Three tickets drawn from the ranked numbers, best expected hits first
+ * @param {Object} numberScores - From fetchNumberScores()
+ */
+function generatePrediction({ scores, probabilities }, draws) {
   // Calculate sum stats
   const sums = draws.map(d => 
     (d.winning_number_1 || 0) + (d.winning_number_2 || 0) + (d.winning_number_3 || 0) +
@@ -936,13 +936,14 @@ function generatePrediction(scores, draws) {
       // Check sum is in acceptable range
       const sum = selected.reduce((a, b) => a + b, 0);
       if (sum >= q1 && sum <= q3) {
-        const avgScore = selected.reduce((acc, num) => acc + scores[num], 0) / 5;
-        const confidence = Math.min(95, Math.max(15, avgScore * 2));
+        // Calibrated odds, as on the server: expected hits and average probability per number
+        const expectedHits = selected.reduce((acc, num) => acc + (probabilities[num] || 0), 0);
         
         predictions.push({
           numbers: selected,
           sum,
-          confidence: parseFloat(confidence.toFixed(1)),
+          expectedHits: parseFloat(expectedHits.toFixed(3)),
+          confidence: parseFloat((expectedHits / 5 * 100).toFixed(1)),
           strategy
         });
         break;
@@ -951,7 +952,7 @@ function generatePrediction(scores, draws) {
     }
   }
   
-  return predictions.sort((a, b) => b.confidence - a.confidence);
+  return predictions.sort((a, b) => b.expectedHits - a.expectedHits);
 }
 
 function generateAlerts(draws, lastSeen, freq) {
@@ -1183,9 +1184,14 @@ function renderMainPrediction(container, main, machine, hybrid, context = {}, la
           <span class="meta-value">${pred.sum}</span>
         </div>
         <div class="meta-item">
-          <span class="meta-label">Confiance</span>
+          <span class="meta-label">Proba. / numéro</span>
           <span class="meta-value confidence" style="color: ${color};">${pred.confidence}%</span>
         </div>
+        ${pred.expectedHits != null ? `
+        <div class="meta-item">
+          <span class="meta-label">Bons attendus</span>
+          <span class="meta-value">${pred.expectedHits} <small style="color: #64748b;">(hasard 0.28)</small></span>
+        </div>` : ''}
         ${extraInfo}
       </div>
     `;
@@ -1363,8 +1369,18 @@ async function updatePredictions() {
     return;
   }
   
-  const { scores, freq, lastSeen } = calculateNumberScores(allDraws);
-  const predictions = generatePrediction(scores, allDraws);
+  let numberScores;
+  try {
+    numberScores = await fetchNumberScores();
+  } catch (e) {
+    console.error('Error loading strategy scores:', e);
+    container.innerHTML = '<p>Scores des stratégies indisponibles</p>';
+    return;
+  }
+  
+  const { freq, lastSeen } = calculateNumberStats(allDraws);
+  const predictions = generatePrediction(numberScores, allDraws);
+  const { calibrated, randomExpectedHits } = numberScores;
   
   const strategyIcons = {
     hot: '🔥',
@@ -1379,7 +1395,9 @@ async function updatePredictions() {
   };
   
   container.innerHTML = predictions.map((pred, index) => {
-    const confidenceClass = pred.confidence >= 70 ? 'high' : pred.confidence >= 40 ? 'medium' : 'low';
+    // Compared with a random ticket
+    const lift = pred.expectedHits / randomExpectedHits;
+    const confidenceClass = lift >= 1.2 ? 'high' : lift >= 1.0 ? 'medium' : 'low';
     const isTop = index === 0;
     
     return `
@@ -1392,8 +1410,8 @@ async function updatePredictions() {
           ${pred.numbers.map(n => `<span class="prediction-number">${n}</span>`).join('')}
         </div>
         <div class="prediction-meta">
-          <span class="confidence-badge ${confidenceClass}">
-            ⭐ ${pred.confidence}%
+          <span class="confidence-badge ${confidenceClass}" title="${pred.confidence}% par numéro${calibrated ? '' : ' (non calibré)'}">
+            🎯 ${pred.expectedHits} bons attendus <small>(hasard ${randomExpectedHits})</small>
           </span>
           <span class="prediction-sum">Σ ${pred.sum}</span>
         </div>
@@ -1409,7 +1427,7 @@ async function updateAlerts(lastSeen, freq) {
   const container = document.getElementById('alertsList');
   
   if (!lastSeen || !freq) {
-    const result = calculateNumberScores(allDraws);
+    const result = calculateNumberStats(allDraws);
     lastSeen = result.lastSeen;
     freq = result.freq;
   }
@@ -1499,7 +1517,7 @@ async function handleEvaluate() {
     const drawTypeId = document.getElementById('drawTypeSelect').value;
     
     // Call API
-    const response = await fetch('/evaluate', {
+    const response = await authFetch('/evaluate', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({ 
@@ -1515,6 +1533,8 @@ async function handleEvaluate() {
     
     // Construct Result HTML
     const verdictClass = `verdict-${result.recommendation.toLowerCase()}`;
+    const lift = result.expectedHits / result.randomExpectedHits;
+    const liftColor = lift >= 1.2 ? '#22c55e' : lift >= 1.0 ? '#3b82f6' : '#ef4444';
     const matchClass = result.matches > 3 ? '#22c55e' : result.matches > 1 ? '#3b82f6' : '#ef4444';
     
     // Tactical Analysis
@@ -1529,10 +1549,11 @@ async function handleEvaluate() {
     const html = `
       <div class="result-header">
         <div>
-          <div class="detail-label">SCORE IA</div>
-          <div class="result-score" style="color: ${result.confidence > 70 ? '#22c55e' : result.confidence > 50 ? '#3b82f6' : '#ef4444'}">
-            ${result.confidence}/100
+          <div class="detail-label">BONS ATTENDUS${result.calibrated ? '' : ' (NON CALIBRÉ)'}</div>
+          <div class="result-score" style="color: ${liftColor}">
+            ${result.expectedHits}<span style="font-size: 0.5em; color: #64748b;"> / hasard ${result.randomExpectedHits}</span>
           </div>
+          <div class="detail-label">${result.confidence}% par numéro</div>
         </div>
         <div class="result-verdict ${verdictClass}">
           ${result.recommendation}
@@ -1764,13 +1785,8 @@ async function loadBrainStatus() {
     // 1. Update Weights
     container.innerHTML = '';
     
-    const strategyNames = {
-      hot: 'Numéros Chauds 🔥',
-      due: 'Numéros Dus ⏰',
-      correlation: 'Corrélations 🔗',
-      position: 'Position 📍',
-      balanced: 'Équilibre ⚖️'
-    };
+    // Labels from the strategy registry
+    const strategyNames = Object.fromEntries((brain.strategies || []).map(s => [s.key, `${s.label} ${s.icon}`]));
     
     // Sort by weight desc
     const sortedWeights = Object.entries(brain.weights).sort((a,b) => b[1] - a[1]);
@@ -0,0 +1,78 @@
+// Dashboard Authentication
+// The API key of the signed-in user is kept in localStorage and sent with the
+// requests that need a role (see src/auth.js). Without a key the visitor is a
+// viewer. Elements with data-role="analyst|admin" only show for that role.
+
+const API_KEY_STORAGE = 'lotto_api_key';
+const ROLE_ORDER = ['viewer', 'analyst', 'admin'];
+
+let currentUser = { name: null, role: 'viewer', authenticated: false };
+
+/**
+ * fetch() with the stored API key
+ */
+function authFetch(url, options = {}) {
+  const key = localStorage.getItem(API_KEY_STORAGE);
+  if (!key) return fetch(url, options);
+  return fetch(url, { ...options, headers: { ...(options.headers || {}), Authorization: `Bearer ${key}` } });
+}
+
+function hasRole(role) {
+  return ROLE_ORDER.indexOf(currentUser.role) >= ROLE_ORDER.indexOf(role);
+}
+
+/**
+ * Current user from /api/me (a rejected key is forgotten)
+ */
+async function loadSession() {
+  try {
+    const res = await authFetch('/api/me');
+    if (res.status === 401) {
+      localStorage.removeItem(API_KEY_STORAGE);
+      return loadSession();
+    }
+    currentUser = await res.json();
+  } catch (e) {
+    console.error('Error loading session:', e);
+    currentUser = { name: null, role: 'viewer', authenticated: false };
+  }
+
+  document.querySelectorAll('[data-role]').forEach(el => {
+    el.style.display = hasRole(el.dataset.role) ? '' : 'none';
+  });
+  renderAuthControls();
+  document.dispatchEvent(new CustomEvent('authchange', { detail: currentUser }));
+  return currentUser;
+}
+
+function renderAuthControls() {
+  const container = document.getElementById('authControls');
+  if (!container) return;
+
+  if (currentUser.authenticated) {
+    container.innerHTML = `
+      <span class="auth-user" title="Rôle: ${currentUser.role}">👤 ${currentUser.name} · ${currentUser.role}</span>
+      <button class="auth-btn" id="logoutBtn">Déconnexion</button>
+    `;
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+      localStorage.removeItem(API_KEY_STORAGE);
+      loadSession();
+    });
+  } else {
+    container.innerHTML = '<button class="auth-btn" id="loginBtn" title="Se connecter avec une clé API">🔑 Connexion</button>';
+    document.getElementById('loginBtn').addEventListener('click', login);
+  }
+}
+
+async function login() {
+  const key = prompt('Clé API (npm run users -- add <nom> --role <rôle>)');
+  if (!key) return;
+
+  localStorage.setItem(API_KEY_STORAGE, key.trim());
+  const user = await loadSession();
+  if (!user.authenticated) alert('Clé API invalide.');
+}
+
+const sessionReady = new Promise(resolve => {
+  document.addEventListener('DOMContentLoaded', () => resolve(loadSession()));
+});
@@ -3,6 +3,9 @@
 let drawTypes = [];
 let recentHistory = []; // Global store for filtering
 let currentBet = 200; // Default bet amount
+let betTypes = []; // Bet types and payouts from /api/game-rules
+let currentBetType = 'cinq';
+let bankrollRequestId = 0;
 
 document.addEventListener('DOMContentLoaded', () => {
     loadBrainData();
@@ -11,12 +14,22 @@ document.addEventListener('DOMContentLoaded', () => {
     loadCompletedDraws(); // New: Load completed draws for today
     initGainsSimulator();
     initHistoryFilters();
+    initAdminControls();
+    initJobsPanel();
+    
+    // Role-dependent panels follow sign-in / sign-out
+    document.addEventListener('authchange', () => {
+        updateGainsDisplay(currentBet);
+        loadWeightTrajectory(document.getElementById('typeFilter')?.value);
+        loadJobs();
+    });
     
     // Auto refresh every 30s
     setInterval(loadBrainData, 30000);
     setInterval(loadFeaturedDraw, 15000); // Featured updates faster
     setInterval(loadUpcomingDraws, 30000);
     setInterval(loadCompletedDraws, 60000); // Completed draws refresh every minute
+    setInterval(loadJobs, 5000); // Job progress
 });
 
 // =============================================================================
@@ -37,27 +50,98 @@ function initGainsSimulator() {
         });
     });
     
-    // Initial calculation
-    updateGainsDisplay(currentBet);
+    const select = document.getElementById('betTypeSelect');
+    if (select) {
+        select.addEventListener('change', () => {
+            currentBetType = select.value;
+            updateGainsDisplay(currentBet);
+        });
+    }
+    
+    // Bet types come from the server (src/game-rules.js)
+    fetch('/api/game-rules')
+        .then(res => res.json())
+        .then(data => {
+            betTypes = data.betTypes || [];
+            if (select) {
+                select.innerHTML = betTypes.map(t => `<option value="${t.id}" ${t.id === currentBetType ? 'selected' : ''}>${t.name}</option>`).join('');
+            }
+            updateGainsDisplay(currentBet);
+        })
+        .catch(e => console.error('Error loading game rules:', e));
 }
 
-function updateGainsDisplay(bet) {
-    // Official Loto Bonheur multipliers (approximate)
-    const multipliers = {
-        5: 5000,  // 5/5 = bet × 5000
-        4: 500,   // 4/5 = bet × 500
-        3: 50,    // 3/5 = bet × 50
-        2: 5      // 2/5 = bet × 5
-    };
+/**
+ * Historical bankroll simulation: the brain's predictions played as real
+ * bets over the recent draws (/api/bankroll)
+ */
+async function updateGainsDisplay(bet) {
+    const table = document.getElementById('gainsTable');
+    const curve = document.getElementById('bankrollCurve');
+    const info = document.getElementById('bankrollInfo');
+    if (!table) return;
     
     const formatFcfa = (amount) => {
         return amount.toLocaleString('fr-FR') + ' Fcfa';
     };
+    const row = (label, value, color = '#10b981') => `<div class="gain-row"><span>${label}</span><span class="gain-value" style="color: ${color};">${value}</span></div>`;
+    
+    // Backtests need the analyst role
+    await sessionReady;
+    if (!hasRole('analyst')) return;
     
-    document.getElementById('gain5').textContent = formatFcfa(bet * multipliers[5]);
-    document.getElementById('gain4').textContent = formatFcfa(bet * multipliers[4]);
-    document.getElementById('gain3').textContent = formatFcfa(bet * multipliers[3]);
-    document.getElementById('gain2').textContent = formatFcfa(bet * multipliers[2]);
+    const typeId = document.getElementById('typeFilter')?.value;
+    const params = new URLSearchParams({ bet: currentBetType, stake: bet });
+    if (typeId && typeId !== 'all') params.set('type', typeId);
+    
+    const requestId = ++bankrollRequestId;
+    table.innerHTML = '<div style="text-align: center; color: #64748b;">Simulation sur l\'historique...</div>';
+    
+    try {
+        const res = await authFetch(`/api/bankroll?${params}`);
+        const data = await res.json();
+        if (requestId !== bankrollRequestId) return; // A newer request is running
+        if (data.error) throw new Error(data.error);
+        
+        const { betting } = data.ensemble;
+        const bankroll = betting.bankroll;
+        const netColor = betting.net >= 0 ? '#10b981' : '#ef4444';
+        
+        table.innerHTML = [
+            row('Misé', formatFcfa(betting.staked), '#cbd5e0'),
+            row('Gagné', formatFcfa(betting.returned)),
+            row('Résultat', `${betting.net >= 0 ? '+' : ''}${formatFcfa(betting.net)} (${betting.roi}%)`, netColor),
+            row('Hasard (long terme)', `${betting.randomRoi}%`, '#94a3b8'),
+            row('Pire baisse', `${formatFcfa(bankroll.maxDrawdown)} (${bankroll.maxDrawdownPct}%)`, '#f59e0b'),
+            row('Plus longue série perdante', `${bankroll.longestLosingStreak} tickets`, '#f59e0b'),
+            row('Risque de ruine', `${bankroll.riskOfRuin}%`, bankroll.riskOfRuin > 50 ? '#ef4444' : '#f59e0b')
+        ].join('');
+        
+        if (curve) {
+            const points = bankroll.curve;
+            const width = 300;
+            const height = 70;
+            const min = Math.min(0, ...points);
+            const max = Math.max(...points);
+            const x = (i) => points.length === 1 ? width / 2 : (i / (points.length - 1)) * width;
+            const y = (v) => height - ((v - min) / ((max - min) || 1)) * height;
+            const coords = points.map((v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+            curve.innerHTML = `
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: ${height}px; background: rgba(15, 23, 42, 0.4); border-radius: 8px;">
+                    <line x1="0" x2="${width}" y1="${y(bankroll.initial).toFixed(1)}" y2="${y(bankroll.initial).toFixed(1)}" stroke="#475569" stroke-dasharray="4 4" />
+                    <polyline points="${coords}" fill="none" stroke="${netColor}" stroke-width="2" />
+                </svg>
+            `;
+        }
+        if (info) {
+            info.textContent = `${data.context.tests} derniers tirages · bankroll de départ ${formatFcfa(bankroll.initial)}${bankroll.ruinedAt ? ` · ruiné le ${bankroll.ruinedAt}` : ''}`;
+        }
+    } catch (e) {
+        console.error('Error loading bankroll simulation:', e);
+        table.innerHTML = '<div style="text-align: center; color: #ef4444;">Simulation indisponible</div>';
+        if (curve) curve.innerHTML = '';
+        if (info) info.textContent = '';
+    }
 }
 
 // =============================================================================
@@ -90,7 +174,7 @@ async function loadUpcomingDraws() {
                     <div class="draw-card-countdown">${isLive ? '🔴 EN COURS' : '⏱ ' + countdownStr}</div>
                     ${draw.confidence ? `
                         <div class="draw-card-confidence">
-                            🧠 <span class="confidence-value">${draw.confidence}%</span>
+                            🧠 <span class="confidence-value">${draw.confidence}%</span> / numéro
                         </div>
                     ` : ''}
                 </div>
@@ -182,7 +266,11 @@ async function loadFeaturedDraw() {
             nextStatus.textContent = '⏳ En attente';
             nextStatus.className = 'badge badge-neutral';
             nextName.textContent = data.draw.name;
-            nextTime.textContent = `Tirage à ${data.draw.time}`;
+            // Tomorrow's first draw once today's are over
+            const dayNames = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+            nextTime.textContent = data.draw.isToday
+                ? `Tirage à ${data.draw.time}`
+                : `Tirage ${dayNames[new Date(`${data.draw.date}T00:00:00Z`).getUTCDay()]} à ${data.draw.time}`;
             
             // Countdown
             if (data.countdown) {
@@ -219,7 +307,10 @@ async function loadFeaturedDraw() {
                 });
                 // Update confidence and info
                 if (hybridConfidence) {
-                    hybridConfidence.textContent = `${data.prediction.hybrid.confidence}% confiance`;
+                    const hybrid = data.prediction.hybrid;
+                    hybridConfidence.textContent = hybrid.expectedHits != null
+                        ? `${hybrid.expectedHits} bons attendus (hasard 0.28)`
+                        : `${hybrid.confidence}% par numéro`;
                 }
                 if (hybridInfo) {
                     const boosted = data.prediction.hybrid.boostedCount || 0;
@@ -409,10 +500,10 @@ function generateMachineNumbers(gagnants) {
 async function loadDrawTypes() {
     if (drawTypes.length > 0) return;
     try {
-        const res = await fetch('/api/draw_types');
+        const res = await fetch('/api/draw-types?limit=500');
         if (res.ok) {
             const data = await res.json();
-            drawTypes = data;
+            drawTypes = data.drawTypes;
         }
     } catch (e) {
         console.error('Error loading draw types:', e);
@@ -441,7 +532,11 @@ function initHistoryFilters() {
     const dayFilter = document.getElementById('dayFilter');
     
     if (typeFilter) {
-        typeFilter.addEventListener('change', () => updateHistoryTable());
+        typeFilter.addEventListener('change', () => {
+            updateHistoryTable();
+            loadTypeWeights(typeFilter.value);
+            updateGainsDisplay(currentBet);
+        });
     }
     
     if (dayFilter) {
@@ -476,13 +571,15 @@ async function loadBrainData() {
             
             document.getElementById('globalAccuracy').textContent = acc.toFixed(1) + '%';
             document.getElementById('totalHits').textContent = hits;
+            updateRandomBaseline(brain.realPerformance.significance);
         }
         
-        // 3. Strategy Weights
-        updateStrategies(brain.weights);
+        // 3. Strategy Weights (+ their trajectory)
+        updateStrategies(brain.weights, null, brain.strategies);
+        loadWeightTrajectory(document.getElementById('typeFilter')?.value);
         
         // 4. Training Top Stats (Sidebar)
-        updateTrainingStats(brain.stats);
+        updateTrainingStats(brain.stats, brain.significance);
         
         // 4.5 Training Leaderboard (Main)
         updateLeaderboard(brain.stats);
@@ -502,22 +599,278 @@ async function loadBrainData() {
     }
 }
 
-function updateStrategies(weights) {
+/**
+ * Show the effective weights of one draw type (or the global prior for 'all')
+ */
+async function loadTypeWeights(typeId) {
+    const url = typeId && typeId !== 'all' ? `/api/brain?type=${encodeURIComponent(typeId)}` : '/api/brain';
+    try {
+        const res = await fetch(url);
+        const brain = await res.json();
+        updateStrategies(brain.weights, brain.profile, brain.strategies);
+    } catch (e) {
+        console.error('Error loading type weights:', e);
+    }
+    loadWeightTrajectory(typeId);
+}
+
+const TRAJECTORY_COLORS = {
+    hot: '#f87171',
+    due: '#fbbf24',
+    correlation: '#60a5fa',
+    position: '#34d399',
+    balanced: '#a78bfa',
+    statistical: '#f472b6',
+    finales: '#fb923c',
+    lstm: '#94a3b8'
+};
+
+/**
+ * Plot the stored weight versions of a draw type (or the global prior)
+ */
+async function loadWeightTrajectory(typeId) {
+    const container = document.getElementById('weightTrajectory');
+    const legend = document.getElementById('trajectoryLegend');
+    const info = document.getElementById('trajectoryInfo');
+    if (!container) return;
+
+    const type = typeId && typeId !== 'all' ? typeId : 'global';
+    try {
+        const res = await fetch(`/api/brain/versions?type=${encodeURIComponent(type)}&limit=200`);
+        const versions = await res.json();
+        if (!Array.isArray(versions) || versions.length === 0) {
+            container.innerHTML = '<div style="text-align: center; color: #64748b; padding: 20px;">Aucune version enregistrée.</div>';
+            if (legend) legend.innerHTML = '';
+            if (info) info.textContent = '--';
+            return;
+        }
+
+        const versionSelect = document.getElementById('versionSelect');
+        if (versionSelect) {
+            versionSelect.innerHTML = versions.map(v => `<option value="${v.version}">v${v.version} · ${v.created_at ? new Date(v.created_at).toLocaleString('fr-FR') : ''}</option>`).join('');
+        }
+
+        // Oldest first for plotting
+        const points = versions.slice().reverse();
+        const width = 600;
+        const height = 180;
+        const maxWeight = Math.max(0.3, ...points.flatMap(v => Object.values(v.weights)));
+        const x = (i) => points.length === 1 ? width / 2 : (i / (points.length - 1)) * width;
+        const y = (w) => height - (w / maxWeight) * height;
+
+        const lines = Object.keys(points[points.length - 1].weights).map(key => {
+            const coords = points.map((v, i) => `${x(i).toFixed(1)},${y(v.weights[key] || 0).toFixed(1)}`).join(' ');
+            return `<polyline points="${coords}" fill="none" stroke="${TRAJECTORY_COLORS[key] || '#e2e8f0'}" stroke-width="2" />`;
+        }).join('');
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width: 100%; height: ${height}px; background: rgba(15, 23, 42, 0.4); border-radius: 8px;">
+                ${lines}
+            </svg>
+        `;
+
+        if (legend) {
+            legend.innerHTML = Object.keys(points[points.length - 1].weights).map(key => `
+                <span style="color: ${TRAJECTORY_COLORS[key] || '#e2e8f0'};">● ${key}</span>
+            `).join('');
+        }
+        if (info) {
+            info.textContent = `v${points[0].version} → v${points[points.length - 1].version} (${points.length} versions)`;
+        }
+    } catch (e) {
+        console.error('Error loading weight trajectory:', e);
+    }
+}
+
+// =============================================================================
+// ADMIN CONTROLS (shown to the admin role only, see auth.js)
+// =============================================================================
+
+function initAdminControls() {
+    document.querySelectorAll('#versionControls [data-action]').forEach(btn => {
+        btn.addEventListener('click', () => runVersionAction(btn.dataset.action));
+    });
+
+    const trainBtn = document.getElementById('forceTrainBtn');
+    if (trainBtn) {
+        trainBtn.addEventListener('click', async () => {
+            trainBtn.disabled = true;
+            try {
+                const res = await authFetch('/refresh?force_train=true', { method: 'POST' });
+                const result = await res.json();
+                alert(result.error || result.message);
+            } catch (e) {
+                console.error('Error starting training:', e);
+            } finally {
+                trainBtn.disabled = false;
+            }
+        });
+    }
+}
+
+/**
+ * Roll back, pin or unpin the weights of the selected draw type
+ */
+async function runVersionAction(action) {
+    const typeId = document.getElementById('typeFilter')?.value;
+    const type = typeId && typeId !== 'all' ? typeId : 'global';
+    const version = document.getElementById('versionSelect')?.value;
+    if (action !== 'unpin' && !confirm(`${action === 'rollback' ? 'Restaurer' : 'Épingler'} la version v${version} (${type}) ?`)) return;
+
+    try {
+        const res = await authFetch(`/api/brain/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type, version })
+        });
+        const result = await res.json();
+        if (result.error) throw new Error(result.error);
+        loadTypeWeights(typeId);
+    } catch (e) {
+        console.error(`Error running ${action}:`, e);
+        alert(`Échec: ${e.message}`);
+    }
+}
+
+// =============================================================================
+// JOBS (queue of long tasks, see src/jobs.js)
+// =============================================================================
+
+const JOB_STATUS_LABELS = {
+    queued: ['⏳', 'En attente', '#94a3b8'],
+    running: ['▶️', 'En cours', '#4facfe'],
+    succeeded: ['✅', 'Terminée', '#10b981'],
+    failed: ['❌', 'Échec', '#ef4444'],
+    cancelled: ['⏹️', 'Annulée', '#f59e0b']
+};
+
+function initJobsPanel() {
+    const startBtn = document.getElementById('startJobBtn');
+    if (startBtn) startBtn.addEventListener('click', startSelectedJob);
+    loadJobs();
+}
+
+/**
+ * Recent jobs with their progress, and the jobs the user may start
+ */
+async function loadJobs() {
+    const list = document.getElementById('jobsList');
+    if (!list) return;
+
+    try {
+        const res = await authFetch('/api/jobs?limit=15');
+        const { total, jobs, definitions, error } = await res.json();
+        if (error) throw new Error(error);
+
+        const roles = Object.fromEntries(definitions.map(d => [d.name, d.role]));
+        const select = document.getElementById('jobSelect');
+        const allowed = definitions.filter(d => hasRole(d.role));
+        if (select && select.options.length !== allowed.length) {
+            select.innerHTML = allowed.map(d => `<option value="${d.name}">${d.name} · ${d.description}</option>`).join('');
+        }
+
+        const activeCount = jobs.filter(j => j.status === 'queued' || j.status === 'running').length;
+        document.getElementById('jobsInfo').textContent = activeCount > 0 ? `${activeCount} active(s) · ${total} au total` : `${total} au total`;
+
+        if (jobs.length === 0) {
+            list.innerHTML = '<div style="text-align: center; color: #64748b; padding: 20px;">Aucune tâche</div>';
+            return;
+        }
+
+        list.innerHTML = jobs.map(job => {
+            const [icon, label, color] = JOB_STATUS_LABELS[job.status] || ['•', job.status, '#94a3b8'];
+            const active = job.status === 'queued' || job.status === 'running';
+            const progress = job.progress && job.progress.total
+                ? Math.round((job.progress.done / job.progress.total) * 100)
+                : null;
+            const lastLog = job.logs && job.logs.length > 0 ? job.logs[job.logs.length - 1].message : '';
+            const detail = job.error || (job.progress && job.progress.message) || lastLog;
+            const canCancel = active && hasRole(roles[job.name] || 'admin');
+
+            return `
+                <div style="padding: 8px 0; border-bottom: 1px solid rgba(255,255,255,0.05);">
+                    <div style="display: flex; justify-content: space-between; align-items: center; gap: 8px;">
+                        <span><strong>#${job.id} ${job.name}</strong> <span style="color: ${color};">${icon} ${label}</span></span>
+                        <span style="color: #64748b;">
+                            ${job.requested_by || ''} · ${new Date(job.created_at).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}
+                            ${canCancel ? `<button class="auth-btn" data-cancel-job="${job.id}" title="Annuler la tâche">✕</button>` : ''}
+                        </span>
+                    </div>
+                    ${progress !== null && active ? `
+                        <div style="height: 4px; background: rgba(255,255,255,0.08); border-radius: 2px; margin-top: 6px;">
+                            <div style="width: ${progress}%; height: 100%; background: ${color}; border-radius: 2px;"></div>
+                        </div>` : ''}
+                    ${detail ? `<div style="color: #64748b; font-size: 0.9em; margin-top: 4px;">${detail}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('[data-cancel-job]').forEach(btn => {
+            btn.addEventListener('click', () => cancelJob(btn.dataset.cancelJob));
+        });
+    } catch (e) {
+        console.error('Error loading jobs:', e);
+    }
+}
+
+async function startSelectedJob() {
+    const name = document.getElementById('jobSelect')?.value;
+    if (!name) return;
+
+    // LSTM training and backtests follow the draw type picked in the history filter
+    const typeId = document.getElementById('typeFilter')?.value;
+    const params = (name === 'train-lstm' || name === 'backtest') && typeId && typeId !== 'all' ? { type: typeId } : {};
+
+    try {
+        const res = await authFetch('/api/jobs', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, params })
+        });
+        const result = await res.json();
+        if (result.error) throw new Error(result.error);
+        loadJobs();
+    } catch (e) {
+        console.error('Error starting job:', e);
+        alert(`Échec: ${e.message}`);
+    }
+}
+
+async function cancelJob(id) {
+    if (!confirm(`Annuler la tâche #${id} ?`)) return;
+
+    try {
+        const res = await authFetch(`/api/jobs/${id}/cancel`, { method: 'POST' });
+        const result = await res.json();
+        if (result.error) throw new Error(result.error);
+        loadJobs();
+    } catch (e) {
+        console.error('Error cancelling job:', e);
+        alert(`Échec: ${e.message}`);
+    }
+}
+
+/**
+ * Weight bars, labelled from the strategy registry sent with /api/brain
+ */
+function updateStrategies(weights, profile = null, strategies = []) {
     const container = document.getElementById('strategyContainer');
     if (!container || !weights) return;
     
     container.innerHTML = '';
+
+    if (profile) {
+        const ownPct = Math.round(profile.share * 100);
+        const caption = document.createElement('div');
+        caption.style.cssText = 'font-size: 0.75em; color: #94a3b8; margin-bottom: 10px;';
+        caption.textContent = profile.learnedDraws > 0
+            ? `${profile.learnedDraws} tirages appris · ${ownPct}% profil propre / ${100 - ownPct}% global`
+            : 'Pas encore de profil propre · poids globaux';
+        container.appendChild(caption);
+    }
     const sorted = Object.entries(weights).sort((a,b) => b[1] - a[1]);
     
-    const labels = {
-        hot: 'Chauds 🔥',
-        due: 'Dus ⏰',
-        correlation: 'Corrélations 🔗',
-        position: 'Position 📍',
-        balanced: 'Équilibre ⚖️',
-        statistical: 'Statistique 📊',
-        finales: 'Finales 🔢'
-    };
+    const labels = Object.fromEntries(strategies.map(s => [s.key, `${s.label} ${s.icon}`]));
     
     sorted.forEach(([key, val]) => {
         const pct = Math.round(val * 100);
@@ -555,7 +908,32 @@ function updateStrategies(weights) {
     container.appendChild(tacticalDiv);
 }
 
-function updateTrainingStats(stats) {
+/**
+ * Compare real hits with a random 5-of-90 ticket (p-value from the server)
+ */
+function updateRandomBaseline(sig) {
+    const el = document.getElementById('randomBaseline');
+    if (!el || !sig) return;
+
+    if (!sig.tests) {
+        el.textContent = `Hasard : ${sig.randomExpectedHits.toFixed(2)} hits/tirage · pas encore de données`;
+        return;
+    }
+
+    const verdict = sig.significant
+        ? '<span style="color: #34d399;">✅ meilleur que le hasard</span>'
+        : '<span style="color: #fbbf24;">🎲 indiscernable du hasard</span>';
+    el.innerHTML = `
+        IA : <b>${sig.observedHits.toFixed(2)}</b> hits/tirage · Hasard : ${sig.randomExpectedHits.toFixed(2)}<br>
+        IC 95% [${sig.ci95[0].toFixed(2)} – ${sig.ci95[1].toFixed(2)}] · p = ${formatPValue(sig.pValue)} · ${verdict}
+    `;
+}
+
+function formatPValue(p) {
+    return p < 0.001 ? '< 0.001' : p.toFixed(3);
+}
+
+function updateTrainingStats(stats, significance) {
     const container = document.getElementById('topTrainingList');
     if (!container || !stats || !stats.byType) return;
     
@@ -570,6 +948,7 @@ function updateTrainingStats(stats) {
         .slice(0, 5); // Top 5
         
     types.forEach(([id, s]) => {
+        const typeSig = significance?.byType?.[id];
         const div = document.createElement('div');
         div.style.cssText = 'display: flex; justify-content: space-between; padding: 10px; border-bottom: 1px solid rgba(255,255,255,0.05); font-size: 0.9em;';
         
@@ -578,6 +957,7 @@ function updateTrainingStats(stats) {
             <div>
                 <span style="color: #4facfe; font-weight: bold;">${s.accuracy.toFixed(1)}%</span>
                 <span style="color: #64748b; font-size: 0.85em; margin-left: 5px;">(${s.totalHits} hits)</span>
+                ${typeSig ? `<span title="p-valeur vs hasard" style="color: ${typeSig.significant ? '#34d399' : '#64748b'}; font-size: 0.8em; margin-left: 5px;">p=${formatPValue(typeSig.pValue)}</span>` : ''}
             </div>
         `;
         container.appendChild(div);
@@ -667,7 +1047,7 @@ function updateHistoryTable() {
         // Key based on type and the actual numbers (represents the draw) 
         // AND the predicted numbers (to distinguish different predictions if needed, 
         // but the user wants to keep only the latest if they are the same).
-        const key = `${item.typeId}_${item.predicted.join(',')}_${item.actual.join(',')}`;
+        const key = `${item.drawKey || item.typeId}_${item.predicted.join(',')}_${item.actual.join(',')}`;
         if (!seen.has(key)) {
             seen.add(key);
             uniqueHistory.push(item);
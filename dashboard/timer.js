@@ -1,7 +1,22 @@
 
 // Refresh Timer Logic
+// Counts down to the next task of the server's scheduler (src/scheduler.js):
+// the scrape after a draw, or a nightly / weekly job.
 let timerInterval;
 
+const SCHEDULED_JOB_LABELS = {
+  analyze: 'Analyse complète',
+  'train-lstm': 'Entraînement LSTM'
+};
+
+function describeScheduledTask(task) {
+  if (!task) return 'Prochaine actualisation';
+  if (task.task === 'job') return SCHEDULED_JOB_LABELS[task.job] || task.job;
+
+  const name = task.draw.split('|').slice(1).join('|');
+  return task.attempt > 1 ? `Résultat ${name} (essai ${task.attempt})` : `Résultat ${name}`;
+}
+
 async function updateRefreshTimer() {
   const timerEl = document.getElementById('refreshTimer');
   if (!timerEl) return;
@@ -12,9 +27,11 @@ async function updateRefreshTimer() {
     
     // Support both structures (legacy or new)
     const nextRunVal = data.nextRun || (data.autoRefresh && data.autoRefresh.nextRefresh);
+    const task = data.schedule && data.schedule.next;
     
     if (nextRunVal) {
       const nextRun = new Date(nextRunVal).getTime();
+      timerEl.title = `Prochaine tâche : ${describeScheduledTask(task)} (${new Date(nextRun).toLocaleString('fr-FR', { weekday: 'short', hour: '2-digit', minute: '2-digit' })})`;
       
       const update = () => {
         const now = new Date().getTime();
@@ -23,6 +40,11 @@ async function updateRefreshTimer() {
         if (diff <= 0) {
           timerEl.textContent = '⏳ En cours...';
           timerEl.classList.add('soon');
+           // A job changes no displayed data: just wait for the next task
+           if (task && task.task === 'job') {
+              if (diff < -5000 && diff >= -6000) updateRefreshTimer();
+              return;
+           }
            // Reload page after a short delay to get new data
            if (diff < -5000 && diff > -10000) {
               // Only reload if we haven't just reloaded (simple check)
@@ -33,12 +55,15 @@ async function updateRefreshTimer() {
            }
         } else {
           sessionStorage.removeItem('justReloaded');
+          const hours = Math.floor(diff / (1000 * 60 * 60));
           const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
           const seconds = Math.floor((diff % (1000 * 60)) / 1000);
           
-          timerEl.textContent = `⏳ ${minutes}:${seconds.toString().padStart(2, '0')}`;
+          timerEl.textContent = hours > 0
+            ? `⏳ ${hours}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`
+            : `⏳ ${minutes}:${seconds.toString().padStart(2, '0')}`;
           
-          if (minutes < 5) {
+          if (hours === 0 && minutes < 5) {
             timerEl.classList.add('soon');
           } else {
             timerEl.classList.remove('soon');
@@ -49,6 +74,10 @@ async function updateRefreshTimer() {
       update(); // Immediate
       if (timerInterval) clearInterval(timerInterval);
       timerInterval = setInterval(update, 1000);
+    } else {
+      if (timerInterval) clearInterval(timerInterval);
+      timerEl.textContent = '⏳ --:--';
+      timerEl.title = 'Aucune actualisation planifiée';
     }
   } catch (e) {
     console.error('Timer error:', e);
@@ -59,4 +88,6 @@ async function updateRefreshTimer() {
 // Initialize Timer when DOM loads (append to existing listeners)
 document.addEventListener('DOMContentLoaded', () => {
     updateRefreshTimer();
+    // The plan moves with retries and manual refreshes
+    setInterval(updateRefreshTimer, 60000);
 });
@@ -7,7 +7,7 @@
 CREATE TABLE IF NOT EXISTS draw_types (
   id SERIAL PRIMARY KEY,
   name VARCHAR(100) NOT NULL UNIQUE,
-  category VARCHAR(50), -- 'standard', 'night', 'digital', 'special'
+  category VARCHAR(50), -- 'digital', 'classic', 'night', 'special' (data/draw_catalog.json)
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -94,6 +94,24 @@ CREATE TABLE IF NOT EXISTS predictions (
   pattern_ids JSONB,
   was_correct BOOLEAN,
   actual_numbers JSONB,
+  strategy VARCHAR(50), -- 'ensemble' (serveur) ou stratégie du prédicteur
+  day_of_week SMALLINT,
+  target_key VARCHAR(100), -- Tirage visé : '2026-10-19|Digital 21h'
+  target_date DATE,
+  target_starts_at TIMESTAMPTZ,
+  target JSONB,
+  post_close BOOLEAN DEFAULT FALSE, -- Faite après l'heure du tirage
+  official BOOLEAN DEFAULT FALSE, -- Prédiction retenue pour le tirage (les autres sont des aperçus)
+  expected_hits DECIMAL(6,3),
+  scores JSONB,
+  machine_numbers JSONB,
+  machine_confidence DECIMAL(5,2),
+  hybrid_numbers JSONB,
+  hybrid_confidence DECIMAL(5,2),
+  result JSONB,
+  machine_result JSONB,
+  hybrid_result JSONB,
+  verified_at TIMESTAMPTZ,
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
@@ -108,6 +126,13 @@ CREATE INDEX IF NOT EXISTS idx_draws_day_of_week ON draws(day_of_week);
 CREATE INDEX IF NOT EXISTS idx_frequency_number ON number_frequency(number);
 CREATE INDEX IF NOT EXISTS idx_patterns_type ON patterns(pattern_type);
 CREATE INDEX IF NOT EXISTS idx_patterns_strength ON patterns(strength DESC);
+CREATE INDEX IF NOT EXISTS idx_predictions_type_created ON predictions(draw_type_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_predictions_target_date ON predictions(target_date);
+CREATE INDEX IF NOT EXISTS idx_predictions_target_key ON predictions(target_key);
+CREATE INDEX IF NOT EXISTS idx_predictions_strategy ON predictions(strategy, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_predictions_verified ON predictions(verified_at DESC);
+-- Une seule prédiction officielle par tirage (les aperçus ne sont pas limités)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_predictions_official ON predictions(target_key) WHERE official;
 
 -- =====================================================
 -- VIEWS
@@ -175,34 +200,34 @@ ORDER BY p.strength DESC;
 -- =====================================================
 
 INSERT INTO draw_types (name, category) VALUES
-  ('Reveil', 'standard'),
-  ('Etoile', 'standard'),
-  ('Akwaba', 'standard'),
+  ('Reveil', 'classic'),
+  ('Etoile', 'classic'),
+  ('Akwaba', 'classic'),
   ('Monday Special', 'special'),
-  ('La Matinale', 'standard'),
-  ('Emergence', 'standard'),
-  ('Sika', 'standard'),
+  ('La Matinale', 'classic'),
+  ('Emergence', 'classic'),
+  ('Sika', 'classic'),
   ('Lucky Tuesday', 'special'),
-  ('Premiere Heure', 'standard'),
-  ('Fortune', 'standard'),
-  ('Baraka', 'standard'),
+  ('Premiere Heure', 'classic'),
+  ('Fortune', 'classic'),
+  ('Baraka', 'classic'),
   ('Midweek', 'special'),
-  ('Kado', 'standard'),
-  ('Privilege', 'standard'),
-  ('Monni', 'standard'),
+  ('Kado', 'classic'),
+  ('Privilege', 'classic'),
+  ('Monni', 'classic'),
   ('Fortune Thursday', 'special'),
-  ('Cash', 'standard'),
-  ('Solution', 'standard'),
-  ('Wari', 'standard'),
+  ('Cash', 'classic'),
+  ('Solution', 'classic'),
+  ('Wari', 'classic'),
   ('Friday Bonanza', 'special'),
-  ('Soutra', 'standard'),
-  ('Diamant', 'standard'),
-  ('Moaye', 'standard'),
+  ('Soutra', 'classic'),
+  ('Diamant', 'classic'),
+  ('Moaye', 'classic'),
   ('National', 'special'),
-  ('Benediction', 'standard'),
-  ('Prestige', 'standard'),
-  ('Awale', 'standard'),
-  ('Espoir', 'standard'),
+  ('Benediction', 'classic'),
+  ('Prestige', 'classic'),
+  ('Awale', 'classic'),
+  ('Espoir', 'classic'),
   ('Day Off', 'special'),
   ('Digital 21h', 'digital'),
   ('Digital Reveil 7h', 'digital'),
@@ -210,7 +235,11 @@ INSERT INTO draw_types (name, category) VALUES
   ('Special Weekend 1h', 'night'),
   ('Special Weekend 3h', 'night'),
   ('Digital Reveil 8h', 'digital'),
-  ('Digital 22h', 'digital')
+  ('Digital 22h', 'digital'),
+  ('Danse', 'classic'),
+  ('Bonheur', 'classic'),
+  ('Bonus', 'classic'),
+  ('Victoire', 'classic')
 ON CONFLICT (name) DO NOTHING;
 
 -- =====================================================
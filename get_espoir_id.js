@@ -1,13 +1,9 @@
-import { supabase } from './src/supabase-client.js';
+import storage from './src/storage/index.js';
 
 async function run() {
-  const { data, error } = await supabase
-    .from('draw_types')
-    .select('id, name')
-    .eq('name', 'Espoir')
-    .single();
+  const { data, error } = await storage.findDrawTypeByName('Espoir');
 
-  if (error) {
+  if (error || !data) {
     console.error('Error fetching Espoir ID:', error);
   } else {
     console.log(`✅ ID for Espoir: ${data.id}`);
@@ -9,7 +9,7 @@
  * - Correlation analysis between numbers
  */
 
-import supabase from './supabase-client.js';
+import { fetchCleanDraws } from './data-quality.js';
 
 // =============================================================================
 // CYCLE ANALYSIS
@@ -427,16 +427,7 @@ export async function runAdvancedAnalysis(drawTypeId = null) {
   console.log('📊 Running Advanced Pattern Analysis...');
   
   // Fetch draws
-  let query = supabase
-    .from('draws')
-    .select('*')
-    .order('draw_date', { ascending: true });
-  
-  if (drawTypeId) {
-    query = query.eq('draw_type_id', drawTypeId);
-  }
-  
-  const { data: draws, error } = await query;
+  const { data: draws, error } = await fetchCleanDraws({ drawTypeId });
   
   if (error || !draws || draws.length === 0) {
     console.error('Error fetching draws:', error);
@@ -4,7 +4,8 @@
  * Analyse les résultats pour détecter les patterns statistiques
  */
 
-import supabase from './supabase-client.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
 
 // =====================================================
 // ANALYSIS FUNCTIONS
@@ -16,9 +17,7 @@ import supabase from './supabase-client.js';
 async function analyzeNumberFrequency() {
   console.log('\n📊 Analyzing Number Frequencies...');
   
-  const { data: draws, error } = await supabase
-    .from('draws')
-    .select('*');
+  const { data: draws, error } = await fetchCleanDraws();
   
   if (error) {
     console.error('Error fetching draws:', error);
@@ -73,17 +72,10 @@ async function analyzeNumberFrequency() {
 async function findHotNumbers(limit = 10) {
   console.log('\n🔥 Finding Hot Numbers...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select(`
-      draw_type_id,
-      draw_types(name),
-      winning_number_1,
-      winning_number_2,
-      winning_number_3,
-      winning_number_4,
-      winning_number_5
-    `);
+  const { data, error } = await fetchCleanDraws({
+    columns: 'draw_type_id, winning_number_1, winning_number_2, winning_number_3, winning_number_4, winning_number_5',
+    withTypeName: true
+  });
   
   if (error) {
     console.error('Error:', error);
@@ -124,17 +116,10 @@ async function findHotNumbers(limit = 10) {
 async function findColdNumbers(limit = 10) {
   console.log('\n❄️  Finding Cold Numbers...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select(`
-      draw_type_id,
-      draw_types(name),
-      winning_number_1,
-      winning_number_2,
-      winning_number_3,
-      winning_number_4,
-      winning_number_5
-    `);
+  const { data, error } = await fetchCleanDraws({
+    columns: 'draw_type_id, winning_number_1, winning_number_2, winning_number_3, winning_number_4, winning_number_5',
+    withTypeName: true
+  });
   
   if (error) {
     console.error('Error:', error);
@@ -178,10 +163,7 @@ async function findColdNumbers(limit = 10) {
 async function findOverdueNumbers(limit = 10) {
   console.log('\n⏰ Finding Overdue Numbers...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('*')
-    .order('draw_date', { ascending: false });
+  const { data, error } = await fetchCleanDraws({ ascending: false });
   
   if (error) {
     console.error('Error:', error);
@@ -208,7 +190,7 @@ async function findOverdueNumbers(limit = 10) {
   }
   
   // Get draw type names
-  const { data: types } = await supabase.from('draw_types').select('id, name');
+  const { data: types } = await storage.fetchDrawTypes('id, name');
   const typeNames = new Map(types?.map(t => [t.id, t.name]) || []);
   
   const results = {};
@@ -237,9 +219,7 @@ async function findOverdueNumbers(limit = 10) {
 async function findConsecutivePatterns() {
   console.log('\n🔢 Finding Consecutive Number Patterns...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('*, draw_types(name)');
+  const { data, error } = await fetchCleanDraws({ withTypeName: true });
   
   if (error) {
     console.error('Error:', error);
@@ -294,9 +274,7 @@ async function findConsecutivePatterns() {
 async function analyzeOddEvenDistribution() {
   console.log('\n🎯 Analyzing Odd/Even Distribution...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('*, draw_types(name)');
+  const { data, error } = await fetchCleanDraws({ withTypeName: true });
   
   if (error) {
     console.error('Error:', error);
@@ -342,9 +320,7 @@ async function analyzeOddEvenDistribution() {
 async function analyzeSumRanges() {
   console.log('\n➕ Analyzing Sum Ranges...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('*, draw_types(name)');
+  const { data, error } = await fetchCleanDraws({ withTypeName: true });
   
   if (error) {
     console.error('Error:', error);
@@ -402,9 +378,7 @@ async function analyzeSumRanges() {
 async function findRepeatingPairs(minOccurrences = 5) {
   console.log('\n👥 Finding Repeating Number Pairs...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('*, draw_types(name)');
+  const { data, error } = await fetchCleanDraws({ withTypeName: true });
   
   if (error) {
     console.error('Error:', error);
@@ -458,9 +432,9 @@ async function findRepeatingPairs(minOccurrences = 5) {
 async function analyzeDayOfWeek() {
   console.log('\n📅 Analyzing Day of Week Patterns...');
   
-  const { data, error } = await supabase
-    .from('draws')
-    .select('day_of_week, winning_number_1, winning_number_2, winning_number_3, winning_number_4, winning_number_5');
+  const { data, error } = await fetchCleanDraws({
+    columns: 'day_of_week, winning_number_1, winning_number_2, winning_number_3, winning_number_4, winning_number_5'
+  });
   
   if (error) {
     console.error('Error:', error);
@@ -516,13 +490,11 @@ function clampStrength(value) {
 async function storePatterns(patterns) {
   console.log('\n💾 Storing patterns in database...');
   
-  const { data: types } = await supabase.from('draw_types').select('id, name');
+  const { data: types } = await storage.fetchDrawTypes('id, name');
   const typeMap = new Map(types?.map(t => [t.name, t.id]) || []);
   
   // Calculate total draws per type for percentage calculations
-  const { data: drawCounts } = await supabase
-    .from('draws')
-    .select('draw_type_id, draw_types(name)');
+  const { data: drawCounts } = await fetchCleanDraws({ columns: 'draw_type_id', withTypeName: true });
   
   const totalDrawsByType = {};
   for (const draw of drawCounts || []) {
@@ -611,9 +583,7 @@ async function storePatterns(patterns) {
       continue;
     }
     
-    const { error } = await supabase
-      .from('patterns')
-      .upsert(pattern, { onConflict: 'pattern_type,draw_type_id' });
+    const { error } = await storage.savePattern(pattern);
     
     if (error && error.code !== '23505') {
       console.error('Error storing pattern:', error.message);
@@ -624,6 +594,8 @@ async function storePatterns(patterns) {
   }
   
   console.log(`   ✅ Stored ${stored} patterns (${errors} errors)`);
+  
+  return { stored, errors };
 }
 
 /**
@@ -736,19 +708,18 @@ function printReport(patterns) {
 
 /**
  * Main analysis function
+ * @returns {Promise<Object>} { draws, drawTypes, stored, errors }
  */
-async function runAnalysis() {
+export async function runAnalysis() {
   console.log('🎰 LOTTO PATTERNS ANALYZER');
   console.log('=' .repeat(50));
   
   // Check if we have data
-  const { count } = await supabase
-    .from('draws')
-    .select('*', { count: 'exact', head: true });
+  const { count } = await storage.countDraws();
   
   if (!count || count === 0) {
     console.log('❌ No draws found in database. Run npm run scrape first.');
-    return;
+    return { draws: 0, drawTypes: 0, stored: 0, errors: 0 };
   }
   
   console.log(`\n📊 Analyzing ${count} draws...`);
@@ -766,11 +737,17 @@ async function runAnalysis() {
   patterns.dayOfWeek = await analyzeDayOfWeek();
   
   // Store patterns in database
-  await storePatterns(patterns);
+  const { stored, errors } = await storePatterns(patterns);
   
   // Print report
   printReport(patterns);
+  
+  return { draws: count, drawTypes: Object.keys(patterns.hotNumbers || {}).length, stored, errors };
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('/analyzer.js')) {
+  runAnalysis().catch(console.error);
 }
 
-// Run analysis
-runAnalysis().catch(console.error);
+export default { runAnalysis };
@@ -0,0 +1,257 @@
+/**
+ * Authentication & Roles
+ *
+ * Users live in a local JSON file (data/users.json, see CONFIG.auth). Each one
+ * has a role and an API key; only the SHA-256 hash of the key is stored, the
+ * key itself is printed once when the user is created.
+ *
+ * Roles, each including the ones before it:
+ *   viewer   read the dashboard and the read API (anonymous requests)
+ *   analyst  run backtests (/api/bankroll) and ticket evaluations (/evaluate)
+ *   admin    refresh the data, force training, roll back or pin brain weights
+ *
+ * Requests send the key as `Authorization: Bearer <key>` (or `X-API-Key`).
+ * ACCESS_RULES lists the routes that need more than viewer; starting or
+ * cancelling a job (/api/jobs) needs the role of that job (see jobs.js).
+ *
+ * Usage:
+ *   npm run users                                 (list)
+ *   npm run users -- add <name> --role analyst    (prints the new key)
+ *   npm run users -- role <name> admin
+ *   npm run users -- rotate <name>                (new key, the old one stops working)
+ *   npm run users -- remove <name>
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from './config.js';
+
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+/**
+ * Routes above viewer: { method (any when absent), path (exact pathname), role }
+ */
+export const ACCESS_RULES = [
+  { method: 'POST', path: '/refresh', role: 'admin' },
+  { method: 'POST', path: '/api/brain/rollback', role: 'admin' },
+  { method: 'POST', path: '/api/brain/pin', role: 'admin' },
+  { method: 'POST', path: '/api/brain/unpin', role: 'admin' },
+  { path: '/api/bankroll', role: 'analyst' },
+  { path: '/evaluate', role: 'analyst' },
+  { path: '/api/evaluate', role: 'analyst' }
+];
+
+const ANONYMOUS = { name: null, role: 'viewer', authenticated: false };
+
+let cachedUsers = null;
+let cachedMtime = 0;
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// =============================================================================
+// USER STORE
+// =============================================================================
+
+/**
+ * Stored users (re-read when the file changes, so CLI edits apply to a running server)
+ */
+export function loadUsers() {
+  let mtime;
+  try {
+    mtime = fs.statSync(CONFIG.auth.usersFile).mtimeMs;
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+
+  if (!cachedUsers || mtime !== cachedMtime) {
+    cachedUsers = JSON.parse(fs.readFileSync(CONFIG.auth.usersFile, 'utf8')).users || [];
+    cachedMtime = mtime;
+    cachedUsers.filter(u => !validKeyHash(u.keyHash)).forEach(u => {
+      console.warn(`⚠️  User "${u.name}" in ${CONFIG.auth.usersFile} has an invalid keyHash and cannot sign in (npm run users -- rotate ${u.name})`);
+    });
+  }
+  return cachedUsers;
+}
+
+// A SHA-256 hex digest; hand-edited or truncated hashes never match a key
+const validKeyHash = (keyHash) => typeof keyHash === 'string' && /^[0-9a-f]{64}$/i.test(keyHash);
+
+function saveUsers(users) {
+  fs.mkdirSync(path.dirname(CONFIG.auth.usersFile), { recursive: true });
+  fs.writeFileSync(CONFIG.auth.usersFile, `${JSON.stringify({ users }, null, 2)}\n`, { mode: 0o600 });
+  cachedUsers = null;
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}". Use ${ROLES.join(', ')}.`);
+}
+
+function newKey() {
+  const key = `lp_${crypto.randomBytes(24).toString('hex')}`;
+  return { key, keyHash: hashKey(key), keyHint: key.slice(0, 7) };
+}
+
+/**
+ * Create a user
+ * @returns {Object} { user, key } - the key is not stored and cannot be shown again
+ */
+export function addUser(name, role = 'viewer') {
+  if (!name) throw new Error('A user name is required');
+  checkRole(role);
+  const users = loadUsers();
+  if (users.some(u => u.name === name)) throw new Error(`User "${name}" already exists`);
+
+  const { key, keyHash, keyHint } = newKey();
+  const user = { name, role, keyHash, keyHint, createdAt: new Date().toISOString() };
+  saveUsers([...users, user]);
+  return { user, key };
+}
+
+/**
+ * Change the role of a user
+ */
+export function setRole(name, role) {
+  checkRole(role);
+  const users = loadUsers();
+  if (!users.some(u => u.name === name)) throw new Error(`Unknown user "${name}"`);
+  saveUsers(users.map(u => (u.name === name ? { ...u, role } : u)));
+}
+
+/**
+ * Replace the API key of a user
+ * @returns {string} The new key
+ */
+export function rotateKey(name) {
+  const users = loadUsers();
+  if (!users.some(u => u.name === name)) throw new Error(`Unknown user "${name}"`);
+  const { key, keyHash, keyHint } = newKey();
+  saveUsers(users.map(u => (u.name === name ? { ...u, keyHash, keyHint } : u)));
+  return key;
+}
+
+/**
+ * Delete a user
+ */
+export function removeUser(name) {
+  const users = loadUsers();
+  if (!users.some(u => u.name === name)) throw new Error(`Unknown user "${name}"`);
+  saveUsers(users.filter(u => u.name !== name));
+}
+
+// =============================================================================
+// REQUESTS
+// =============================================================================
+
+/**
+ * API key sent with a request, or null
+ */
+function requestKey(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) return header.slice(7).trim() || null;
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * User of a request: anonymous viewer without a key (throws 401 for an unknown key)
+ */
+export function authenticate(req) {
+  const key = requestKey(req);
+  if (!key) return ANONYMOUS;
+
+  const hash = Buffer.from(hashKey(key), 'hex');
+  const user = loadUsers().find(u => validKeyHash(u.keyHash) && crypto.timingSafeEqual(Buffer.from(u.keyHash, 'hex'), hash));
+  if (!user) throw authError(401, 'Invalid API key');
+  return { name: user.name, role: user.role, authenticated: true };
+}
+
+export function hasRole(user, role) {
+  return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+/**
+ * Role needed for a request, or null when viewers may send it
+ */
+export function requiredRole(method, pathname) {
+  return ACCESS_RULES.find(rule => (!rule.method || rule.method === method) && rule.path === pathname)?.role || null;
+}
+
+/**
+ * Throw 401 (anonymous) or 403 (role too low) unless the user has a role
+ */
+export function requireRole(user, role) {
+  if (hasRole(user, role)) return;
+
+  if (!user.authenticated) {
+    const hint = loadUsers().length === 0 ? ' (no users yet: npm run users -- add <name> --role admin)' : '';
+    throw authError(401, `Authentication required: ${role} role${hint}`);
+  }
+  throw authError(403, `${user.name} is ${user.role}, this action needs the ${role} role`);
+}
+
+/**
+ * User of a request, checked against ACCESS_RULES (throws 401 / 403)
+ */
+export function authorize(req) {
+  const user = authenticate(req);
+  const role = requiredRole(req.method, new URL(req.url, 'http://localhost').pathname);
+  if (role) requireRole(user, role);
+  return user;
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('auth.js')) {
+  const [command = 'list', ...args] = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  const name = args[0];
+
+  try {
+    switch (command) {
+      case 'list': {
+        const users = loadUsers();
+        console.log(`👥 Users (${CONFIG.auth.usersFile})`);
+        console.log('─'.repeat(60));
+        if (users.length === 0) console.log('   No users yet.');
+        users.forEach(u => console.log(`   ${u.name.padEnd(20)} ${u.role.padEnd(8)} ${u.keyHint}…  ${u.createdAt}`));
+        break;
+      }
+      case 'add': {
+        const { user, key } = addUser(name, flag('--role') || 'viewer');
+        console.log(`✅ Added ${user.name} (${user.role})`);
+        console.log(`🔑 API key (shown once): ${key}`);
+        break;
+      }
+      case 'role':
+        setRole(name, args[1]);
+        console.log(`✅ ${name} is now ${args[1]}`);
+        break;
+      case 'rotate':
+        console.log(`🔑 New API key for ${name} (shown once): ${rotateKey(name)}`);
+        break;
+      case 'remove':
+        removeUser(name);
+        console.log(`🗑️ Removed ${name}`);
+        break;
+      default:
+        throw new Error(`Unknown command "${command}". Use list, add, role, rotate or remove.`);
+    }
+  } catch (e) {
+    console.error('❌', e.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  ROLES, ACCESS_RULES, loadUsers, addUser, setRole, rotateKey, removeUser,
+  authenticate, hasRole, requireRole, requiredRole, authorize
+};
@@ -0,0 +1,128 @@
+/**
+ * Bankroll Module
+ *
+ * Plays a sequence of settled tickets against a starting bankroll and
+ * tracks the money side of a backtest: balance curve, max drawdown, longest
+ * losing streak and whether the bankroll ran out.
+ *
+ * Risk of ruin is estimated by bootstrap: the historical ticket outcomes are
+ * resampled into many alternative sequences of the same length, and we count
+ * how often the bankroll cannot pay for the next ticket.
+ */
+
+const DEFAULT_SIMULATIONS = 2000;
+const CURVE_POINTS = 100; // Balance curve is downsampled for the API
+
+/**
+ * Small seeded PRNG (mulberry32) so reports are reproducible
+ */
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Empty bankroll state
+ * @param {number} initial - Starting bankroll
+ */
+export function createBankroll(initial) {
+  return {
+    initial,
+    balance: initial,
+    peak: initial,
+    maxDrawdown: 0,
+    losingStreak: 0,
+    longestLosingStreak: 0,
+    played: 0,
+    ruinedAt: null,
+    outcomes: [], // { cost, net } per ticket, for the risk of ruin
+    curve: [initial]
+  };
+}
+
+/**
+ * Play one settled ticket (see game-rules settleBet)
+ * @returns {boolean} false when the bankroll could not pay for the ticket
+ */
+export function playTicket(state, settlement, date = null) {
+  // Outcomes are kept after ruin too: they describe the strategy, not this run
+  state.outcomes.push({ cost: settlement.cost, net: settlement.net });
+
+  if (state.ruinedAt || state.balance < settlement.cost) {
+    if (!state.ruinedAt) state.ruinedAt = date || `ticket ${state.played + 1}`;
+    return false;
+  }
+
+  state.played++;
+  state.balance += settlement.net;
+  state.curve.push(state.balance);
+
+  state.peak = Math.max(state.peak, state.balance);
+  state.maxDrawdown = Math.max(state.maxDrawdown, state.peak - state.balance);
+
+  state.losingStreak = settlement.net < 0 ? state.losingStreak + 1 : 0;
+  state.longestLosingStreak = Math.max(state.longestLosingStreak, state.losingStreak);
+
+  return true;
+}
+
+/**
+ * Bootstrap probability that the bankroll runs out within `horizon` tickets
+ * @param {Array<{cost, net}>} outcomes - Historical ticket outcomes
+ * @param {number} initial - Starting bankroll
+ */
+export function riskOfRuin(outcomes, initial, options = {}) {
+  const { simulations = DEFAULT_SIMULATIONS, horizon = outcomes.length, seed = 1 } = options;
+  if (outcomes.length === 0) return 0;
+
+  const random = seededRandom(seed);
+  let ruined = 0;
+
+  for (let s = 0; s < simulations; s++) {
+    let balance = initial;
+    for (let t = 0; t < horizon; t++) {
+      const outcome = outcomes[Math.floor(random() * outcomes.length)];
+      if (balance < outcome.cost) {
+        ruined++;
+        break;
+      }
+      balance += outcome.net;
+    }
+  }
+
+  return ruined / simulations;
+}
+
+function downsample(values, points = CURVE_POINTS) {
+  if (values.length <= points) return values;
+  const step = (values.length - 1) / (points - 1);
+  return Array.from({ length: points }, (_, i) => values[Math.round(i * step)]);
+}
+
+/**
+ * Final bankroll report
+ */
+export function summarizeBankroll(state, options = {}) {
+  const risk = riskOfRuin(state.outcomes, state.initial, options);
+
+  return {
+    initial: state.initial,
+    final: state.balance,
+    played: state.played,
+    peak: state.peak,
+    maxDrawdown: state.maxDrawdown,
+    maxDrawdownPct: state.peak > 0 ? parseFloat(((state.maxDrawdown / state.peak) * 100).toFixed(2)) : 0,
+    longestLosingStreak: state.longestLosingStreak,
+    ruinedAt: state.ruinedAt,
+    riskOfRuin: parseFloat((risk * 100).toFixed(2)),
+    curve: downsample(state.curve)
+  };
+}
+
+export default { createBankroll, playTicket, riskOfRuin, summarizeBankroll };
@@ -0,0 +1,103 @@
+/**
+ * Brain Versions CLI
+ *
+ * Inspect, diff, roll back or pin the stored weight versions of the brain.
+ * `--type` is a draw type id (default: the global prior), `--target` is
+ * winning (default) or machine.
+ *
+ * Usage:
+ *   npm run brain:versions -- list --type 3 --limit 20
+ *   npm run brain:versions -- diff --type 3 --from 12 --to 40
+ *   npm run brain:versions -- rollback --type 3 --version 12
+ *   npm run brain:versions -- pin --type 3 --version 12
+ *   npm run brain:versions -- unpin --type 3
+ */
+
+import brain from './brain.js';
+
+const [command = 'list', ...args] = process.argv.slice(2);
+const flag = (name) => {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : null;
+};
+
+const target = flag('--target') === 'machine' ? 'machine' : 'winning';
+const drawTypeId = flag('--type');
+const label = `${target}/${drawTypeId || 'global'}`;
+
+function formatWeights(weights) {
+  return Object.entries(weights).map(([k, v]) => `${k}=${v}`).join(' ');
+}
+
+function formatTrigger(trigger) {
+  if (!trigger) return '';
+  if (trigger.kind === 'learn') return `learn draw ${trigger.drawId ?? '?'} (${trigger.globalMatch}/5)`;
+  if (trigger.kind === 'rollback') return `rollback to v${trigger.toVersion}`;
+  if (trigger.kind === 'optimizer') return `optimizer (validation ${trigger.validation.before} → ${trigger.validation.after})`;
+  return trigger.kind;
+}
+
+function requireFlag(name) {
+  const value = flag(name);
+  if (!value) throw new Error(`Missing ${name}`);
+  return value;
+}
+
+async function main() {
+  switch (command) {
+    case 'list': {
+      const versions = await brain.listVersions(target, drawTypeId, parseInt(flag('--limit')) || 20);
+      console.log(`🧠 Weight versions ${label} (newest first)`);
+      console.log('─'.repeat(60));
+      if (versions.length === 0) console.log('   No versions stored yet.');
+      for (const v of versions) {
+        console.log(`   v${v.version}  ${v.created_at || ''}  ${formatTrigger(v.trigger)}`);
+        console.log(`        ${formatWeights(v.weights)}`);
+      }
+      break;
+    }
+
+    case 'diff': {
+      const diff = await brain.diffVersions(target, drawTypeId, requireFlag('--from'), requireFlag('--to'));
+      console.log(`🧠 ${label}: v${diff.from.version} → v${diff.to.version}`);
+      console.log('─'.repeat(60));
+      for (const [strategy, d] of Object.entries(diff.weights)) {
+        const sign = d.delta > 0 ? '+' : '';
+        console.log(`   ${strategy.padEnd(12)} ${String(d.from).padStart(6)} → ${String(d.to).padEnd(6)} (${sign}${d.delta})`);
+      }
+      break;
+    }
+
+    case 'rollback': {
+      const result = await brain.rollbackToVersion(target, drawTypeId, requireFlag('--version'));
+      console.log(`✅ ${label}: restored v${result.restoredFrom} as v${result.version}`);
+      console.log(`   ${formatWeights(result.weights)}`);
+      console.log('   Restart the server to load the restored weights.');
+      break;
+    }
+
+    case 'pin': {
+      const result = await brain.pinVersion(target, drawTypeId, requireFlag('--version'));
+      console.log(`📌 ${label}: pinned on v${result.version}`);
+      console.log('   Restart the server to apply the pin.');
+      break;
+    }
+
+    case 'unpin': {
+      const result = await brain.unpinVersion(target, drawTypeId);
+      console.log(result.unpinned
+        ? `✅ ${label}: unpinned (was v${result.unpinned})`
+        : `   ${label} was not pinned`);
+      break;
+    }
+
+    default:
+      console.log('Usage: npm run brain:versions -- <list|diff|rollback|pin|unpin> [--type id] [--target winning|machine]');
+      process.exitCode = 1;
+  }
+}
+
+main().catch(e => {
+  console.error('❌', e.message);
+  process.exit(1);
+});
@@ -1,21 +1,12 @@
-import { analyzeCycles } from './advanced-analyzer.js';
-import { extractNumbers, strategies } from './backtester.js';
-import supabase from './supabase-client.js';
+import { defaultWeights, ensembleStrategies, extractNumbers, getStrategy, signalNumbers } from './strategies.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
 
 // Default State
 const defaultBrain = {
   version: 1,
   lastTuned: null,
-  weights: {
-    hot: 0.15,
-    due: 0.15,
-    correlation: 0.15,
-    position: 0.10,
-    balanced: 0.10,
-    statistical: 0.20,
-    finales: 0.10,
-    lstm: 0.15
-  },
+  weights: defaultWeights(), // One per ensemble strategy (strategies.js)
   stats: {
     totalDraws: 0,
     totalHits: 0,
@@ -23,28 +14,56 @@ const defaultBrain = {
     byType: {}
   },
   history: [],
-  lastAnalyzedDraw: [] 
+  lastAnalyzedDraw: [],
+  ledger: {}, // drawTypeId -> { lastDate, lastId, recent } (see LEARNING LEDGER)
+  profiles: {}, // drawTypeId -> { weights, learnedDraws, lastTuned, weightsVersion }
+  weightsVersion: 0, // Latest stored version of the global weights
+  pins: {} // drawTypeId | 'global' -> { version, weights, pinnedAt }
 };
 
+// A type's own weights only take over as it learns: with n learned draws the
+// effective weights are (n·type + PRIOR_STRENGTH·global) / (n + PRIOR_STRENGTH)
+const PRIOR_STRENGTH = 30;
+
 // In-memory cache
 let brainCache = {
   winning: null,
   machine: null
 };
 
+// updated_at of the stored brain each cached copy matches (ms). The rebuild,
+// optimizer and version CLIs save from other processes: a different stamp
+// means the cache is stale and must be read again before learning on it.
+const cacheStamps = {
+  winning: null,
+  machine: null
+};
+const pendingLoads = {};
+
+const stampOf = (value) => (value ? new Date(value).getTime() : null);
+
 export async function loadBrain(type = 'winning') {
-  // Try memory cache first
-  if (brainCache[type]) return brainCache[type];
-  
+  // Memory cache first, unless another process saved since it was read
+  if (brainCache[type]) {
+    const { data: stamp, error } = await storage.fetchMemoryStamp(type);
+    if (error || !stamp || stampOf(stamp) === cacheStamps[type]) return brainCache[type];
+    console.log(`🔄 Brain (${type}) was saved by another process, reloading...`);
+  }
+
+  // One read at a time, so concurrent learn() calls share the same object and ledger
+  if (!pendingLoads[type]) {
+    pendingLoads[type] = readBrain(type).finally(() => { pendingLoads[type] = null; });
+  }
+  return pendingLoads[type];
+}
+
+async function readBrain(type) {
   try {
-    const { data, error } = await supabase
-      .from('ai_memory')
-      .select('data')
-      .eq('id', type)
-      .single();
+    const { data, updatedAt, error } = await storage.loadMemory(type);
+    if (error) throw new Error(error.message);
       
-    if (data && data.data) {
-      const brainData = data.data;
+    if (data) {
+      const brainData = data;
       
       // MIGRATION LOGIC (On load from DB)
       if (!brainData.stats) {
@@ -68,9 +87,31 @@ export async function loadBrain(type = 'winning') {
          }
       }
       
+      if (!brainData.profiles) brainData.profiles = {};
+      if (!brainData.pins) brainData.pins = {};
+      // Ledgers used to list every learned draw id
+      for (const [key, entry] of Object.entries(brainData.ledger || {})) {
+        if (Array.isArray(entry)) {
+          brainData.ledger[key] = { lastDate: null, lastId: null, recent: entry.slice(-RECENT_LEDGER_SIZE) };
+        }
+      }
+      if (!brainData.weightsVersion) brainData.weightsVersion = 0;
+      for (const profile of Object.values(brainData.profiles)) {
+        for (const key in defaultBrain.weights) {
+          if (profile.weights[key] === undefined) profile.weights[key] = brainData.weights[key];
+        }
+      }
+      
       brainCache[type] = brainData;
+      cacheStamps[type] = stampOf(updatedAt);
       return brainData;
     }
+
+    // Nothing stored yet: start from the defaults (cached so concurrent
+    // learn() calls share the same object and ledger)
+    brainCache[type] = JSON.parse(JSON.stringify(defaultBrain));
+    cacheStamps[type] = null;
+    return brainCache[type];
   } catch (e) {
     console.error(`Error loading brain (${type}):`, e.message);
   }
@@ -85,121 +126,105 @@ export async function saveBrain(data, type = 'winning') {
   
   // Persist to DB
   try {
-    const { error } = await supabase
-      .from('ai_memory')
-      .upsert({ 
-        id: type, 
-        data: data,
-        updated_at: new Date()
-      });
+    const { data: rows, error } = await storage.saveMemory(type, data);
       
     if (error) console.error(`Failed to save brain (${type}):`, error.message);
+    // Our own write must not look like another process's
+    else if (brainCache[type] === data) cacheStamps[type] = stampOf(rows?.[0]?.updated_at);
   } catch (e) {
     console.error(`Error saving brain (${type}):`, e.message);
   }
 }
 
+/**
+ * Effective weights for a draw type: its own profile blended with the
+ * global prior (pure global weights when the type has no profile yet).
+ * Pinned versions replace the learned weights of their profile.
+ */
+export function resolveWeights(brain, drawTypeId = null) {
+  // A pinned version wins over anything learned since
+  const typePin = drawTypeId ? brain.pins?.[String(drawTypeId)] : null;
+  if (typePin) return { ...typePin.weights };
+
+  const prior = brain.pins?.global?.weights || brain.weights;
+  const profile = drawTypeId ? brain.profiles?.[String(drawTypeId)] : null;
+  if (!profile) return { ...prior };
+
+  return blendWeights(prior, profile.weights, profile.learnedDraws);
+}
+
+/**
+ * Shrink a type's own weights toward the prior according to its history
+ */
+export function blendWeights(prior, own, learnedDraws = 0) {
+  if (!learnedDraws) return { ...prior };
+
+  const share = learnedDraws / (learnedDraws + PRIOR_STRENGTH);
+  const blended = {};
+  for (const key in prior) {
+    blended[key] = share * (own[key] ?? prior[key]) + (1 - share) * prior[key];
+  }
+
+  const sum = Object.values(blended).reduce((a, b) => a + b, 0);
+  for (const key in blended) {
+    blended[key] = parseFloat((blended[key] / sum).toFixed(4));
+  }
+  return blended;
+}
+
 // Sync function for compatibility (returns cache or default, triggers async load)
-export function getWeights(type = 'winning') {
-  if (brainCache[type]) return brainCache[type].weights;
+export function getWeights(type = 'winning', drawTypeId = null) {
+  if (brainCache[type]) return resolveWeights(brainCache[type], drawTypeId);
   // If not loaded, trigger load and return default for now
   loadBrain(type).catch(console.error);
-  return defaultBrain.weights;
+  return { ...defaultBrain.weights };
 }
 
 /**
  * Shared scoring logic used by both Server (prediction) and Brain (learning)
  */
 export function calculateNumberScores(draws, weights, type = 'winning', externalScores = {}) {
-  // Pre-calculate needed analysis
-  const cycles = analyzeCycles(draws, type);
-  
-  const numberScores = {};
-  const strategyVotes = {}; // Track consensus
-  
-  for (let i = 1; i <= 90; i++) {
-      numberScores[i] = 0;
-      strategyVotes[i] = 0;
+  return combineStrategySignals(computeStrategySignals(draws, type, externalScores), weights);
+}
+
+/**
+ * Run every strategy once (the weight-independent half of the scoring)
+ * Lets callers score many weight vectors on the same history cheaply.
+ * @returns {Object} Each ensemble strategy's signal by key, plus votes:
+ *   the number of strategies with each number in their top 5
+ */
+export function computeStrategySignals(draws, type = 'winning', externalScores = {}) {
+  const signals = { votes: {} };
+  for (let i = 1; i <= 90; i++) signals.votes[i] = 0;
+  
+  for (const strategy of ensembleStrategies()) {
+    signals[strategy.key] = strategy.signal(draws, type, strategy.params, externalScores);
+    signalNumbers(signals[strategy.key]).slice(0, 5).forEach(num => {
+      signals.votes[num] = (signals.votes[num] || 0) + 1;
+    });
   }
   
-  const addVote = (num) => {
-      const n = parseInt(num);
-      strategyVotes[n] = (strategyVotes[n] || 0) + 1;
-  };
-  
-  // 1. Cycle-based (Due)
-  const dueNumbers = Object.entries(cycles)
-    .filter(([_, stats]) => stats.cycleCount >= 5)
-    .sort((a, b) => b[1].dueScore - a[1].dueScore)
-    .slice(0, 15);
-  
-  dueNumbers.forEach(([num, stats], idx) => {
-    // Normalization: dueScore is capped at 200 in analyzer.
-    // We dampen it slightly so it doesn't purely dominate.
-    const score = weights.due * (15 - idx) / 15 * (Math.min(stats.dueScore, 150) / 150);
-    numberScores[parseInt(num)] += score;
-    if (idx < 5) addVote(num); // Top 5
-  });
-  
-  // 2. Hot Numbers
-  const hotNumbers = strategies.hot(draws, 15, type);
-  hotNumbers.forEach((num, idx) => {
-    numberScores[num] += weights.hot * (15 - idx) / 15;
-    if (idx < 5) addVote(num);
-  });
-  
-  // 3. Position-based
-  const positionNumbers = strategies.position(draws, type);
-  positionNumbers.forEach((num, idx) => {
-    numberScores[num] += (weights.position * 2.0); 
-    if (idx < 5) addVote(num);
-  });
-  
-  // 4. Correlation-based
-  const correlationNumbers = strategies.correlation(draws, 15, type);
-  correlationNumbers.forEach((num, idx) => {
-    const boost = (weights.correlation || 0.1);
-    numberScores[num] += boost * (15 - idx) / 15;
-    if (idx < 5) addVote(num);
-  });
-  
-  // 5. Balanced
-  const balancedNumbers = strategies.balanced(draws, 15, type);
-  balancedNumbers.forEach((num, idx) => {
-    let multiplier = 3.0; // Base boost
-    if (idx >= 5) {
-        multiplier = 1.0 + (2.0 * (15-idx)/10); 
+  return signals;
+}
+
+/**
+ * Weighted combination of precomputed strategy signals into per-number scores
+ * A strategy missing from the weights uses its default weight.
+ */
+export function combineStrategySignals(signals, weights) {
+  const numberScores = {};
+  for (let i = 1; i <= 90; i++) numberScores[i] = 0;
+  const strategyVotes = signals.votes;
+  
+  // 1. Each strategy's points, in registry order
+  for (const strategy of ensembleStrategies()) {
+    const points = strategy.score(signals[strategy.key] || [], weights[strategy.key] ?? strategy.weight, strategy.params);
+    for (const [num, score] of Object.entries(points)) {
+      numberScores[num] += score;
     }
-    numberScores[num] += (weights.balanced * multiplier);
-    if (idx < 5) addVote(num);
-  });
-  
-  // 6. Statistical
-  const statisticalNumbers = strategies.statistical(draws, 15, type);
-  statisticalNumbers.forEach((num, idx) => {
-    const boost = (weights.statistical || 0.1);
-    numberScores[num] += boost * (15 - idx) / 15;
-    if (idx < 5) addVote(num);
-  });
-  
-  // 7. Last Digits (Finales)
-  const finalesNumbers = strategies.finales(draws, 15, type);
-  finalesNumbers.forEach((num, idx) => {
-    const boost = (weights.finales || 0.1);
-    numberScores[num] += boost * (15 - idx) / 15;
-    if (idx < 5) addVote(num);
-  });
-  
-  // 8. Deep Learning (LSTM) - New
-  if (externalScores.lstm && externalScores.lstm.length > 0) {
-      externalScores.lstm.forEach((num, idx) => {
-          const boost = (weights.lstm || 0.15);
-          numberScores[num] += boost * (15 - idx) / 15;
-          if (idx < 5) addVote(num);
-      });
   }
   
-  // 9. Tactical Neighbors (Heat Zone)
+  // 2. Tactical Neighbors (Heat Zone)
   // Redistribute some score from top candidates to their neighbors (±1)
   
   // Get current top candidates (score > 0)
@@ -225,7 +250,7 @@ export function calculateNumberScores(draws, weights, type = 'winning', external
     });
   });
   
-  // 9. SYNERGY BOOST (Consensus Amplifier)
+  // 3. SYNERGY BOOST (Consensus Amplifier)
   // If multiple independent strategies recommend a number, it deserves a non-linear boost.
   for (let i = 1; i <= 90; i++) {
       const votes = strategyVotes[i];
@@ -247,24 +272,140 @@ export function calculateNumberScores(draws, weights, type = 'winning', external
   return numberScores;
 }
 
-export async function learn(actualDraw, allDraws, drawTypeId = null, type = 'winning') {
-  console.log(`🧠 Brain Learning Process Started (Type: ${drawTypeId || 'Global'}, Target: ${type})...`);
-  const brain = await loadBrain(type);
-  let weights = { ...brain.weights };
-  
-  // Convert actualDraw to numbers
-  actualDraw = actualDraw.map(n => parseInt(n));
-  
-  // Prepare Training Data (All draws EXCEPT the one we are learning from)
-  const trainingData = allDraws.filter(d => {
+/**
+ * Rank all numbers by score (highest first)
+ * @returns {Array<{number: number, score: number}>}
+ */
+export function rankNumberScores(numberScores) {
+  return Object.entries(numberScores)
+    .map(([num, score]) => ({ number: parseInt(num), score: parseFloat(score.toFixed(4)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick the top candidates while allowing at most 2 numbers per decade,
+ * then fill any remaining slots by pure rank (production ticket selection)
+ */
+export function selectBalancedNumbers(rankedNumbers, count = 5) {
+  const selected = [];
+  for (const candidate of rankedNumbers) {
+    if (selected.length >= count) break;
+    const decade = Math.floor((candidate.number - 1) / 10);
+    const decadeCount = selected.filter(n => Math.floor((n.number - 1) / 10) === decade).length;
+    if (decadeCount < 2) {
+      selected.push(candidate);
+    }
+  }
+
+  // Fill if needed
+  for (const candidate of rankedNumbers) {
+    if (selected.length >= count) break;
+    if (!selected.find(s => s.number === candidate.number)) {
+      selected.push(candidate);
+    }
+  }
+
+  return selected;
+}
+
+// =============================================================================
+// LEARNING LEDGER
+// =============================================================================
+// Each brain (winning / machine) remembers, per draw type, the latest draw it
+// learned from (date and id) and the ids of the last RECENT_LEDGER_SIZE ones,
+// so the same result is never learned twice no matter how often the dashboard
+// or the refresh loop triggers learning. Draws dated before the latest one
+// count as learned: results are learned in date order (rebuildBrain replays
+// late-stored draws).
+
+const RECENT_LEDGER_SIZE = 50;
+
+function ledgerKey(drawTypeId) {
+  return drawTypeId ? String(drawTypeId) : 'global';
+}
+
+/**
+ * @param {string} drawDate - Date of the draw (YYYY-MM-DD), when known
+ */
+export function hasLearned(brain, drawId, drawTypeId = null, drawDate = null) {
+  const entry = brain.ledger?.[ledgerKey(drawTypeId)];
+  if (!entry) return false;
+  if (entry.recent.some(id => String(id) === String(drawId))) return true;
+  return Boolean(drawDate && entry.lastDate && drawDate < entry.lastDate);
+}
+
+function markLearned(brain, drawId, drawTypeId = null, drawDate = null) {
+  if (!brain.ledger) brain.ledger = {};
+  const key = ledgerKey(drawTypeId);
+  const entry = brain.ledger[key] || (brain.ledger[key] = { lastDate: null, lastId: null, recent: [] });
+
+  entry.recent.push(drawId);
+  if (entry.recent.length > RECENT_LEDGER_SIZE) entry.recent.splice(0, entry.recent.length - RECENT_LEDGER_SIZE);
+  if (drawDate && (!entry.lastDate || drawDate >= entry.lastDate)) {
+    entry.lastDate = drawDate;
+    entry.lastId = drawId;
+  }
+}
+
+/**
+ * Draws the brain may look at when learning from a given draw
+ * With a known draw id: strictly the draws before it (replay-safe).
+ * Otherwise: every draw except ones identical to the result.
+ */
+function trainingDataFor(actualDraw, allDraws, drawId, type) {
+  if (drawId !== null && drawId !== undefined) {
+    const idx = allDraws.findIndex(d => String(d.id) === String(drawId));
+    if (idx >= 0) return allDraws.slice(0, idx);
+  }
+
+  return allDraws.filter(d => {
       const drawn = extractNumbers(d, type);
       // Skip if identical to the one we are predicting (to avoid data leakage)
       const isSame = drawn.every(n => actualDraw.includes(n));
       return !isSame;
   });
+}
+
+/**
+ * One reinforcement step on a weight vector from the strategies' scores
+ * @returns {Object} New normalized weights
+ */
+function adjustWeights(currentWeights, stratScores) {
+  const weights = { ...currentWeights };
+  const LEARNING_RATE = 0.05; 
+  
+  for (const strategy in weights) {
+    if (getStrategy(strategy)?.tunable === false) continue; // e.g. LSTM (tuned externally)
+    
+    const score = stratScores[strategy] || 0;
+    
+    if (score >= 3) {
+       weights[strategy] += (LEARNING_RATE * 2); 
+    } else if (score >= 1) {
+       weights[strategy] += LEARNING_RATE; 
+    } else {
+       weights[strategy] -= (LEARNING_RATE * 0.5); 
+    }
+    
+    weights[strategy] = Math.max(0.05, Math.min(0.60, weights[strategy]));
+  }
+  
+  // Normalize
+  const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+  for (const key in weights) {
+    weights[key] = parseFloat((weights[key] / sum).toFixed(2));
+  }
+  
+  return weights;
+}
 
-  // 1. Evaluate Ensemble Performance (Global Score) using rules BEFORE update
-  const scores = calculateNumberScores(trainingData, weights, type);
+/**
+ * Update stats and weights of a brain object in place from one result
+ * @returns {number} Matches of the ensemble's top 5 for this draw
+ */
+function applyLearning(brain, actualDraw, trainingData, drawTypeId, type, drawId = null) {
+  // 1. Evaluate Ensemble Performance with the weights this type uses, BEFORE update
+  const scores = calculateNumberScores(trainingData, resolveWeights(brain, drawTypeId), type);
   
   // Pick top 5 predictions of the ensemble
   const top5 = Object.entries(scores)
@@ -291,20 +432,15 @@ export async function learn(actualDraw, allDraws, drawTypeId = null, type = 'win
       typeStats.totalHits += globalMatches;
       typeStats.accuracy = (typeStats.totalHits / (typeStats.totalDraws * 5)) * 100;
   }
-  
-  console.log(`🧠 Prediction for this draw: [${top5.join(', ')}] matched ${globalMatches}/5`);
 
   // 2. Individual Strategy Scoring (for Weight Tuning)
-  // Note: We use synchronous strategies here (which is fine)
-  const predictions = {
-    hot: strategies.hot(trainingData, 10, type),
-    due: strategies.due(trainingData, 10, type),
-    correlation: strategies.correlation(trainingData, 10, type),
-    position: strategies.position(trainingData, type),
-    balanced: strategies.balanced(trainingData, 10, type),
-    statistical: strategies.statistical(trainingData, 10, type),
-    finales: strategies.finales(trainingData, 10, type)
-  };
+  // Every tunable ensemble strategy picks 10 numbers on its own
+  const predictions = {};
+  for (const strategy of ensembleStrategies()) {
+    if (strategy.tunable && strategy.pick) {
+      predictions[strategy.key] = strategy.pick(trainingData, 10, type);
+    }
+  }
   
   const stratScores = {};
   for (const [strategy, preds] of Object.entries(predictions)) {
@@ -320,52 +456,355 @@ export async function learn(actualDraw, allDraws, drawTypeId = null, type = 'win
   }
   
   // 3. Adjust Weights (Reinforcement Learning)
-  const LEARNING_RATE = 0.05; 
+  // The global prior learns from every type, the profile only from its own.
+  // Pinned profiles keep their weights; each change becomes a new version.
+  const changes = [];
+  let typeWeights = null;
+  
+  if (!brain.pins?.global) {
+    const parentVersion = brain.weightsVersion || 0;
+    brain.weights = adjustWeights(brain.weights, stratScores);
+    brain.weightsVersion = parentVersion + 1;
+    changes.push({ key: 'global', version: brain.weightsVersion, parentVersion, weights: { ...brain.weights } });
+  }
   
-  for (const strategy in weights) {
-    if (strategy === 'lstm') continue; // Skip LSTM tuning (handled externally)
-    
-    const score = stratScores[strategy] || 0;
-    
-    if (score >= 3) {
-       weights[strategy] += (LEARNING_RATE * 2); 
-    } else if (score >= 1) {
-       weights[strategy] += LEARNING_RATE; 
-    } else {
-       weights[strategy] -= (LEARNING_RATE * 0.5); 
+  if (drawTypeId) {
+    if (!brain.profiles) brain.profiles = {};
+    const key = String(drawTypeId);
+    if (!brain.profiles[key]) {
+      brain.profiles[key] = { weights: { ...brain.weights }, learnedDraws: 0, lastTuned: null, weightsVersion: 0 };
     }
+    const profile = brain.profiles[key];
+    profile.learnedDraws++;
     
-    weights[strategy] = Math.max(0.05, Math.min(0.60, weights[strategy]));
-  }
-  
-  // Normalize
-  const sum = Object.values(weights).reduce((a, b) => a + b, 0);
-  for (const key in weights) {
-    weights[key] = parseFloat((weights[key] / sum).toFixed(2));
+    if (!brain.pins?.[key]) {
+      const parentVersion = profile.weightsVersion || 0;
+      profile.weights = adjustWeights(profile.weights, stratScores);
+      profile.lastTuned = new Date().toISOString();
+      profile.weightsVersion = parentVersion + 1;
+      changes.push({ key, version: profile.weightsVersion, parentVersion, weights: { ...profile.weights } });
+    }
+    typeWeights = { ...profile.weights };
   }
   
   // Save
   brain.lastTuned = new Date().toISOString();
   brain.lastAnalyzedDraw = actualDraw;
-  brain.weights = weights;
+  const weights = brain.weights;
   
   if (!brain.history) brain.history = [];
   brain.history.push({
     date: new Date().toISOString(),
+    drawId,
+    drawTypeId,
     draw: actualDraw,
     scores: stratScores,
     globalMatch: globalMatches,
-    newWeights: {...weights}
+    newWeights: {...weights},
+    typeWeights
   });
   
   if (brain.history.length > 50) brain.history.shift(); 
+
+  return { top5, globalMatches, stratScores, changes };
+}
+
+/**
+ * Learn from one draw result (idempotent when drawId is given)
+ * @param {number[]} actualDraw - The 5 drawn numbers
+ * @param {Object[]} allDraws - Chronological draws of the type
+ * @param {number|string} drawTypeId - Draw type of the result
+ * @param {string} type - 'winning' or 'machine'
+ * @param {number|string} drawId - Id of the draw row (ledger key)
+ * @returns {Promise<Object>} Current effective weights for the draw type
+ */
+export async function learn(actualDraw, allDraws, drawTypeId = null, type = 'winning', drawId = null) {
+  const brain = await loadBrain(type);
+
+  if (drawId !== null && drawId !== undefined) {
+    const drawDate = allDraws.find(d => String(d.id) === String(drawId))?.draw_date?.slice(0, 10) || null;
+    if (hasLearned(brain, drawId, drawTypeId, drawDate)) {
+      return resolveWeights(brain, drawTypeId);
+    }
+    // Claim the draw before any await so concurrent calls skip it
+    markLearned(brain, drawId, drawTypeId, drawDate);
+  }
+
+  console.log(`🧠 Brain Learning Process Started (Type: ${drawTypeId || 'Global'}, Target: ${type}, Draw: ${drawId ?? 'unknown'})...`);
+  
+  // Convert actualDraw to numbers
+  actualDraw = actualDraw.map(n => parseInt(n));
+  
+  // Prepare Training Data (only what was known before this result)
+  const trainingData = trainingDataFor(actualDraw, allDraws, drawId, type);
+
+  const { top5, globalMatches, stratScores, changes } = applyLearning(brain, actualDraw, trainingData, drawTypeId, type, drawId);
+  console.log(`🧠 Prediction for this draw: [${top5.join(', ')}] matched ${globalMatches}/5`);
   
   await saveBrain(brain, type);
-  return weights;
+  await recordVersions(type, changes, {
+    kind: 'learn',
+    drawId,
+    drawTypeId,
+    scores: stratScores,
+    globalMatch: globalMatches
+  });
+  return resolveWeights(brain, drawTypeId);
 }
 
-export async function getBrainStatus(type = 'winning') {
-  return await loadBrain(type);
+/**
+ * Rebuild a brain from scratch by replaying every stored draw in date order
+ * Same data + same code = same weights, whatever the dashboard traffic was.
+ * @param {string} type - 'winning' or 'machine'
+ * @param {Object} options
+ * @param {number} options.minHistory - Draws of a type needed before learning from it
+ * @param {boolean} options.save - Persist the result (false = dry run)
+ * @param {Function} options.onProgress - Called with (done, total)
+ */
+export async function rebuildBrain(type = 'winning', options = {}) {
+  const { minHistory = 50, save = true, onProgress = null } = options;
+
+  const { data: drawTypes, error } = await storage.fetchDrawTypes('id, name');
+  if (error) throw new Error(`Failed to fetch draw types: ${error.message}`);
+
+  // One chronological history per type, one replay queue across all types
+  const queue = [];
+  for (const drawType of drawTypes) {
+    const { data: draws, error: drawsError } = await fetchCleanDraws({ drawTypeId: drawType.id });
+    if (drawsError) throw new Error(`Failed to fetch draws for ${drawType.name}: ${drawsError.message}`);
+
+    draws.forEach((draw, idx) => {
+      if (idx >= minHistory) queue.push({ drawTypeId: drawType.id, draws, idx });
+    });
+  }
+
+  queue.sort((a, b) => {
+    const da = a.draws[a.idx].draw_date;
+    const db = b.draws[b.idx].draw_date;
+    if (da !== db) return da < db ? -1 : 1;
+    if (a.drawTypeId !== b.drawTypeId) return a.drawTypeId < b.drawTypeId ? -1 : 1;
+    return a.idx - b.idx;
+  });
+
+  const brain = JSON.parse(JSON.stringify(defaultBrain));
+  brain.ledger = {};
+  // Pins are operator decisions, they survive a rebuild
+  brain.pins = { ...((await loadBrain(type)).pins || {}) };
+
+  for (let i = 0; i < queue.length; i++) {
+    const { drawTypeId, draws, idx } = queue[i];
+    const draw = draws[idx];
+    const actual = extractNumbers(draw, type);
+
+    if (actual.length === 5) {
+      applyLearning(brain, actual, draws.slice(0, idx), drawTypeId, type, draw.id);
+      markLearned(brain, draw.id, drawTypeId, draw.draw_date.slice(0, 10));
+    }
+
+    if (onProgress) onProgress(i + 1, queue.length);
+  }
+
+  brain.rebuiltAt = new Date().toISOString();
+
+  if (save) {
+    // Versions continue after the ones already stored (they are never reused)
+    const changes = [];
+    for (const [key, holder] of [['global', brain], ...Object.entries(brain.profiles)]) {
+      const parentVersion = await latestVersionNumber(type, key);
+      holder.weightsVersion = parentVersion + 1;
+      changes.push({ key, version: holder.weightsVersion, parentVersion, weights: { ...holder.weights } });
+    }
+
+    await saveBrain(brain, type);
+    await recordVersions(type, changes, { kind: 'rebuild', learnedDraws: brain.stats.totalDraws });
+  }
+  return brain;
+}
+
+// =============================================================================
+// WEIGHT VERSIONS
+// =============================================================================
+// Every weight change is appended to brain_versions (never updated), keyed by
+// target ('winning' / 'machine') and profile key (draw type id or 'global').
+
+function profileKey(drawTypeId) {
+  return drawTypeId && drawTypeId !== 'global' ? String(drawTypeId) : 'global';
+}
+
+async function latestVersionNumber(type, key) {
+  const { data, error } = await storage.fetchBrainVersions(type, key, 1);
+  if (error) throw new Error(`Failed to read brain versions: ${error.message}`);
+  return data[0]?.version || 0;
+}
+
+async function recordVersions(type, changes, trigger) {
+  for (const change of changes) {
+    const { error } = await storage.saveBrainVersion({
+      target: type,
+      draw_type_key: change.key,
+      version: change.version,
+      parent_version: change.parentVersion || null,
+      weights: change.weights,
+      trigger
+    });
+    if (error) console.error(`Failed to record brain version (${type}/${change.key} v${change.version}):`, error.message);
+  }
+}
+
+async function getVersionOrThrow(type, key, version) {
+  const { data, error } = await storage.fetchBrainVersion(type, key, parseInt(version));
+  if (error) throw new Error(`Failed to read brain version: ${error.message}`);
+  if (!data) throw new Error(`Version ${version} not found for ${type}/${key}`);
+  return data;
+}
+
+/**
+ * Stored weight versions of one profile, newest first
+ */
+export async function listVersions(type = 'winning', drawTypeId = null, limit = 50) {
+  const { data, error } = await storage.fetchBrainVersions(type, profileKey(drawTypeId), limit);
+  if (error) throw new Error(`Failed to read brain versions: ${error.message}`);
+  return data;
+}
+
+/**
+ * Per-strategy difference between two weight vectors
+ */
+export function diffWeights(fromWeights, toWeights) {
+  const keys = new Set([...Object.keys(fromWeights), ...Object.keys(toWeights)]);
+  const diff = {};
+  for (const key of keys) {
+    const from = fromWeights[key] ?? 0;
+    const to = toWeights[key] ?? 0;
+    diff[key] = { from, to, delta: parseFloat((to - from).toFixed(4)) };
+  }
+  return diff;
+}
+
+export async function diffVersions(type, drawTypeId, fromVersion, toVersion) {
+  const key = profileKey(drawTypeId);
+  const from = await getVersionOrThrow(type, key, fromVersion);
+  const to = await getVersionOrThrow(type, key, toVersion);
+  return {
+    target: type,
+    drawTypeKey: key,
+    from: { version: from.version, created_at: from.created_at, trigger: from.trigger },
+    to: { version: to.version, created_at: to.created_at, trigger: to.trigger },
+    weights: diffWeights(from.weights, to.weights)
+  };
+}
+
+/**
+ * Replace the weights of a profile, recorded as a new version
+ * @param {Object} trigger - Why the weights changed ({ kind: 'rollback' | 'optimizer', ... })
+ */
+export async function commitWeights(type, drawTypeId, weights, trigger) {
+  const key = profileKey(drawTypeId);
+  const brain = await loadBrain(type);
+
+  let holder = brain;
+  if (key !== 'global') {
+    if (!brain.profiles[key]) {
+      brain.profiles[key] = { weights: { ...brain.weights }, learnedDraws: 0, lastTuned: null, weightsVersion: 0 };
+    }
+    holder = brain.profiles[key];
+  }
+
+  const parentVersion = holder.weightsVersion || 0;
+  holder.weights = { ...weights };
+  holder.weightsVersion = parentVersion + 1;
+
+  await saveBrain(brain, type);
+  await recordVersions(type, [{ key, version: holder.weightsVersion, parentVersion, weights: { ...holder.weights } }], trigger);
+
+  return { target: type, drawTypeKey: key, version: holder.weightsVersion, weights: holder.weights };
+}
+
+/**
+ * Restore the weights of an old version (recorded as a new version)
+ */
+export async function rollbackToVersion(type, drawTypeId, version) {
+  const target = await getVersionOrThrow(type, profileKey(drawTypeId), version);
+  const result = await commitWeights(type, drawTypeId, target.weights, {
+    kind: 'rollback',
+    toVersion: target.version
+  });
+
+  return { ...result, restoredFrom: target.version };
+}
+
+/**
+ * Freeze a profile on a version: predictions use it and learning no longer
+ * changes that profile's weights until it is unpinned
+ */
+export async function pinVersion(type, drawTypeId, version) {
+  const key = profileKey(drawTypeId);
+  const target = await getVersionOrThrow(type, key, version);
+  const brain = await loadBrain(type);
+
+  brain.pins[key] = { version: target.version, weights: { ...target.weights }, pinnedAt: new Date().toISOString() };
+  await saveBrain(brain, type);
+  return { target: type, drawTypeKey: key, ...brain.pins[key] };
+}
+
+export async function unpinVersion(type, drawTypeId) {
+  const key = profileKey(drawTypeId);
+  const brain = await loadBrain(type);
+  const previous = brain.pins[key] || null;
+
+  delete brain.pins[key];
+  await saveBrain(brain, type);
+  return { target: type, drawTypeKey: key, unpinned: previous ? previous.version : null };
+}
+
+/**
+ * Brain state; with a drawTypeId, `weights` are that type's effective weights
+ * and the global prior is returned as `globalWeights`
+ */
+export async function getBrainStatus(type = 'winning', drawTypeId = null) {
+  const brain = await loadBrain(type);
+  if (!drawTypeId) return brain;
+
+  const profile = brain.profiles?.[String(drawTypeId)] || null;
+  const learnedDraws = profile?.learnedDraws || 0;
+
+  return {
+    ...brain,
+    drawTypeId: String(drawTypeId),
+    weights: resolveWeights(brain, drawTypeId),
+    globalWeights: brain.weights,
+    profile: {
+      learnedDraws,
+      ownWeights: profile ? profile.weights : null,
+      // Share of the type's own weights in the blend (the rest is the global prior)
+      share: parseFloat((learnedDraws / (learnedDraws + PRIOR_STRENGTH)).toFixed(3)),
+      lastTuned: profile?.lastTuned || null,
+      weightsVersion: profile?.weightsVersion || 0,
+      pinned: brain.pins?.[String(drawTypeId)] || null
+    }
+  };
 }
 
-export default { getWeights, learn, getBrainStatus, calculateNumberScores, loadBrain, saveBrain };
+export default {
+  getWeights,
+  resolveWeights,
+  blendWeights,
+  learn,
+  rebuildBrain,
+  hasLearned,
+  listVersions,
+  diffVersions,
+  diffWeights,
+  commitWeights,
+  rollbackToVersion,
+  pinVersion,
+  unpinVersion,
+  getBrainStatus,
+  calculateNumberScores,
+  computeStrategySignals,
+  combineStrategySignals,
+  rankNumberScores,
+  selectBalancedNumbers,
+  loadBrain,
+  saveBrain
+};
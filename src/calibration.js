@@ -0,0 +1,331 @@
+/**
+ * Calibration Module
+ *
+ * Turns ensemble scores into calibrated per-number hit probabilities.
+ * The feature is a number's score relative to the best score of the same
+ * prediction (0..1); an isotonic regression (pool adjacent violators) maps it
+ * to the observed hit frequency on walk-forward backtests.
+ *
+ * Fitted models are stored in ai_memory ('calibration-winning' /
+ * 'calibration-machine') with a reliability diagram measured on held-out
+ * draws. Without a fitted model every number gets the random rate 5/90.
+ *
+ * Usage:
+ *   npm run calibrate -- --window 300
+ *   Flags: --target machine  --window <n>  --validation <share>  --min-history <n>  --dry-run
+ */
+
+import { combineStrategySignals, loadBrain, resolveWeights } from './brain.js';
+import { RANDOM_EXPECTED_HITS, POOL_SIZE } from './significance.js';
+import { prepareSamples, splitSamples } from './weight-optimizer.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
+
+const BASE_RATE = RANDOM_EXPECTED_HITS / 5; // 5/90 per number
+const RELIABILITY_BINS = 10;
+const MIN_TYPE_SAMPLES = 150; // Draws needed for a type-specific model
+const CACHE_TTL = 10 * 60 * 1000;
+// Pseudo-observations at the base rate added to each isotonic step, so thin
+// steps at the extremes cannot claim 0% or 100%
+const PRIOR_COUNT = 200;
+
+const memoryId = (target) => `calibration-${target}`;
+
+// =============================================================================
+// ISOTONIC REGRESSION
+// =============================================================================
+
+/**
+ * Relative score of every number (score / best score of the prediction)
+ */
+function relativeScores(numberScores) {
+  const top = Math.max(...Object.values(numberScores));
+  const result = {};
+  for (const [num, score] of Object.entries(numberScores)) {
+    result[num] = top > 0 ? score / top : 0;
+  }
+  return result;
+}
+
+/**
+ * Pool adjacent violators: non-decreasing step function fitted to (x, y),
+ * each step shrunk towards the base rate
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{xMin: number, xMax: number, p: number, n: number}>}
+ */
+export function fitIsotonic(points) {
+  const sorted = points.slice().sort((a, b) => a.x - b.x);
+  const blocks = [];
+
+  for (const { x, y } of sorted) {
+    blocks.push({ xMin: x, xMax: x, sum: y, n: 1 });
+    // Merge while the last two blocks are out of order (or tied)
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sum / prev.n < last.sum / last.n) break;
+      prev.xMax = last.xMax;
+      prev.sum += last.sum;
+      prev.n += last.n;
+      blocks.pop();
+    }
+  }
+
+  // Shrinking can reorder neighbouring steps: keep the curve non-decreasing
+  let floor = 0;
+  return blocks.map(b => {
+    floor = Math.max(floor, (b.sum + PRIOR_COUNT * BASE_RATE) / (b.n + PRIOR_COUNT));
+    return {
+      xMin: parseFloat(b.xMin.toFixed(4)),
+      xMax: parseFloat(b.xMax.toFixed(4)),
+      p: parseFloat(floor.toFixed(5)),
+      n: b.n
+    };
+  });
+}
+
+/**
+ * Probability for a relative score from fitted blocks
+ */
+export function predictIsotonic(blocks, x) {
+  if (!blocks || blocks.length === 0) return BASE_RATE;
+
+  let lo = 0;
+  let hi = blocks.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (blocks[mid].xMax < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return blocks[lo].p;
+}
+
+// =============================================================================
+// FITTING
+// =============================================================================
+
+function samplesToPoints(samples, weights) {
+  const points = [];
+  for (const sample of samples) {
+    const relative = relativeScores(combineStrategySignals(sample.signals, weights));
+    for (let n = 1; n <= POOL_SIZE; n++) {
+      points.push({ x: relative[n], y: sample.actual.includes(n) ? 1 : 0 });
+    }
+  }
+  return points;
+}
+
+/**
+ * Reliability diagram (quantile bins) and Brier scores on held-out points
+ */
+export function reliabilityDiagram(blocks, points, bins = RELIABILITY_BINS) {
+  if (points.length === 0) return { bins: [], brier: null, baselineBrier: null, samples: 0 };
+
+  const predicted = points
+    .map(pt => ({ p: predictIsotonic(blocks, pt.x), y: pt.y }))
+    .sort((a, b) => a.p - b.p);
+
+  const size = Math.ceil(predicted.length / bins);
+  const diagram = [];
+  for (let i = 0; i < predicted.length; i += size) {
+    const chunk = predicted.slice(i, i + size);
+    diagram.push({
+      predicted: parseFloat((chunk.reduce((s, c) => s + c.p, 0) / chunk.length).toFixed(5)),
+      observed: parseFloat((chunk.reduce((s, c) => s + c.y, 0) / chunk.length).toFixed(5)),
+      count: chunk.length
+    });
+  }
+
+  const brier = predicted.reduce((s, c) => s + (c.p - c.y) ** 2, 0) / predicted.length;
+  const baselineBrier = predicted.reduce((s, c) => s + (BASE_RATE - c.y) ** 2, 0) / predicted.length;
+
+  return {
+    bins: diagram,
+    brier: parseFloat(brier.toFixed(6)),
+    baselineBrier: parseFloat(baselineBrier.toFixed(6)),
+    samples: predicted.length
+  };
+}
+
+/**
+ * Fit on the older draws, measure reliability on the recent ones, then refit
+ * on everything for production use
+ */
+function fitModel(samplesWithWeights, validationShare) {
+  const trainPoints = [];
+  const validationPoints = [];
+  const allPoints = [];
+
+  for (const { samples, weights } of samplesWithWeights) {
+    const { train, validation } = splitSamples(samples, validationShare);
+    trainPoints.push(...samplesToPoints(train, weights));
+    validationPoints.push(...samplesToPoints(validation, weights));
+  }
+  allPoints.push(...trainPoints, ...validationPoints);
+
+  const reliability = reliabilityDiagram(fitIsotonic(trainPoints), validationPoints);
+  const blocks = fitIsotonic(allPoints);
+
+  return {
+    blocks,
+    draws: samplesWithWeights.reduce((s, t) => s + t.samples.length, 0),
+    reliability
+  };
+}
+
+/**
+ * Fit calibration models (pooled + per type) from walk-forward backtests
+ * @param {Object} options
+ * @param {string} options.target - 'winning' or 'machine'
+ * @param {number} options.window - Most recent draws replayed per type
+ * @param {number} options.validationShare - Held-out share for the reliability diagram
+ * @param {number} options.minHistory - Draws required before the first replayed one
+ * @param {boolean} options.save - Store the model in ai_memory
+ */
+export async function fitCalibration(options = {}) {
+  const { target = 'winning', window = 300, validationShare = 0.3, minHistory = 100, save = true } = options;
+
+  const brainData = await loadBrain(target);
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  if (error) throw new Error(`Failed to fetch draw types: ${error.message}`);
+
+  const perType = [];
+  for (const drawType of drawTypes) {
+    const { data: draws, error: drawsError } = await fetchCleanDraws({ drawTypeId: drawType.id });
+    if (drawsError || !draws || draws.length < minHistory + 20) continue;
+
+    process.stdout.write(`   ${drawType.name}: `);
+    const samples = prepareSamples(draws, { type: target, window, minHistory });
+    console.log(`${samples.length} draws`);
+    perType.push({ drawType, samples, weights: resolveWeights(brainData, drawType.id) });
+  }
+
+  if (perType.length === 0) throw new Error('No draw type has enough history to calibrate');
+
+  const model = {
+    target,
+    fittedAt: new Date().toISOString(),
+    window,
+    validationShare,
+    global: fitModel(perType, validationShare),
+    byType: {}
+  };
+
+  for (const entry of perType) {
+    if (entry.samples.length >= MIN_TYPE_SAMPLES) {
+      model.byType[entry.drawType.id] = fitModel([entry], validationShare);
+    }
+  }
+
+  if (save) {
+    const { error: saveError } = await storage.saveMemory(memoryId(target), model);
+    if (saveError) throw new Error(`Failed to save calibration: ${saveError.message}`);
+    calibrationCache[target] = { model, loadedAt: Date.now() };
+  }
+
+  return model;
+}
+
+// =============================================================================
+// RUNTIME
+// =============================================================================
+
+const calibrationCache = {};
+
+/**
+ * Stored calibration model (cached), or null when none was fitted yet
+ */
+export async function loadCalibration(target = 'winning') {
+  const cached = calibrationCache[target];
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL) return cached.model;
+
+  const { data, error } = await storage.loadMemory(memoryId(target));
+  if (error) console.error(`Failed to load calibration (${target}):`, error.message);
+
+  calibrationCache[target] = { model: data || null, loadedAt: Date.now() };
+  return data || null;
+}
+
+function modelFor(calibration, drawTypeId) {
+  if (!calibration) return null;
+  return (drawTypeId && calibration.byType?.[drawTypeId]) || calibration.global;
+}
+
+/**
+ * Calibrated hit probabilities of a ticket
+ * @param {Object} numberScores - Scores of all 90 numbers
+ * @param {number[]} numbers - Ticket numbers
+ * @param {Object|null} calibration - From loadCalibration()
+ * @returns {{probabilities: Array<{number, probability}>, expectedHits: number, confidence: number, calibrated: boolean}}
+ */
+export function ticketProbabilities(numberScores, numbers, calibration, drawTypeId = null) {
+  const model = modelFor(calibration, drawTypeId);
+  const relative = relativeScores(numberScores);
+
+  const probabilities = numbers.map(n => ({
+    number: n,
+    probability: parseFloat((model ? predictIsotonic(model.blocks, relative[n] ?? 0) : BASE_RATE).toFixed(4))
+  }));
+  const expectedHits = probabilities.reduce((s, p) => s + p.probability, 0);
+
+  return {
+    probabilities,
+    expectedHits: parseFloat(expectedHits.toFixed(3)),
+    // Average hit probability per number, in %
+    confidence: parseFloat(((expectedHits / numbers.length) * 100).toFixed(1)),
+    calibrated: Boolean(model)
+  };
+}
+
+/**
+ * Calibration summary for the API (curve + reliability diagram)
+ */
+export async function getCalibrationReport(target = 'winning', drawTypeId = null) {
+  const calibration = await loadCalibration(target);
+  const model = modelFor(calibration, drawTypeId);
+
+  return {
+    target,
+    calibrated: Boolean(model),
+    scope: model ? (model === calibration.global ? 'global' : String(drawTypeId)) : null,
+    fittedAt: calibration?.fittedAt || null,
+    baseRate: parseFloat(BASE_RATE.toFixed(5)),
+    randomExpectedHits: parseFloat(RANDOM_EXPECTED_HITS.toFixed(4)),
+    draws: model?.draws || 0,
+    curve: model ? model.blocks.map(b => ({ xMin: b.xMin, xMax: b.xMax, probability: b.p, count: b.n })) : [],
+    reliability: model?.reliability || null
+  };
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('calibration')) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  const target = args.includes('--machine') || flag('--target') === 'machine' ? 'machine' : 'winning';
+
+  console.log(`📐 Fitting probability calibration (${target})...`);
+  fitCalibration({
+    target,
+    window: parseInt(flag('--window')) || 300,
+    validationShare: parseFloat(flag('--validation')) || 0.3,
+    minHistory: parseInt(flag('--min-history')) || 100,
+    save: !args.includes('--dry-run')
+  }).then(model => {
+    const { reliability } = model.global;
+    console.log(`\n✅ Global model: ${model.global.draws} draws, ${model.global.blocks.length} steps`);
+    console.log(`   Brier (held-out): ${reliability.brier} vs ${reliability.baselineBrier} for the random rate`);
+    console.log('   Reliability (predicted → observed):');
+    reliability.bins.forEach(b => {
+      console.log(`     ${(b.predicted * 100).toFixed(2)}% → ${(b.observed * 100).toFixed(2)}%  (${b.count})`);
+    });
+    console.log(`   Type-specific models: ${Object.keys(model.byType).length}`);
+  }).catch(e => {
+    console.error('❌ Calibration failed:', e.message);
+    process.exit(1);
+  });
+}
+
+export default { fitIsotonic, predictIsotonic, reliabilityDiagram, fitCalibration, loadCalibration, ticketProbabilities, getCalibrationReport };
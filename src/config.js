@@ -1,26 +1,291 @@
-import { config } from 'dotenv';
-import { dirname, join } from 'path';
+/**
+ * Configuration
+ *
+ * One validated configuration shared by every entry point (server, scraper,
+ * CLIs, LSTM). Each setting is declared once in SCHEMA with its type, default
+ * and environment variable. Values are resolved in this order, later sources
+ * winning:
+ *   1. schema defaults
+ *   2. config/<profile>.json              (profile = LOTTO_ENV, default 'development')
+ *   3. the JSON file named by CONFIG_FILE
+ *   4. environment variables, also read from .env.<profile> and .env.local
+ *
+ * Files mirror the sections of SCHEMA ({ "server": { "port": 3001 } }).
+ * Secrets are only taken from the environment, never from a JSON file.
+ * Relative paths are resolved from the project root, so two profiles can run
+ * side by side with their own port, store and users.
+ *
+ * Usage:
+ *   npm run config:check                     (effective config, secrets redacted)
+ *   LOTTO_ENV=staging npm run config:check -- --json
+ */
+
+import { config as loadEnvFile } from 'dotenv';
+import fs from 'fs';
+import { dirname, isAbsolute, join, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { parseCron } from './cron.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const ROOT_DIR = join(__dirname, '..');
+
+export const PROFILE = process.env.LOTTO_ENV || process.env.NODE_ENV || 'development';
 
-// Load environment variables
-config({ path: join(__dirname, '..', '.env.local') });
+// Profile file first: dotenv never overrides a variable that is already set
+loadEnvFile({ path: join(ROOT_DIR, `.env.${PROFILE}`) });
+loadEnvFile({ path: join(ROOT_DIR, '.env.local') });
 
-export const CONFIG = {
+/**
+ * section => key => { type, default, env, values (enum), min, max, secret }
+ * A function default receives the config resolved so far.
+ */
+export const SCHEMA = {
+  server: {
+    port: { type: 'integer', default: 3000, env: 'PORT', min: 1, max: 65535 },
+    // Run the analyzer and train the brain after a scrape that found new draws
+    runAnalysis: { type: 'boolean', default: true, env: 'RUN_ANALYSIS' }
+  },
+  schedule: {
+    // Scrape after each draw of the calendar (data/draw_catalog.json)
+    enabled: { type: 'boolean', default: true, env: 'SCHEDULER_ENABLED' },
+    // Minutes between a draw and the first scrape for its result
+    scrapeDelay: { type: 'integer', default: 5, env: 'SCRAPE_DELAY_MINUTES', min: 0 },
+    // While the result is missing: minutes between tries, and how many more tries
+    retryInterval: { type: 'integer', default: 10, env: 'SCRAPE_RETRY_MINUTES', min: 1 },
+    retries: { type: 'integer', default: 6, env: 'SCRAPE_RETRIES', min: 0 },
+    // Cron expressions in the calendar's time zone ('off' disables the task)
+    analysisCron: { type: 'cron', default: '30 2 * * *', env: 'ANALYSIS_CRON' },
+    lstmCron: { type: 'cron', default: '0 4 * * 1', env: 'LSTM_CRON' }
+  },
+  storage: {
+    // 'supabase' (hosted database) or 'local' (JSON files on disk)
+    // Defaults to Supabase when credentials are present, local otherwise
+    backend: {
+      type: 'enum', values: ['supabase', 'local'], env: 'STORAGE_BACKEND',
+      default: (config) => (config.supabase.url ? 'supabase' : 'local')
+    },
+    localDir: { type: 'path', default: 'data/store', env: 'LOCAL_STORAGE_DIR' }
+  },
   supabase: {
-    url: process.env.SUPABASE_URL,
-    key: process.env.SUPABASE_KEY
+    url: { type: 'string', default: null, env: 'SUPABASE_URL' },
+    key: { type: 'string', default: null, env: 'SUPABASE_KEY', secret: true }
   },
   lotto: {
-    apiUrl: process.env.LOTTO_API_URL || 'https://lotobonheur.ci/api/results'
+    apiUrl: { type: 'string', default: 'https://lotobonheur.ci/api/results', env: 'LOTTO_API_URL' },
+    // Retries after a failed request, with exponential backoff from retryDelay
+    retries: { type: 'integer', default: 3, env: 'LOTTO_FETCH_RETRIES', min: 0 },
+    retryDelay: { type: 'integer', default: 1000, env: 'LOTTO_RETRY_DELAY_MS', min: 0 },
+    // Minimum time between two requests to the API
+    requestInterval: { type: 'integer', default: 1000, env: 'LOTTO_REQUEST_INTERVAL_MS', min: 0 },
+    // Raw API responses, one folder per month (YYYY-MM)
+    archiveDir: { type: 'path', default: 'data/archive', env: 'LOTTO_ARCHIVE_DIR' }
+  },
+  predictions: {
+    // Logged predictions older than this are deleted (0 keeps everything)
+    retentionDays: { type: 'integer', default: 365, env: 'PREDICTION_RETENTION_DAYS', min: 0 },
+    // Official prediction of a draw: the 'first' or the 'last' one made before it starts
+    official: { type: 'enum', values: ['first', 'last'], default: 'first', env: 'PREDICTION_OFFICIAL' }
+  },
+  auth: {
+    // Users, roles and API key hashes (managed with `npm run users`)
+    usersFile: { type: 'path', default: 'data/users.json', env: 'AUTH_USERS_FILE' }
+  },
+  lstm: {
+    modelDir: { type: 'path', default: 'models', env: 'LSTM_MODEL_DIR' },
+    // How many past draws the network sees
+    sequenceLength: { type: 'integer', default: 20, env: 'LSTM_SEQUENCE_LENGTH', min: 1 },
+    lstmUnits: { type: 'integer', default: 64, min: 1 },
+    denseUnits: { type: 'integer', default: 128, min: 1 },
+    dropout: { type: 'number', default: 0.2, min: 0, max: 1 },
+    epochs: { type: 'integer', default: 50, env: 'LSTM_EPOCHS', min: 1 },
+    batchSize: { type: 'integer', default: 32, env: 'LSTM_BATCH_SIZE', min: 1 },
+    validationSplit: { type: 'number', default: 0.2, min: 0, max: 1 },
+    learningRate: { type: 'number', default: 0.001, min: 0 }
   }
 };
 
-// Validate configuration
-if (!CONFIG.supabase.url || !CONFIG.supabase.key) {
-  throw new Error('Missing Supabase configuration. Please check your .env.local file.');
+// =============================================================================
+// RESOLUTION
+// =============================================================================
+
+/**
+ * Typed value of a setting (numbers and booleans may come in as strings)
+ * @returns {Object} { value } or { problem }
+ */
+function parseValue(spec, raw) {
+  if (raw === null) return { value: null };
+
+  switch (spec.type) {
+    case 'integer':
+    case 'number': {
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+        return { problem: `must be ${spec.type === 'integer' ? 'an integer' : 'a number'} (got "${raw}")` };
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return { problem: `must be between ${spec.min ?? '-∞'} and ${spec.max ?? '∞'} (got ${value})` };
+      }
+      return { value };
+    }
+    case 'boolean':
+      if ([true, 'true', '1', 'yes'].includes(raw)) return { value: true };
+      if ([false, 'false', '0', 'no'].includes(raw)) return { value: false };
+      return { problem: `must be true or false (got "${raw}")` };
+    case 'enum':
+      return spec.values.includes(raw) ? { value: raw } : { problem: `must be one of ${spec.values.join(', ')} (got "${raw}")` };
+    case 'cron':
+      if (raw === 'off') return { value: null };
+      try {
+        return { value: parseCron(raw).expression };
+      } catch (e) {
+        return { problem: `${e.message} (or "off")` };
+      }
+    case 'path':
+      return { value: isAbsolute(String(raw)) ? String(raw) : resolve(ROOT_DIR, String(raw)) };
+    default:
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * JSON override file, or null when it does not exist
+ */
+function readConfigFile(file, problems) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    problems.push(`${file}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Resolve the configuration of a profile
+ * @param {Object} env - Environment variables
+ * @param {string} profile - Profile name (config/<profile>.json)
+ * @returns {Object} { config, sources: { 'section.key': source }, problems: [], warnings: [] }
+ */
+export function resolveConfig(env = process.env, profile = PROFILE) {
+  const problems = [];
+  const warnings = []; // Reported but not fatal
+  const files = [join(ROOT_DIR, 'config', `${profile}.json`)];
+  if (env.CONFIG_FILE) files.push(resolve(ROOT_DIR, env.CONFIG_FILE));
+
+  const overrides = files
+    .map(file => ({ file, values: readConfigFile(file, problems) }))
+    .filter(o => o.values);
+
+  for (const { file, values } of overrides) {
+    for (const [section, entries] of Object.entries(values)) {
+      for (const key of Object.keys(entries || {})) {
+        if (!SCHEMA[section]?.[key]) problems.push(`${file}: unknown setting ${section}.${key}`);
+        else if (SCHEMA[section][key].secret) problems.push(`${file}: ${section}.${key} is a secret, set ${SCHEMA[section][key].env} in the environment instead`);
+      }
+    }
+  }
+
+  const config = {};
+  const sources = {};
+  const deferred = [];
+
+  for (const [section, entries] of Object.entries(SCHEMA)) {
+    config[section] = {};
+    for (const [key, spec] of Object.entries(entries)) {
+      const name = `${section}.${key}`;
+      let raw;
+      let source;
+
+      if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+        raw = env[spec.env];
+        source = `env ${spec.env}`;
+      } else {
+        const override = overrides.filter(o => !spec.secret && o.values[section]?.[key] !== undefined).pop();
+        if (override) {
+          raw = override.values[section][key];
+          source = override.file.replace(`${ROOT_DIR}/`, '');
+        }
+      }
+
+      if (source === undefined) {
+        if (typeof spec.default === 'function') {
+          deferred.push([section, key, spec]);
+          continue;
+        }
+        raw = spec.default;
+        source = 'default';
+      }
+
+      const { value, problem } = parseValue(spec, raw);
+      if (problem) problems.push(`${name} (${source}) ${problem}`);
+      config[section][key] = value ?? null;
+      sources[name] = source;
+    }
+  }
+
+  for (const [section, key, spec] of deferred) {
+    config[section][key] = spec.default(config);
+    sources[`${section}.${key}`] = 'default';
+  }
+
+  if (env.REFRESH_INTERVAL !== undefined) {
+    warnings.push('REFRESH_INTERVAL is no longer used and is ignored: scrapes follow the draw calendar (see the schedule settings, SCHEDULER_ENABLED=false turns them off)');
+  }
+  if (config.storage.backend === 'supabase' && (!config.supabase.url || !config.supabase.key)) {
+    problems.push('storage.backend is supabase but SUPABASE_URL or SUPABASE_KEY is missing (set them or use STORAGE_BACKEND=local)');
+  }
+
+  return { config, sources, problems, warnings };
+}
+
+/**
+ * Copy of a config with the secrets replaced
+ */
+export function redactConfig(config) {
+  return Object.fromEntries(Object.entries(config).map(([section, values]) => [
+    section,
+    Object.fromEntries(Object.entries(values).map(([key, value]) => [
+      key,
+      SCHEMA[section]?.[key]?.secret && value ? '***' : value
+    ]))
+  ]));
+}
+
+const isCheckCommand = Boolean(process.argv[1] && process.argv[1].includes('config.js'));
+const resolved = resolveConfig();
+
+if (resolved.problems.length > 0 && !isCheckCommand) {
+  throw new Error(`Invalid configuration (profile "${PROFILE}"):\n  - ${resolved.problems.join('\n  - ')}\nRun npm run config:check for details.`);
+}
+if (!isCheckCommand) {
+  resolved.warnings.forEach(w => console.warn(`⚠️  ${w}`));
+}
+
+export const CONFIG = resolved.config;
+
+// CLI execution
+if (isCheckCommand) {
+  const redacted = redactConfig(CONFIG);
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify({ profile: PROFILE, config: redacted, problems: resolved.problems, warnings: resolved.warnings }, null, 2));
+  } else {
+    console.log(`⚙️  Configuration (profile "${PROFILE}")`);
+    console.log('─'.repeat(60));
+    for (const [section, values] of Object.entries(redacted)) {
+      console.log(`   [${section}]`);
+      for (const [key, value] of Object.entries(values)) {
+        console.log(`     ${key.padEnd(18)} ${String(value).padEnd(36)} ${resolved.sources[`${section}.${key}`]}`);
+      }
+    }
+    console.log('─'.repeat(60));
+    if (resolved.problems.length === 0) console.log('✅ Configuration is valid');
+    resolved.warnings.forEach(w => console.log(`⚠️  ${w}`));
+    resolved.problems.forEach(p => console.log(`❌ ${p}`));
+  }
+
+  if (resolved.problems.length > 0) process.exit(1);
 }
 
 export default CONFIG;
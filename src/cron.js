@@ -0,0 +1,82 @@
+/**
+ * Cron Expressions
+ *
+ * Five fields: minute hour day-of-month month day-of-week. Each field is `*`,
+ * a number, a range (1-5) or a list of those (1,15), optionally followed by a
+ * step (0-30/10; a `*` with a step covers the whole range). Sunday is 0 (7 is
+ * accepted too). As in cron, when both day fields are restricted a day
+ * matching either one runs.
+ *
+ * The scheduler (scheduler.js) evaluates expressions in the draw calendar's
+ * time zone. This module has no imports so the config can validate them.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} "${text}"`);
+
+    const [, all, from, to, step] = match;
+    const start = all ? min : Number(from);
+    // "5/15" runs from 5 to the end of the range
+    const end = all ? max : to !== undefined ? Number(to) : step ? max : start;
+    const increment = step ? Number(step) : 1;
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid ${name} "${text}" (allowed ${min}-${max})`);
+    }
+    for (let value = start; value <= end; value += increment) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parse an expression (throws on an invalid one)
+ * @returns {Object} { expression, minutes, hours (sorted arrays), daysOfMonth, months, daysOfWeek (Sets) }
+ */
+export function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields (minute hour day month weekday)`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (daysOfWeek.has(7)) daysOfWeek.add(0);
+
+  return {
+    expression: parts.join(' '),
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+/**
+ * Whether a parsed expression runs on a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} day - Day of week of that date (0 = Sunday)
+ */
+export function runsOn(cron, date, day) {
+  const [, month, dayOfMonth] = date.split('-').map(Number);
+  if (!cron.months.has(month)) return false;
+
+  const matchesDate = cron.daysOfMonth.has(dayOfMonth);
+  const matchesDay = cron.daysOfWeek.has(day);
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) return matchesDate && matchesDay;
+  return matchesDate || matchesDay;
+}
+
+export default { parseCron, runsOn };
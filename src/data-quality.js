@@ -0,0 +1,290 @@
+/**
+ * Data Quality Module
+ *
+ * Validates the draws table after each scrape. Row-level issues:
+ * - invalid_numbers:   a number is missing or outside 1-90 (error)
+ * - duplicate_numbers: the same number twice in a draw (error)
+ * - duplicate_draw:    several rows for one draw type and date, e.g. the same
+ *                      result under slightly different raw strings (error,
+ *                      the oldest row is kept)
+ * - missing_machine:   machine numbers absent or incomplete (warning)
+ * - off_schedule:      a draw on a day its game has no slot (schedule
+ *                      changes and exception dates included) (warning)
+ * - inactive_type:     a draw outside its game's active date range (warning)
+ * Calendar gaps (scheduled days without a draw) are reported per type.
+ *
+ * Rows with an error are "suspect": fetchCleanDraws leaves them out of
+ * every strategy, analysis, backtest and training run. The report is stored in ai_memory ('data-quality') and served at
+ * /api/data-quality.
+ *
+ * Usage:
+ *   npm run validate
+ *   Flags: --dry-run (do not store the report)  --verbose
+ */
+
+import { findCatalogEntry, isActiveOn, loadCatalog } from './draw-catalog.js';
+import { addDays, dayOfWeek, drawInstance } from './schedule.js';
+import { POOL_SIZE } from './significance.js';
+import storage from './storage/index.js';
+
+const MEMORY_ID = 'data-quality';
+
+export const SEVERITY = {
+  invalid_numbers: 'error',
+  duplicate_numbers: 'error',
+  duplicate_draw: 'error',
+  missing_machine: 'warning',
+  off_schedule: 'warning',
+  inactive_type: 'warning'
+};
+
+const numbersOf = (draw, prefix) => [1, 2, 3, 4, 5].map(i => draw[`${prefix}_number_${i}`]);
+const isValidNumber = (n) => Number.isInteger(n) && n >= 1 && n <= POOL_SIZE;
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Row-level issues of one draw
+ */
+function checkDraw(draw) {
+  const issues = [];
+  const winning = numbersOf(draw, 'winning');
+  const machine = numbersOf(draw, 'machine');
+
+  if (!winning.every(isValidNumber)) {
+    issues.push({ code: 'invalid_numbers', message: `Winning numbers ${winning.join('-')}` });
+  } else if (new Set(winning).size < winning.length) {
+    issues.push({ code: 'duplicate_numbers', message: `Winning numbers ${winning.join('-')}` });
+  }
+
+  const presentMachine = machine.filter(n => n !== null && n !== undefined);
+  if (presentMachine.length < 5) {
+    issues.push({ code: 'missing_machine', message: `${presentMachine.length}/5 machine numbers` });
+  } else if (!machine.every(isValidNumber)) {
+    issues.push({ code: 'invalid_numbers', message: `Machine numbers ${machine.join('-')}` });
+  } else if (new Set(machine).size < machine.length) {
+    issues.push({ code: 'duplicate_numbers', message: `Machine numbers ${machine.join('-')}` });
+  }
+
+  return issues;
+}
+
+/**
+ * Scheduled dates without a draw between a type's first and last draw,
+ * merged into ranges
+ */
+function findGaps(dates, isScheduled) {
+  const present = new Set(dates);
+  const gaps = [];
+  let current = null;
+  const last = dates[dates.length - 1];
+
+  for (let date = dates[0]; date <= last; date = addDays(date, 1)) {
+    if (isScheduled(date)) {
+      if (present.has(date)) {
+        current = null;
+      } else if (current) {
+        current.to = date;
+        current.missing++;
+      } else {
+        current = { from: date, to: date, missing: 1 };
+        gaps.push(current);
+      }
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Validate draws
+ * @param {Object[]} draws - Stored draws (any order)
+ * @param {Object[]} drawTypes - { id, name }
+ * @param {Object} catalog - Draw catalog (see draw-catalog.js)
+ * @returns {Object} Report (see runDataQualityCheck)
+ */
+export function validateDraws(draws, drawTypes, catalog = loadCatalog()) {
+  const typeNames = new Map(drawTypes.map(t => [String(t.id), t.name]));
+  const issues = [];
+
+  const flag = (draw, code, message) => issues.push({
+    code,
+    severity: SEVERITY[code],
+    drawId: draw.id,
+    drawTypeId: draw.draw_type_id,
+    drawType: typeNames.get(String(draw.draw_type_id)) || null,
+    drawDate: draw.draw_date,
+    message
+  });
+
+  const byType = new Map();
+  for (const draw of draws) {
+    const key = String(draw.draw_type_id);
+    if (!byType.has(key)) byType.set(key, []);
+    byType.get(key).push(draw);
+  }
+
+  const gaps = [];
+  const uncataloguedTypes = [];
+  const unscheduledTypes = [];
+
+  for (const [typeId, rows] of byType) {
+    const name = typeNames.get(typeId) || null;
+    const entry = name ? findCatalogEntry(name, catalog) : null;
+    const scheduled = entry && [entry.slots, ...(entry.slotChanges || []).map(c => c.slots)].some(s => s?.length);
+    // Slot of the game that day, schedule changes and exception dates included
+    const isScheduled = (date) => Boolean(drawInstance(entry.name, date, catalog));
+    if (!entry) uncataloguedTypes.push(name || `type ${typeId}`);
+    else if (!scheduled) unscheduledTypes.push(name);
+
+    const byDate = new Map();
+    for (const draw of rows) {
+      checkDraw(draw).forEach(issue => flag(draw, issue.code, issue.message));
+
+      if (entry && !isActiveOn(entry, draw.draw_date)) {
+        flag(draw, 'inactive_type', `${entry.name} runs ${entry.activeFrom || '…'} → ${entry.activeTo || '…'}`);
+      } else if (scheduled && !isScheduled(draw.draw_date)) {
+        flag(draw, 'off_schedule', `${name} is not scheduled on ${draw.draw_date} (day ${dayOfWeek(draw.draw_date)})`);
+      }
+
+      if (!byDate.has(draw.draw_date)) byDate.set(draw.draw_date, []);
+      byDate.get(draw.draw_date).push(draw);
+    }
+
+    for (const sameDay of byDate.values()) {
+      if (sameDay.length < 2) continue;
+      const [kept, ...extra] = sameDay.slice().sort((a, b) => a.id - b.id);
+      extra.forEach(draw => flag(draw, 'duplicate_draw',
+        `Also stored as #${kept.id} ("${kept.raw_winning_numbers}" vs "${draw.raw_winning_numbers}")`));
+    }
+
+    if (scheduled) {
+      const dates = [...byDate.keys()].sort();
+      findGaps(dates, isScheduled).forEach(gap => gaps.push({ drawTypeId: rows[0].draw_type_id, drawType: name, ...gap }));
+    }
+  }
+
+  const byIssue = {};
+  issues.forEach(issue => { byIssue[issue.code] = (byIssue[issue.code] || 0) + 1; });
+  const suspectIds = [...new Set(issues.filter(i => i.severity === 'error').map(i => i.drawId))];
+
+  return {
+    checkedAt: new Date().toISOString(),
+    draws: draws.length,
+    drawTypes: byType.size,
+    summary: {
+      errors: issues.filter(i => i.severity === 'error').length,
+      warnings: issues.filter(i => i.severity === 'warning').length,
+      suspectRows: suspectIds.length,
+      gaps: gaps.length,
+      missingScheduledDraws: gaps.reduce((s, g) => s + g.missing, 0),
+      byIssue
+    },
+    suspectIds,
+    issues,
+    gaps,
+    uncataloguedTypes,
+    unscheduledTypes
+  };
+}
+
+// =============================================================================
+// STORED REPORT
+// =============================================================================
+
+/**
+ * Validate the whole draws table and store the report
+ */
+export async function runDataQualityCheck(options = {}) {
+  const { save = true } = options;
+
+  const { data: drawTypes, error: typesError } = await storage.fetchDrawTypes();
+  if (typesError) throw new Error(`Failed to fetch draw types: ${typesError.message}`);
+
+  const { data: draws, error } = await storage.fetchDraws();
+  if (error) throw new Error(`Failed to fetch draws: ${error.message}`);
+
+  const report = validateDraws(draws || [], drawTypes || []);
+
+  if (save) {
+    const { error: saveError } = await storage.saveMemory(MEMORY_ID, report);
+    if (saveError) throw new Error(`Failed to save data-quality report: ${saveError.message}`);
+  }
+
+  return report;
+}
+
+/**
+ * Last stored report, or null
+ */
+export async function loadDataQualityReport() {
+  const { data, error } = await storage.loadMemory(MEMORY_ID);
+  if (error) console.error('Failed to load data-quality report:', error.message);
+  return data || null;
+}
+
+/**
+ * Ids of the draws to keep out of the strategies
+ */
+export async function loadSuspectIds() {
+  const report = await loadDataQualityReport();
+  return new Set((report?.suspectIds || []).map(String));
+}
+
+/**
+ * storage.fetchDraws without the suspect rows: the draws every strategy,
+ * analysis, backtest and training run reads
+ * @param {Object} options - fetchDraws options (the id column is added when missing)
+ * @returns {Promise<{data, error, excluded: number}>}
+ */
+export async function fetchCleanDraws(options = {}) {
+  const { columns = '*' } = options;
+  const selected = columns.split(',').map(c => c.trim());
+  const withId = selected.includes('*') || selected.includes('id') ? columns : `id, ${columns}`;
+
+  const { data, error } = await storage.fetchDraws({ ...options, columns: withId });
+  if (error) return { data, error, excluded: 0 };
+
+  const suspect = await loadSuspectIds();
+  const clean = data.filter(d => !suspect.has(String(d.id)));
+  return { data: clean, error: null, excluded: data.length - clean.length };
+}
+
+/**
+ * Console summary of a report
+ */
+export function printDataQualitySummary(report, verbose = false) {
+  const { summary } = report;
+  console.log(`🔎 Data quality: ${report.draws} draws, ${summary.errors} errors, ${summary.warnings} warnings, ` +
+    `${summary.suspectRows} suspect rows, ${summary.missingScheduledDraws} scheduled draws missing`);
+
+  Object.entries(summary.byIssue).forEach(([code, count]) => {
+    console.log(`   ${SEVERITY[code] === 'error' ? '❌' : '⚠️'} ${code}: ${count}`);
+  });
+  if (report.uncataloguedTypes.length > 0) {
+    console.log(`   ℹ️ Not in the draw catalog: ${report.uncataloguedTypes.join(', ')}`);
+  }
+  if (report.unscheduledTypes.length > 0) {
+    console.log(`   ℹ️ No schedule slot: ${report.unscheduledTypes.join(', ')}`);
+  }
+
+  if (!verbose) return;
+  report.issues.forEach(i => console.log(`   #${i.drawId} ${i.drawDate} ${i.drawType}: ${i.code} - ${i.message}`));
+  report.gaps.forEach(g => console.log(`   ${g.drawType}: ${g.missing} missing from ${g.from} to ${g.to}`));
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('data-quality')) {
+  const args = process.argv.slice(2);
+
+  runDataQualityCheck({ save: !args.includes('--dry-run') })
+    .then(report => printDataQualitySummary(report, args.includes('--verbose')))
+    .catch(e => {
+      console.error('❌ Data-quality check failed:', e.message);
+      process.exit(1);
+    });
+}
+
+export default { SEVERITY, validateDraws, runDataQualityCheck, loadDataQualityReport, loadSuspectIds, fetchCleanDraws, printDataQualitySummary };
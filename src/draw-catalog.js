@@ -0,0 +1,392 @@
+/**
+ * Draw-Type Catalog
+ *
+ * data/draw_catalog.json is the reference list of games: canonical name,
+ * aliases (former names or spellings used by the source site), category,
+ * weekly schedule slots (Africa/Abidjan time), schedule changes effective
+ * from a date and active date range, plus exception dates (holidays). The
+ * schedule engine (schedule.js) turns it into draw instances.
+ *
+ * Names are matched without case, accents or extra spaces, through the
+ * aliases, so a game renamed on lotobonheur.ci keeps a single draw type and
+ * its history. Stored draw types that were split anyway are folded back
+ * together with the merge tool.
+ *
+ * Usage:
+ *   npm run catalog                              (list)
+ *   npm run catalog -- sync [--apply]            (categories, alias and unknown types)
+ *   npm run catalog -- merge <from> <into> [--apply]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import storage from './storage/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const CATALOG_FILE = path.join(__dirname, '../data/draw_catalog.json');
+
+export const CATEGORIES = ['digital', 'classic', 'night', 'special'];
+
+let cachedCatalog = null;
+
+/**
+ * Matching key of a draw name: "  Réveil " -> "reveil"
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidSlot = (slot) =>
+  slot.day >= 0 && slot.day <= 6 && slot.hour >= 0 && slot.hour <= 23 && slot.minute >= 0 && slot.minute <= 59;
+
+/**
+ * Check the catalog (throws with every problem found)
+ */
+export function validateCatalog(catalog) {
+  const problems = [];
+  const owners = new Map();
+
+  for (const entry of catalog.drawTypes || []) {
+    if (!entry.name) {
+      problems.push('Entry without a name');
+      continue;
+    }
+    if (!CATEGORIES.includes(entry.category)) {
+      problems.push(`${entry.name}: category "${entry.category}" (use ${CATEGORIES.join(', ')})`);
+    }
+    for (const name of [entry.name, ...(entry.aliases || [])]) {
+      const key = normalizeName(name);
+      if (owners.has(key)) problems.push(`"${name}" is used by both ${owners.get(key)} and ${entry.name}`);
+      else owners.set(key, entry.name);
+    }
+    const slots = [...(entry.slots || []), ...(entry.slotChanges || []).flatMap(c => c.slots || [])];
+    for (const slot of slots) {
+      if (!isValidSlot(slot)) problems.push(`${entry.name}: invalid slot ${JSON.stringify(slot)}`);
+    }
+    for (const change of entry.slotChanges || []) {
+      if (!DATE.test(change.effectiveFrom || '')) problems.push(`${entry.name}: slot change without effectiveFrom date`);
+    }
+    if (entry.activeFrom && entry.activeTo && entry.activeFrom > entry.activeTo) {
+      problems.push(`${entry.name}: activeFrom is after activeTo`);
+    }
+  }
+
+  for (const exception of catalog.exceptions || []) {
+    if (!DATE.test(exception.date || '')) problems.push(`Exception without a date: ${JSON.stringify(exception)}`);
+    for (const extra of exception.add || []) {
+      if (!extra.name || !isValidSlot({ day: 0, ...extra })) problems.push(`${exception.date}: invalid extra draw ${JSON.stringify(extra)}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid draw catalog:\n  - ${problems.join('\n  - ')}`);
+  }
+  return catalog;
+}
+
+/**
+ * Catalog content (cached)
+ */
+export function loadCatalog() {
+  if (!cachedCatalog) {
+    cachedCatalog = validateCatalog(JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8')));
+  }
+  return cachedCatalog;
+}
+
+export function saveCatalog(catalog) {
+  validateCatalog(catalog);
+  catalog.metadata = { ...catalog.metadata, lastUpdated: new Date().toISOString().slice(0, 10) };
+  // One line per slot and per alias list, as in the hand-written file
+  const json = JSON.stringify(catalog, null, 2)
+    .replace(/\{\s+"day": (\d+),\s+"hour": (\d+),\s+"minute": (\d+)\s+\}/g, '{ "day": $1, "hour": $2, "minute": $3 }')
+    .replace(/"aliases": \[([^\]]*)\]/g, (match, list) => `"aliases": [${list.trim().split(/,\s*/).filter(Boolean).join(', ')}]`);
+  fs.writeFileSync(CATALOG_FILE, `${json}\n`);
+  cachedCatalog = catalog;
+}
+
+/**
+ * Catalog entry of a name or alias, or null
+ */
+export function findCatalogEntry(name, catalog = loadCatalog()) {
+  const key = normalizeName(name);
+  return catalog.drawTypes.find(entry =>
+    [entry.name, ...(entry.aliases || [])].some(n => normalizeName(n) === key)
+  ) || null;
+}
+
+/**
+ * Canonical name of a draw name (the name itself when not in the catalog)
+ */
+export function canonicalName(name, catalog = loadCatalog()) {
+  return findCatalogEntry(name, catalog)?.name || String(name).trim();
+}
+
+/**
+ * Stored draw type of a name: the row named after the canonical name, or
+ * else any row whose name resolves to the same game
+ * @param {Object[]} drawTypes - Stored draw types ({ id, name })
+ */
+export function findStoredType(drawTypes, name, catalog = loadCatalog()) {
+  const canonical = normalizeName(canonicalName(name, catalog));
+  const matches = drawTypes.filter(t => normalizeName(canonicalName(t.name, catalog)) === canonical);
+  return matches.find(t => normalizeName(t.name) === canonical) || matches[0] || null;
+}
+
+/**
+ * Whether a game was running on a date (YYYY-MM-DD)
+ */
+export function isActiveOn(entry, date) {
+  return (!entry.activeFrom || date >= entry.activeFrom) && (!entry.activeTo || date <= entry.activeTo);
+}
+
+/**
+ * Slots of a game on a date: the latest schedule change effective by then,
+ * else the base slots
+ */
+export function slotsFor(entry, date) {
+  const change = (entry.slotChanges || [])
+    .filter(c => c.effectiveFrom <= date)
+    .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom))
+    .pop();
+  return change ? change.slots : entry.slots || [];
+}
+
+// =============================================================================
+// SYNC & MERGE
+// =============================================================================
+
+/**
+ * Compare the stored draw types with the catalog
+ * - categories to update ('standard' from the old schema, 'unknown', or changed)
+ * - rows named after an alias, or several rows for one game: merge candidates
+ * - rows unknown to the catalog
+ * @param {boolean} options.apply - Write the category updates
+ */
+export async function syncCatalog(options = {}) {
+  const { apply = false } = options;
+  const catalog = loadCatalog();
+
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  if (error) throw new Error(`Failed to fetch draw types: ${error.message}`);
+
+  const categories = [];
+  const merges = [];
+  const unknown = [];
+
+  for (const type of drawTypes) {
+    const entry = findCatalogEntry(type.name, catalog);
+    if (!entry) {
+      unknown.push({ id: type.id, name: type.name, category: type.category });
+      continue;
+    }
+
+    if (type.category !== entry.category) {
+      categories.push({ id: type.id, name: type.name, from: type.category, to: entry.category });
+    }
+
+    const target = findStoredType(drawTypes, entry.name, catalog);
+    if (target && target.id !== type.id) {
+      merges.push({ from: { id: type.id, name: type.name }, into: { id: target.id, name: target.name } });
+    }
+  }
+
+  if (apply) {
+    for (const change of categories) {
+      const { error: updateError } = await storage.update('draw_types', { category: change.to }, { eq: { id: change.id } });
+      if (updateError) throw new Error(`Failed to update ${change.name}: ${updateError.message}`);
+    }
+  }
+
+  return { categories, merges, unknown, applied: apply };
+}
+
+const winningKey = (draw) => [1, 2, 3, 4, 5].map(i => draw[`winning_number_${i}`]).join('-');
+
+function resolveType(drawTypes, ref) {
+  const type = drawTypes.find(t => String(t.id) === String(ref)) ||
+    drawTypes.find(t => t.name === ref) ||
+    drawTypes.find(t => normalizeName(t.name) === normalizeName(ref));
+  if (!type) throw new Error(`Unknown draw type "${ref}"`);
+  return type;
+}
+
+/**
+ * Fold one stored draw type into another
+ * Draws move to the target type; a draw already stored on the target for the
+ * same date with the same numbers is dropped. Two different results on the
+ * same date are conflicts: nothing is written until they are resolved.
+ * The source name becomes an alias of the target in the catalog.
+ * @param {string|number} fromRef - Id or name of the type to remove
+ * @param {string|number} intoRef - Id or name of the type to keep
+ * @param {boolean} options.apply - Write the merge (otherwise dry run)
+ */
+export async function mergeDrawTypes(fromRef, intoRef, options = {}) {
+  const { apply = false } = options;
+
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  if (error) throw new Error(`Failed to fetch draw types: ${error.message}`);
+
+  const from = resolveType(drawTypes, fromRef);
+  const into = resolveType(drawTypes, intoRef);
+  if (from.id === into.id) throw new Error('Cannot merge a draw type into itself');
+
+  const [{ data: source, error: sourceError }, { data: target, error: targetError }] = await Promise.all([
+    storage.fetchDraws({ drawTypeId: from.id }),
+    storage.fetchDraws({ drawTypeId: into.id })
+  ]);
+  if (sourceError || targetError) throw new Error(`Failed to fetch draws: ${(sourceError || targetError).message}`);
+
+  const targetByDate = new Map();
+  for (const draw of target) {
+    if (!targetByDate.has(draw.draw_date)) targetByDate.set(draw.draw_date, []);
+    targetByDate.get(draw.draw_date).push(draw);
+  }
+
+  const moved = [];
+  const duplicates = [];
+  const conflicts = [];
+  for (const draw of source) {
+    const sameDay = targetByDate.get(draw.draw_date) || [];
+    if (sameDay.some(d => winningKey(d) === winningKey(draw))) duplicates.push(draw);
+    else if (sameDay.length > 0) conflicts.push({ draw, existing: sameDay });
+    else moved.push(draw);
+  }
+
+  const report = { from, into, moved: moved.length, duplicates: duplicates.length, conflicts, applied: false };
+  if (!apply) return report;
+  if (conflicts.length > 0) {
+    throw new Error(`${conflicts.length} date(s) hold different results in both types, fix them first (npm run reingest / validate)`);
+  }
+
+  for (const draw of duplicates) {
+    const { error: deleteError } = await storage.deleteDraw(draw.id);
+    if (deleteError) throw new Error(`Failed to delete draw ${draw.id}: ${deleteError.message}`);
+  }
+
+  for (const table of ['draws', 'predictions']) {
+    const { error: moveError } = await storage.update(table, { draw_type_id: into.id }, { eq: { draw_type_id: from.id } });
+    if (moveError) throw new Error(`Failed to move ${table}: ${moveError.message}`);
+  }
+
+  const { error: removeError } = await storage.remove('draw_types', { eq: { id: from.id } });
+  if (removeError) throw new Error(`Failed to delete draw type ${from.name}: ${removeError.message}`);
+
+  report.aliasAdded = recordAlias(from.name, into.name);
+  report.applied = true;
+  return report;
+}
+
+/**
+ * Make a merged name resolve to the kept game in the catalog
+ * @returns {boolean} true when the catalog file changed
+ */
+function recordAlias(fromName, intoName) {
+  const catalog = loadCatalog();
+  const target = findCatalogEntry(intoName, catalog);
+  if (!target || findCatalogEntry(fromName, catalog) === target) return false;
+
+  // A catalog game folded into another one survives as an alias
+  const former = findCatalogEntry(fromName, catalog);
+  const names = former ? [former.name, ...(former.aliases || [])] : [fromName];
+  const drawTypes = catalog.drawTypes
+    .filter(entry => entry !== former)
+    .map(entry => (entry === target ? { ...entry, aliases: [...(entry.aliases || []), ...names] } : entry));
+
+  saveCatalog({ ...catalog, drawTypes });
+  return true;
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('draw-catalog.js')) {
+  const args = process.argv.slice(2);
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+  const apply = args.includes('--apply');
+
+  const run = async () => {
+    if (command === 'list') {
+      const catalog = loadCatalog();
+      const days = ['Dim', 'Lun', 'Mar', 'Mer', 'Jeu', 'Ven', 'Sam'];
+      console.log(`📚 Draw catalog: ${catalog.drawTypes.length} games\n`);
+      for (const category of CATEGORIES) {
+        console.log(`${category}:`);
+        catalog.drawTypes.filter(e => e.category === category).forEach(entry => {
+          // One line per time: "21:58 daily", "12:55 Dim, Mer"
+          const byTime = new Map();
+          (entry.slots || []).forEach(s => {
+            const time = `${String(s.hour).padStart(2, '0')}:${String(s.minute).padStart(2, '0')}`;
+            byTime.set(time, [...(byTime.get(time) || []), days[s.day]]);
+          });
+          const slots = [...byTime]
+            .map(([time, list]) => `${time} ${list.length === 7 ? 'daily' : list.join(', ')}`)
+            .join(' | ') || 'no slot';
+          const aliases = entry.aliases?.length ? ` (alias: ${entry.aliases.join(', ')})` : '';
+          const range = entry.activeFrom || entry.activeTo ? ` [${entry.activeFrom || '…'} → ${entry.activeTo || '…'}]` : '';
+          console.log(`   ${entry.name}${aliases}${range}: ${slots}`);
+        });
+      }
+      return;
+    }
+
+    if (command === 'sync') {
+      const report = await syncCatalog({ apply });
+      report.categories.forEach(c => console.log(`🏷️  #${c.id} ${c.name}: ${c.from} → ${c.to}`));
+      report.merges.forEach(m => console.log(`🔀 #${m.from.id} ${m.from.name} is the same game as #${m.into.id} ${m.into.name}: npm run catalog -- merge ${m.from.id} ${m.into.id}`));
+      report.unknown.forEach(u => console.log(`❓ #${u.id} ${u.name} is not in data/draw_catalog.json`));
+      console.log(`\n📊 ${report.categories.length} categories ${apply ? 'updated' : 'to update'}, ` +
+        `${report.merges.length} merge candidates, ${report.unknown.length} unknown types`);
+      if (!apply && report.categories.length > 0) console.log('🔍 Dry run: re-run with --apply to update the categories.');
+      return;
+    }
+
+    if (command === 'merge') {
+      const [fromRef, intoRef] = args.slice(1).filter(a => !a.startsWith('--'));
+      if (!fromRef || !intoRef) throw new Error('Usage: npm run catalog -- merge <from> <into> [--apply]');
+
+      const report = await mergeDrawTypes(fromRef, intoRef, { apply });
+      console.log(`🔀 #${report.from.id} ${report.from.name} → #${report.into.id} ${report.into.name}`);
+      console.log(`   ${report.moved} draws to move, ${report.duplicates} already on the target, ${report.conflicts.length} conflicts`);
+      report.conflicts.forEach(({ draw, existing }) => {
+        console.log(`   ⚠️ ${draw.draw_date}: ${winningKey(draw)} vs ${existing.map(winningKey).join(' / ')}`);
+      });
+
+      if (!report.applied) {
+        console.log('\n🔍 Dry run: re-run with --apply to merge.');
+        return;
+      }
+      console.log(`\n✅ Merged${report.aliasAdded ? `, "${report.from.name}" added as an alias of ${report.into.name}` : ''}`);
+      console.log('🧠 Run npm run brain:rebuild and npm run calibrate to retrain on the merged history');
+      return;
+    }
+
+    throw new Error(`Unknown command "${command}" (use list, sync or merge)`);
+  };
+
+  run().catch(e => {
+    console.error('❌', e.message);
+    process.exit(1);
+  });
+}
+
+export default {
+  CATEGORIES,
+  normalizeName,
+  validateCatalog,
+  loadCatalog,
+  saveCatalog,
+  findCatalogEntry,
+  canonicalName,
+  findStoredType,
+  isActiveOn,
+  slotsFor,
+  syncCatalog,
+  mergeDrawTypes
+};
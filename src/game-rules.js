@@ -0,0 +1,246 @@
+/**
+ * Game Rules Module
+ *
+ * Loto Bonheur bet types and their payout tables. A bet is placed on the
+ * winning numbers or on the machine numbers of a draw, and is settled
+ * against the numbers in draw order (the first one decides the Poto).
+ *
+ * Gains are stake × multiplier. Every screen and report reads the
+ * multipliers from here: when the operator changes its grid, update
+ * PAYOUTS and nothing else.
+ */
+
+import { randomHitDistribution, POOL_SIZE } from './significance.js';
+
+// Multiplier per winning line (stake × multiplier)
+export const PAYOUTS = {
+  poto: 70,
+  deuxSurs: 300,
+  troisSurs: 8000,
+  // 5-number ticket, by number of matches
+  cinq: { 5: 5000, 4: 500, 3: 50, 2: 5 }
+};
+
+export const BET_SOURCES = ['winning', 'machine'];
+
+/**
+ * Bet types
+ * - first: one number, wins if it is the first number drawn
+ * - sure:  every chosen number must be among the 5 drawn
+ * - perm:  every `combination`-number line of the chosen numbers is a
+ *          separate "sure" bet (stake per line)
+ * - match: paid by the number of matches
+ */
+export const BET_TYPES = {
+  poto: {
+    id: 'poto',
+    name: 'Poto (1er numéro)',
+    kind: 'first',
+    picks: 1,
+    payout: PAYOUTS.poto
+  },
+  deuxSurs: {
+    id: 'deuxSurs',
+    name: 'Deux sûrs',
+    kind: 'sure',
+    picks: 2,
+    payout: PAYOUTS.deuxSurs
+  },
+  troisSurs: {
+    id: 'troisSurs',
+    name: 'Trois sûrs',
+    kind: 'sure',
+    picks: 3,
+    payout: PAYOUTS.troisSurs
+  },
+  perm2: {
+    id: 'perm2',
+    name: 'Perm 2 (deux sûrs combinés)',
+    kind: 'perm',
+    combination: 2,
+    picks: 4,
+    minPicks: 3,
+    maxPicks: 10,
+    payout: PAYOUTS.deuxSurs
+  },
+  perm3: {
+    id: 'perm3',
+    name: 'Perm 3 (trois sûrs combinés)',
+    kind: 'perm',
+    combination: 3,
+    picks: 5,
+    minPicks: 4,
+    maxPicks: 10,
+    payout: PAYOUTS.troisSurs
+  },
+  cinq: {
+    id: 'cinq',
+    name: '5 numéros',
+    kind: 'match',
+    picks: 5,
+    payouts: PAYOUTS.cinq
+  }
+};
+
+export const DEFAULT_BET_TYPE = 'cinq';
+
+function binomial(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 0; i < k; i++) result = (result * (n - i)) / (i + 1);
+  return Math.round(result);
+}
+
+/**
+ * Bet type by id (throws on an unknown id)
+ */
+export function getBetType(id = DEFAULT_BET_TYPE) {
+  const bet = BET_TYPES[id];
+  if (!bet) {
+    throw new Error(`Unknown bet type "${id}" (use ${Object.keys(BET_TYPES).join(', ')})`);
+  }
+  return bet;
+}
+
+/**
+ * Copy of a bet type with a custom payout table (simulations)
+ * @param {Object} bet - From getBetType()
+ * @param {number|Object} payout - Multiplier per line, or { hits: multiplier } for match bets
+ */
+export function withPayout(bet, payout) {
+  if (payout === null || payout === undefined) return bet;
+  return bet.kind === 'match' ? { ...bet, payouts: { ...payout } } : { ...bet, payout };
+}
+
+/**
+ * Number of lines (separately paid bets) of a ticket
+ */
+export function lineCount(bet, pickCount = bet.picks) {
+  return bet.kind === 'perm' ? binomial(pickCount, bet.combination) : 1;
+}
+
+/**
+ * Check a ticket against the bet rules (throws with a readable message)
+ */
+export function validateTicket(bet, numbers) {
+  if (!Array.isArray(numbers) || numbers.some(n => !Number.isInteger(n) || n < 1 || n > POOL_SIZE)) {
+    throw new Error(`Numbers must be integers between 1 and ${POOL_SIZE}`);
+  }
+  if (new Set(numbers).size !== numbers.length) {
+    throw new Error('Numbers must be distinct');
+  }
+
+  if (bet.kind === 'perm') {
+    if (numbers.length < bet.minPicks || numbers.length > bet.maxPicks) {
+      throw new Error(`${bet.name} takes ${bet.minPicks} to ${bet.maxPicks} numbers`);
+    }
+  } else if (numbers.length !== bet.picks) {
+    throw new Error(`${bet.name} takes exactly ${bet.picks} number${bet.picks > 1 ? 's' : ''}`);
+  }
+}
+
+/**
+ * Settle a ticket against a draw
+ * @param {Object} bet - From getBetType()
+ * @param {number[]} numbers - Ticket numbers
+ * @param {number[]} drawn - Drawn numbers in draw order
+ * @param {number} stake - Stake per line
+ * @returns {{lines, cost, winningLines, hits, payout, net}}
+ */
+export function settleBet(bet, numbers, drawn, stake = 1) {
+  const drawnSet = new Set(drawn);
+  const hits = numbers.filter(n => drawnSet.has(n)).length;
+  const lines = lineCount(bet, numbers.length);
+  let winningLines = 0;
+  let multiplier = 0;
+
+  switch (bet.kind) {
+    case 'first':
+      winningLines = numbers[0] === drawn[0] ? 1 : 0;
+      multiplier = winningLines * bet.payout;
+      break;
+    case 'sure':
+      winningLines = hits === numbers.length ? 1 : 0;
+      multiplier = winningLines * bet.payout;
+      break;
+    case 'perm':
+      // Lines made only of drawn numbers
+      winningLines = binomial(hits, bet.combination);
+      multiplier = winningLines * bet.payout;
+      break;
+    case 'match':
+      multiplier = bet.payouts[hits] || 0;
+      winningLines = multiplier > 0 ? 1 : 0;
+      break;
+  }
+
+  const cost = stake * lines;
+  const payout = stake * multiplier;
+
+  return { lines, cost, winningLines, hits, payout, net: payout - cost };
+}
+
+/**
+ * Odds of a bet for a random ticket: win probability per line and
+ * expected return per unit staked (return to player)
+ */
+export function betOdds(bet, pickCount = bet.picks) {
+  switch (bet.kind) {
+    case 'first':
+      return { winProbability: 1 / POOL_SIZE, returnToPlayer: bet.payout / POOL_SIZE };
+    case 'sure':
+    case 'perm': {
+      const k = bet.kind === 'sure' ? bet.picks : bet.combination;
+      const p = randomHitDistribution(k)[k];
+      return { winProbability: p, returnToPlayer: p * bet.payout };
+    }
+    case 'match': {
+      const pmf = randomHitDistribution(pickCount);
+      let winProbability = 0;
+      let returnToPlayer = 0;
+      for (const [hits, multiplier] of Object.entries(bet.payouts)) {
+        winProbability += pmf[hits] || 0;
+        returnToPlayer += (pmf[hits] || 0) * multiplier;
+      }
+      return { winProbability, returnToPlayer };
+    }
+  }
+  return { winProbability: 0, returnToPlayer: 0 };
+}
+
+/**
+ * Ticket for a bet from a ranked candidate list (best first)
+ * @returns {number[]|null} null when there are not enough candidates
+ */
+export function ticketForBet(bet, rankedNumbers, pickCount = bet.picks) {
+  const numbers = rankedNumbers.slice(0, pickCount);
+  return numbers.length === pickCount ? numbers : null;
+}
+
+/**
+ * Public description of the bet types (API / dashboard)
+ */
+export function describeBetTypes() {
+  return Object.values(BET_TYPES).map(bet => {
+    const odds = betOdds(bet);
+    return {
+      ...bet,
+      lines: lineCount(bet),
+      winProbability: parseFloat(odds.winProbability.toPrecision(4)),
+      returnToPlayer: parseFloat(odds.returnToPlayer.toFixed(4))
+    };
+  });
+}
+
+export default {
+  BET_TYPES,
+  PAYOUTS,
+  getBetType,
+  withPayout,
+  lineCount,
+  validateTicket,
+  settleBet,
+  betOdds,
+  ticketForBet,
+  describeBetTypes
+};
@@ -0,0 +1,260 @@
+/**
+ * Job Queue
+ *
+ * Long tasks (scraping, analysis, brain and LSTM training, backtests) run as
+ * named jobs inside the server process instead of child processes. Jobs run
+ * one at a time, in the order they were started, so two tasks never write
+ * the same tables at once.
+ *
+ * Every run is a record of the `jobs` table:
+ *   { id, name, status, params, progress: { done, total, message }, logs,
+ *     result, error, requested_by, created_at, started_at, finished_at }
+ * status: queued → running → succeeded | failed | cancelled
+ *
+ * A job definition is { description, role, run(params, ctx) }; `run` returns
+ * the structured result stored with the record. `ctx` gives log(message),
+ * progress(done, total, message), checkCancelled() and `cancelled`. Cancelling is
+ * cooperative: a running job stops at its next progress() or
+ * checkCancelled() call, a queued one never starts.
+ */
+
+import storage from './storage/index.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+
+const MAX_LOG_LINES = 200;
+// Progress and log lines are written at most this often (status changes always are)
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+
+const definitions = new Map();
+const active = new Map(); // id => { record, cancelRequested, waiters, lastSave }
+const queue = [];
+let running = null;
+
+function jobError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// =============================================================================
+// DEFINITIONS
+// =============================================================================
+
+/**
+ * Declare a job
+ * @param {string} name - e.g. 'scrape-quick'
+ * @param {Object} definition - { description, role (needed to start or cancel it), run }
+ */
+export function registerJob(name, definition) {
+  definitions.set(name, { role: 'admin', ...definition });
+}
+
+export function getJobDefinition(name) {
+  return definitions.get(name) || null;
+}
+
+/**
+ * Registered jobs for the API and the dashboard
+ */
+export function describeJobs() {
+  return [...definitions.entries()].map(([name, d]) => ({ name, description: d.description, role: d.role }));
+}
+
+// =============================================================================
+// RECORDS
+// =============================================================================
+
+async function persist(job, fields) {
+  Object.assign(job.record, fields);
+  const { error } = await storage.updateJob(job.record.id, fields);
+  if (error) console.error(`Failed to save job ${job.record.id}:`, error.message);
+}
+
+/**
+ * Jobs left queued or running by a previous server process are marked failed
+ */
+export async function recoverJobs() {
+  for (const status of ['queued', 'running']) {
+    const { data, error } = await storage.fetchJobs({ status });
+    if (error) {
+      console.error('Failed to load unfinished jobs:', error.message);
+      continue;
+    }
+    for (const record of data || []) {
+      await storage.updateJob(record.id, {
+        status: 'failed',
+        error: 'Interrupted by a server restart',
+        finished_at: new Date().toISOString()
+      });
+    }
+  }
+}
+
+/**
+ * One job record (live state while it is queued or running)
+ */
+export async function getJob(id) {
+  const live = active.get(String(id));
+  if (live) return live.record;
+
+  const { data, error } = await storage.fetchJob(id);
+  if (error) throw new Error(`Failed to load job ${id}: ${error.message}`);
+  return data;
+}
+
+/**
+ * Job records, newest first
+ * @param {Object} options - { name, status, limit, offset }
+ */
+export async function listJobs(options = {}) {
+  const { data, count, error } = await storage.fetchJobs({ ...options, count: true });
+  if (error) throw new Error(`Failed to load jobs: ${error.message}`);
+
+  // Queued and running jobs change faster than their stored copy
+  const jobs = (data || []).map(record => active.get(String(record.id))?.record || record);
+  return { total: count ?? jobs.length, jobs };
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * Queue a job. A job of the same name and parameters that is already queued
+ * or running is returned instead of starting a second one.
+ * @returns {Promise<Object>} The job record
+ */
+export async function startJob(name, params = {}, options = {}) {
+  if (!definitions.has(name)) throw jobError(404, `Unknown job "${name}" (jobs: ${[...definitions.keys()].join(', ')})`);
+
+  const duplicate = [...active.values()].find(j =>
+    j.record.name === name && JSON.stringify(j.record.params) === JSON.stringify(params) && !j.cancelRequested);
+  if (duplicate) return duplicate.record;
+
+  const { data: record, error } = await storage.saveJob({
+    name,
+    status: 'queued',
+    params,
+    progress: null,
+    logs: [],
+    result: null,
+    error: null,
+    requested_by: options.requestedBy || 'system',
+    created_at: new Date().toISOString()
+  });
+  if (error) throw new Error(`Failed to create job ${name}: ${error.message}`);
+
+  active.set(String(record.id), { record, cancelRequested: false, waiters: [], lastSave: 0 });
+  queue.push(String(record.id));
+  processQueue();
+  return record;
+}
+
+/**
+ * Promise of a job's final record
+ */
+export function waitForJob(id) {
+  const job = active.get(String(id));
+  if (!job) return getJob(id);
+  return new Promise(resolve => job.waiters.push(resolve));
+}
+
+/**
+ * Start a job and wait for it (throws unless it succeeded)
+ * @returns {Promise<Object>} The finished record
+ */
+export async function runJob(name, params = {}, options = {}) {
+  const record = await waitForJob((await startJob(name, params, options)).id);
+  if (record.status !== 'succeeded') {
+    throw new Error(`Job ${name} ${record.status}${record.error ? `: ${record.error}` : ''}`);
+  }
+  return record;
+}
+
+/**
+ * Ask a job to stop
+ * @returns {Promise<Object>} The job record
+ */
+export async function cancelJob(id) {
+  const job = active.get(String(id));
+  if (!job) {
+    const record = await getJob(id);
+    if (!record) throw jobError(404, `Unknown job ${id}`);
+    throw jobError(409, `Job ${id} is already ${record.status}`);
+  }
+
+  job.cancelRequested = true;
+  if (job.record.status === 'queued') {
+    queue.splice(queue.indexOf(String(id)), 1);
+    await finish(job, { status: 'cancelled', error: 'Cancelled before it started' });
+  }
+  return job.record;
+}
+
+async function finish(job, fields) {
+  await persist(job, { ...fields, progress: job.record.progress, logs: job.record.logs, finished_at: new Date().toISOString() });
+  active.delete(String(job.record.id));
+  job.waiters.forEach(resolve => resolve(job.record));
+}
+
+function saveSoon(job) {
+  if (Date.now() - job.lastSave < PROGRESS_SAVE_INTERVAL_MS) return;
+  job.lastSave = Date.now();
+  persist(job, { progress: job.record.progress, logs: job.record.logs });
+}
+
+function contextFor(job) {
+  const checkCancelled = () => {
+    if (job.cancelRequested) throw Object.assign(new Error('Cancelled'), { cancelled: true });
+  };
+
+  return {
+    jobId: job.record.id,
+    get cancelled() {
+      return job.cancelRequested;
+    },
+    checkCancelled,
+    log(message) {
+      console.log(`   [${job.record.name}] ${message}`);
+      job.record.logs = [...job.record.logs, { at: new Date().toISOString(), message }].slice(-MAX_LOG_LINES);
+      saveSoon(job);
+    },
+    progress(done, total, message = null) {
+      job.record.progress = { done, total, message };
+      saveSoon(job);
+      checkCancelled();
+    }
+  };
+}
+
+async function processQueue() {
+  if (running || queue.length === 0) return;
+
+  const job = active.get(queue.shift());
+  running = job;
+
+  try {
+    const definition = definitions.get(job.record.name);
+    await persist(job, { status: 'running', started_at: new Date().toISOString() });
+    console.log(`▶️  Job ${job.record.id} ${job.record.name} started`);
+
+    const result = await definition.run(job.record.params || {}, contextFor(job));
+    const { progress } = job.record;
+    if (progress) job.record.progress = { ...progress, done: progress.total };
+    await finish(job, { status: 'succeeded', result: result ?? null });
+    console.log(`✅ Job ${job.record.id} ${job.record.name} succeeded`);
+  } catch (error) {
+    const cancelled = Boolean(error.cancelled);
+    await finish(job, { status: cancelled ? 'cancelled' : 'failed', error: error.message });
+    console.error(`${cancelled ? '⏹️ ' : '❌'} Job ${job.record.id} ${job.record.name} ${cancelled ? 'cancelled' : 'failed'}: ${error.message}`);
+  } finally {
+    running = null;
+    processQueue();
+  }
+}
+
+export default {
+  JOB_STATUSES, registerJob, getJobDefinition, describeJobs, recoverJobs,
+  getJob, listJobs, startJob, waitForJob, runJob, cancelJob
+};
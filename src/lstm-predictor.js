@@ -12,33 +12,19 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
-import supabase from './supabase-client.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Model save directory
-const MODEL_DIR = path.join(__dirname, '../models');
+import { CONFIG as APP_CONFIG } from './config.js';
+import { fetchCleanDraws } from './data-quality.js';
 
 // =============================================================================
 // CONFIGURATION
 // =============================================================================
 
+// Model directory, sequence length, architecture and training settings come
+// from the shared configuration (lstm section of config.js)
+const { modelDir: MODEL_DIR, ...LSTM_SETTINGS } = APP_CONFIG.lstm;
+
 const CONFIG = {
-  // Sequence length: how many past draws to consider
-  sequenceLength: 20,
-  
-  // Model architecture
-  lstmUnits: 64,
-  denseUnits: 128,
-  dropout: 0.2,
-  
-  // Training settings
-  epochs: 50,
-  batchSize: 32,
-  validationSplit: 0.2,
-  learningRate: 0.001,
+  ...LSTM_SETTINGS,
   
   // Number pool
   maxNumber: 90,
@@ -208,8 +194,12 @@ async function buildModel() {
 
 /**
  * Train the LSTM model
+ * @param {number|string|null} drawTypeId - null = every draw type
+ * @param {Object} options - { onEpoch(epoch, epochs, logs) }, returning false
+ *   from onEpoch stops the training without saving the model
  */
-async function trainModel(drawTypeId = null) {
+async function trainModel(drawTypeId = null, options = {}) {
+  const { onEpoch = null } = options;
   console.log('🧠 LSTM Neural Network Training');
   console.log('═'.repeat(50));
   console.log('');
@@ -222,16 +212,7 @@ async function trainModel(drawTypeId = null) {
   
   // Fetch draws
   console.log('📊 Loading training data...');
-  let query = supabase
-    .from('draws')
-    .select('*')
-    .order('draw_date', { ascending: true });
-  
-  if (drawTypeId) {
-    query = query.eq('draw_type_id', drawTypeId);
-  }
-  
-  const { data: draws, error } = await query;
+  const { data: draws, error } = await fetchCleanDraws({ drawTypeId });
   
   if (error || !draws || draws.length < CONFIG.sequenceLength + 10) {
     console.error('Not enough data for training');
@@ -272,6 +253,7 @@ async function trainModel(drawTypeId = null) {
   console.log(`   Batch size: ${CONFIG.batchSize}`);
   console.log('');
   
+  let stopped = false;
   const history = await model.fit(xsTensor, ysTensor, {
     epochs: CONFIG.epochs,
     batchSize: CONFIG.batchSize,
@@ -282,10 +264,21 @@ async function trainModel(drawTypeId = null) {
         if ((epoch + 1) % 10 === 0 || epoch === 0) {
           console.log(`   Epoch ${epoch + 1}/${CONFIG.epochs} - Loss: ${logs.loss.toFixed(4)}, Acc: ${(logs.acc * 100).toFixed(1)}%`);
         }
+        if (onEpoch && onEpoch(epoch + 1, CONFIG.epochs, logs) === false) {
+          stopped = true;
+          model.stopTraining = true;
+        }
       }
     }
   });
   
+  if (stopped) {
+    console.log('⏹️ Training stopped, model not saved');
+    xsTensor.dispose();
+    ysTensor.dispose();
+    return null;
+  }
+  
   // Save model weights and topology manually
   console.log('');
   console.log('💾 Saving model...');
@@ -396,13 +389,16 @@ async function loadModel() {
 
 /**
  * Generate predictions using the trained LSTM model
+ * @param {Object[]} draws - Chronological draws
+ * @param {number} count - How many numbers to return
+ * @param {Object} loadedModel - Model from loadModel() (avoids reloading in loops)
  */
-async function predictWithLSTM(draws, count = 5) {
+async function predictWithLSTM(draws, count = 5, loadedModel = null) {
   const tensorflow = await loadTensorFlow();
   if (!tensorflow) return null;
   
   // Load model
-  const model = await loadModel();
+  const model = loadedModel || await loadModel();
   if (!model) return null;
   
   // Prepare input sequence (last N draws)
@@ -472,10 +468,7 @@ async function main() {
       console.log('═'.repeat(50));
       
       // Get recent draws
-      const { data: draws } = await supabase
-        .from('draws')
-        .select('*')
-        .order('draw_date', { ascending: true });
+      const { data: draws } = await fetchCleanDraws();
       
       if (draws && draws.length >= CONFIG.sequenceLength) {
         const prediction = await predictWithLSTM(draws, 5);
@@ -1,14 +1,14 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import supabase from './supabase-client.js';
+import storage, { STORAGE_BACKEND } from './storage/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const DATA_DIR = path.join(__dirname, '../data');
 
 async function migrate() {
-  console.log('🧠 Starting Brain Memory Migration to Supabase...');
+  console.log(`🧠 Starting Brain Memory Migration to ${STORAGE_BACKEND} storage...`);
   
   // 1. Migrate Main Brain
   const brainFile = path.join(DATA_DIR, 'brain.json');
@@ -17,14 +17,8 @@ async function migrate() {
     try {
       const data = JSON.parse(fs.readFileSync(brainFile, 'utf8'));
       
-      console.log('   Uploading to Supabase (id=winning)...');
-      const { error } = await supabase
-        .from('ai_memory')
-        .upsert({ 
-          id: 'winning', 
-          data: data,
-          updated_at: new Date()
-        });
+      console.log('   Uploading to storage (id=winning)...');
+      const { error } = await storage.saveMemory('winning', data);
         
       if (error) throw error;
       console.log('   ✅ Main Brain migrated successfully!');
@@ -42,14 +36,8 @@ async function migrate() {
     try {
       const data = JSON.parse(fs.readFileSync(machineFile, 'utf8'));
       
-      console.log('   Uploading to Supabase (id=machine)...');
-      const { error } = await supabase
-        .from('ai_memory')
-        .upsert({ 
-          id: 'machine', 
-          data: data,
-          updated_at: new Date()
-        });
+      console.log('   Uploading to storage (id=machine)...');
+      const { error } = await storage.saveMemory('machine', data);
         
       if (error) throw error;
       console.log('   ✅ Machine Brain migrated successfully!');
@@ -0,0 +1,30 @@
+-- Prédiction officielle d'un tirage : une seule par target_key, les autres sont des aperçus
+alter table predictions
+  add column if not exists official boolean default false;
+
+-- Reprise de l'existant : la première prédiction faite avant chaque tirage
+-- (avec PREDICTION_OFFICIAL=last, lancer ensuite npm run predictions -- elect)
+update predictions p
+set official = true
+from (
+  select distinct on (target_key) id
+  from predictions
+  where target_key is not null and not coalesce(post_close, false)
+    and target_key not in (select target_key from predictions where official and target_key is not null)
+  order by target_key, created_at
+) first_prediction
+where p.id = first_prediction.id;
+
+-- Doublons laissés par deux enregistrements simultanés : le plus ancien reste officiel
+update predictions p
+set official = false
+where p.official and exists (
+  select 1 from predictions o
+  where o.official and o.target_key = p.target_key
+    and (o.created_at, o.id) < (p.created_at, p.id)
+);
+
+-- Une seule prédiction officielle par tirage : l'index règle les courses
+-- entre deux processus qui enregistrent la même prédiction
+drop index if exists idx_predictions_official;
+create unique index if not exists idx_predictions_official on predictions (target_key) where official;
@@ -0,0 +1,28 @@
+-- Historique immuable des poids du cerveau (une ligne par changement de poids)
+create table if not exists brain_versions (
+  id bigserial primary key,
+  target text not null,          -- 'winning' ou 'machine'
+  draw_type_key text not null,   -- id du type de tirage, ou 'global' (poids a priori)
+  version integer not null,
+  weights jsonb not null,
+  trigger jsonb,                 -- ex: { kind: 'learn', drawId, scores, globalMatch }
+  parent_version integer,
+  created_at timestamptz default now(),
+  unique (target, draw_type_key, version)
+);
+
+create index if not exists brain_versions_profile_idx
+  on brain_versions (target, draw_type_key, version desc);
+
+alter table brain_versions enable row level security;
+
+create policy "Allow read access to authenticated users"
+  on brain_versions for select
+  to authenticated, anon
+  using (true);
+
+-- Insertion uniquement : les versions ne sont jamais modifiées
+create policy "Allow insert (dev mode)"
+  on brain_versions for insert
+  to anon, authenticated
+  with check (true);
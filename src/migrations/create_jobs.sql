@@ -0,0 +1,36 @@
+-- Tâches longues (scraping, analyse, entraînements, backtests) et leur suivi
+create table if not exists jobs (
+  id bigserial primary key,
+  name text not null,            -- ex: 'scrape-full', 'train-lstm', 'backtest'
+  status text not null,          -- queued, running, succeeded, failed, cancelled
+  params jsonb,
+  progress jsonb,                -- { done, total, message }
+  logs jsonb,                    -- [{ at, message }] (200 dernières lignes)
+  result jsonb,
+  error text,
+  requested_by text,
+  created_at timestamptz default now(),
+  started_at timestamptz,
+  finished_at timestamptz
+);
+
+create index if not exists jobs_status_idx on jobs (status, id desc);
+create index if not exists jobs_name_idx on jobs (name, id desc);
+
+alter table jobs enable row level security;
+
+create policy "Allow read access to authenticated users"
+  on jobs for select
+  to authenticated, anon
+  using (true);
+
+create policy "Allow insert (dev mode)"
+  on jobs for insert
+  to anon, authenticated
+  with check (true);
+
+-- Le serveur met à jour statut, progression et journal pendant l'exécution
+create policy "Allow update (dev mode)"
+  on jobs for update
+  to anon, authenticated
+  using (true);
@@ -0,0 +1,25 @@
+-- Historique des prédictions du serveur (remplace data/predictions_history.json)
+alter table predictions
+  add column if not exists strategy varchar(50),
+  add column if not exists day_of_week smallint,
+  add column if not exists target_key varchar(100),     -- tirage visé : '2026-10-19|Digital 21h'
+  add column if not exists target_date date,
+  add column if not exists target_starts_at timestamptz,
+  add column if not exists target jsonb,
+  add column if not exists post_close boolean default false, -- faite après l'heure du tirage
+  add column if not exists expected_hits decimal(6,3),
+  add column if not exists scores jsonb,
+  add column if not exists machine_numbers jsonb,
+  add column if not exists machine_confidence decimal(5,2),
+  add column if not exists hybrid_numbers jsonb,
+  add column if not exists hybrid_confidence decimal(5,2),
+  add column if not exists result jsonb,
+  add column if not exists machine_result jsonb,
+  add column if not exists hybrid_result jsonb,
+  add column if not exists verified_at timestamptz;
+
+create index if not exists idx_predictions_type_created on predictions (draw_type_id, created_at desc);
+create index if not exists idx_predictions_target_date on predictions (target_date);
+create index if not exists idx_predictions_target_key on predictions (target_key);
+create index if not exists idx_predictions_strategy on predictions (strategy, created_at desc);
+create index if not exists idx_predictions_verified on predictions (verified_at desc);
@@ -0,0 +1,231 @@
+/**
+ * Portfolio Generator
+ *
+ * Builds a set of tickets over the top-ranked candidates (wheeling /
+ * covering-design style). Tickets are picked greedily: each new ticket covers
+ * as many still uncovered combinations of the pool as possible, weighted by
+ * the candidates' scores, while sharing at most `maxOverlap` numbers with any
+ * ticket already chosen.
+ *
+ * The guarantees are then measured exhaustively: for every m, the worst case
+ * over all m-subsets of the pool gives "at least g numbers on one ticket if m
+ * of these v numbers come out".
+ */
+
+import { rankNumberScores } from './brain.js';
+import { DRAWN } from './significance.js';
+
+export const MAX_TICKETS = 50;
+export const MAX_POOL = 20; // Pool numbers are handled as 32-bit masks
+export const TICKET_SIZES = [2, 3, 4, 5];
+
+// =============================================================================
+// COMBINATORICS
+// =============================================================================
+
+/**
+ * All k-element index combinations of [0, n)
+ */
+function combinations(n, k) {
+  const result = [];
+  const current = [];
+  const walk = (start) => {
+    if (current.length === k) {
+      result.push(current.slice());
+      return;
+    }
+    for (let i = start; i <= n - (k - current.length); i++) {
+      current.push(i);
+      walk(i + 1);
+      current.pop();
+    }
+  };
+  walk(0);
+  return result;
+}
+
+const toMask = (indices) => indices.reduce((mask, i) => mask | (1 << i), 0);
+
+function popcount(mask) {
+  let count = 0;
+  while (mask) {
+    mask &= mask - 1;
+    count++;
+  }
+  return count;
+}
+
+// =============================================================================
+// DESIGN
+// =============================================================================
+
+/**
+ * Greedy weighted covering design over the pool
+ * Coverage goes level by level: first every pool number on some ticket, then
+ * every pair, then every triple... Each ticket maximizes the weighted count
+ * of new combinations at the current level, with the next level as tie-break.
+ * @param {number[]} weights - Weight of each pool position (best first)
+ * @param {Object} options - { tickets, size, maxOverlap }
+ * @returns {number[][]} Tickets as lists of pool positions
+ */
+export function greedyDesign(weights, options) {
+  const { tickets, size, maxOverlap } = options;
+  const levels = Array.from({ length: size }, (_, i) => i + 1);
+  const positionsByLevel = levels.map(l => combinations(size, l));
+  const totals = levels.map(l => combinations(weights.length, l).length);
+
+  const candidates = combinations(weights.length, size).map(indices => ({
+    indices,
+    mask: toMask(indices),
+    subsets: positionsByLevel.map(positions => positions.map(pos => {
+      const members = pos.map(p => indices[p]);
+      return { mask: toMask(members), weight: members.reduce((w, i) => w * weights[i], 1) };
+    })),
+    // Last tie-break: prefer stronger numbers
+    strength: indices.reduce((s, i) => s + weights[i], 0) * 1e-6
+  }));
+
+  // Covered combinations per level (level l at index l - 1)
+  const covered = levels.map(() => new Set());
+  const chosen = [];
+
+  const newWeight = (candidate, level) => {
+    if (level > size) return 0;
+    let sum = 0;
+    for (const subset of candidate.subsets[level - 1]) {
+      if (!covered[level - 1].has(subset.mask)) sum += subset.weight;
+    }
+    return sum;
+  };
+
+  while (chosen.length < tickets) {
+    let level = 1;
+    while (level < size && covered[level - 1].size === totals[level - 1]) level++;
+
+    let best = null;
+    let bestGain = -1;
+
+    for (const candidate of candidates) {
+      if (chosen.some(t => t.mask === candidate.mask || popcount(t.mask & candidate.mask) > maxOverlap)) continue;
+
+      const gain = newWeight(candidate, level) + newWeight(candidate, level + 1) * 1e-3 + candidate.strength;
+      if (gain > bestGain) {
+        best = candidate;
+        bestGain = gain;
+      }
+    }
+
+    if (!best) break; // Overlap limit reached
+    chosen.push(best);
+    best.subsets.forEach((subsets, i) => subsets.forEach(s => covered[i].add(s.mask)));
+  }
+
+  return chosen.map(c => c.indices);
+}
+
+/**
+ * Worst-case hits of a design: for each m, the smallest "best ticket" hit
+ * count over every m-subset of the pool
+ * @param {number[][]} tickets - Tickets as lists of pool positions
+ * @param {number} poolSize
+ */
+export function designGuarantees(tickets, poolSize) {
+  const masks = tickets.map(toMask);
+  const guarantees = [];
+
+  for (let m = 1; m <= Math.min(DRAWN, poolSize); m++) {
+    let guaranteed = m;
+    let bestSum = 0;
+    let total = 0;
+
+    for (const subset of combinations(poolSize, m)) {
+      const drawnMask = toMask(subset);
+      let best = 0;
+      for (const mask of masks) {
+        best = Math.max(best, popcount(mask & drawnMask));
+      }
+      guaranteed = Math.min(guaranteed, best);
+      bestSum += best;
+      total++;
+    }
+
+    guarantees.push({
+      drawn: m,
+      guaranteed,
+      averageBest: parseFloat((bestSum / total).toFixed(2))
+    });
+  }
+
+  return guarantees;
+}
+
+// =============================================================================
+// PORTFOLIO
+// =============================================================================
+
+/**
+ * Build a ticket portfolio from number scores
+ * @param {Object} numberScores - Scores of all 90 numbers (calculateNumberScores)
+ * @param {Object} options
+ * @param {number} options.tickets - Budget in tickets
+ * @param {number} options.size - Numbers per ticket (2 to 5)
+ * @param {number} options.pool - Top candidates to spread over the tickets
+ *   (default: each candidate appears on about two tickets)
+ * @param {number} options.maxOverlap - Max numbers shared by two tickets
+ */
+export function buildPortfolio(numberScores, options = {}) {
+  const tickets = options.tickets ?? 5;
+  const size = options.size ?? 5;
+
+  if (!Number.isInteger(tickets) || tickets < 1 || tickets > MAX_TICKETS) {
+    throw new Error(`tickets must be between 1 and ${MAX_TICKETS}`);
+  }
+  if (!TICKET_SIZES.includes(size)) {
+    throw new Error(`size must be one of ${TICKET_SIZES.join(', ')}`);
+  }
+
+  const pool = options.pool ?? Math.min(MAX_POOL, Math.max(size, Math.ceil((tickets * size) / 2)));
+  const maxOverlap = options.maxOverlap ?? Math.max(1, size - 2);
+
+  if (!Number.isInteger(pool) || pool < size || pool > MAX_POOL) {
+    throw new Error(`pool must be between ${size} and ${MAX_POOL}`);
+  }
+  if (!Number.isInteger(maxOverlap) || maxOverlap < 0 || maxOverlap >= size) {
+    throw new Error(`maxOverlap must be between 0 and ${size - 1}`);
+  }
+
+  const candidates = rankNumberScores(numberScores).slice(0, pool);
+  const top = candidates[0]?.score || 1;
+  // Softened so coverage of the whole pool still matters next to the ranking
+  const weights = candidates.map(c => 0.5 + 0.5 * (top > 0 ? c.score / top : 1));
+
+  const design = greedyDesign(weights, { tickets, size, maxOverlap });
+  const guarantees = designGuarantees(design, pool).map(g => ({
+    ...g,
+    label: `${g.guaranteed} sur un ticket si ${g.drawn} des ${pool} sortent`
+  }));
+
+  // Share of the pool's k-number combinations sitting on at least one ticket
+  const coverage = [];
+  for (let k = 1; k <= size; k++) {
+    const masks = new Set();
+    for (const ticket of design) {
+      combinations(size, k).forEach(pos => masks.add(toMask(pos.map(p => ticket[p]))));
+    }
+    const total = combinations(pool, k).length;
+    coverage.push({ numbers: k, covered: masks.size, total, rate: parseFloat(((masks.size / total) * 100).toFixed(1)) });
+  }
+  const usage = candidates.map((_, i) => design.filter(t => t.includes(i)).length);
+
+  return {
+    format: { tickets, size, pool, maxOverlap },
+    pool: candidates.map((c, i) => ({ ...c, tickets: usage[i] })),
+    tickets: design.map(t => t.map(i => candidates[i].number).sort((a, b) => a - b)),
+    coverage,
+    guarantees,
+    // Fewer tickets than the budget when the overlap limit leaves no candidate
+    complete: design.length === tickets
+  };
+}
+
+export default { buildPortfolio, greedyDesign, designGuarantees };
@@ -0,0 +1,547 @@
+/**
+ * Prediction History
+ *
+ * Every logged prediction names its target: one draw instance of the
+ * schedule engine ("2026-10-19|Digital 21h", see schedule.js) with its
+ * draw type id and start time. Verification only scores a prediction
+ * against the stored draw of that type on that date, never a neighbouring
+ * one.
+ *
+ * A prediction made once its target has started is kept but flagged
+ * (postClose) and, like the untargeted ones (all types, unscheduled games)
+ * and the entries logged before targets existed, left out of the stats.
+ *
+ * Page views and cache misses predict the same draw many times. One
+ * prediction per draw is official (CONFIG.predictions.official: the first
+ * or the last made before the draw), the others are previews, and only
+ * official predictions are scored in the stats. A prediction identical to
+ * one already logged for its draw is not logged again.
+ *
+ * Predictions live in the `predictions` table (storage layer), queried by
+ * type, strategy, target date or draw. Rows older than
+ * CONFIG.predictions.retentionDays are pruned after each verification.
+ *
+ * Usage:
+ *   npm run predictions -- list [--type <id>] [--strategy <name>] [--official] [--limit 20] [--offset 0]
+ *   npm run predictions -- elect    (re-pick official predictions, e.g. after changing the policy)
+ *   npm run predictions -- verify
+ *   npm run predictions -- prune [--days 365]
+ *   npm run predictions -- import [--file data/predictions_history.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import CONFIG from './config.js';
+import { drawInstanceByKey, localDate, nextDrawOf } from './schedule.js';
+import storage from './storage/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const LEGACY_FILE = path.join(__dirname, '../data/predictions_history.json');
+const VERIFY_DAYS = 7; // Targets older than this are no longer looked up
+const EVER = '1970-01-01'; // gte filter keeping every non-NULL value
+
+const toNumber = (value) => (value === null || value === undefined || value === '' ? null : Number(value));
+
+// =============================================================================
+// TARGETS
+// =============================================================================
+
+/**
+ * Draw instance a prediction is made for
+ * @param {Object} options
+ * @param {string} options.name - Draw type name (when no key is given: its next draw)
+ * @param {string|number} options.drawTypeId
+ * @param {string} options.key - Explicit instance key
+ * @param {string|number} options.day - Restrict the next draw to a day of week
+ * @param {Date} options.now
+ * @returns {Object|null} { key, drawTypeId, name, date, time, startsAt }, null
+ *   when the game has no upcoming slot
+ */
+export function resolveTarget({ name = null, drawTypeId = null, key = null, day = null, now = new Date() } = {}) {
+  let instance;
+  if (key) {
+    instance = drawInstanceByKey(key);
+    if (!instance) {
+      const error = new Error(`No scheduled draw "${key}"`);
+      error.status = 400;
+      throw error;
+    }
+  } else {
+    instance = name ? nextDrawOf(name, now, day) : null;
+    if (!instance) return null;
+  }
+
+  return {
+    key: instance.key,
+    drawTypeId,
+    name: instance.name,
+    date: instance.date,
+    time: instance.time,
+    startsAt: instance.at.toISOString()
+  };
+}
+
+/**
+ * Whether a target had started at an instant
+ */
+export function isClosed(target, now = new Date()) {
+  return Boolean(target) && new Date(target.startsAt) <= now;
+}
+
+/**
+ * Entries counted in accuracy stats: official (so targeted and made before
+ * the draw) and verified
+ */
+export function isScored(entry) {
+  return Boolean(entry.official && entry.target && !entry.postClose && entry.result);
+}
+
+// =============================================================================
+// ROWS
+// =============================================================================
+
+/**
+ * predictions row of a server prediction (see generatePredictions in server.js)
+ */
+function toRecord(prediction, strategy = 'ensemble') {
+  const { target } = prediction.context;
+  const createdAt = prediction.generatedAt || new Date().toISOString();
+
+  return {
+    draw_type_id: toNumber(prediction.context.drawTypeId), // Can be null (all)
+    prediction_date: target ? target.date : localDate(new Date(createdAt)),
+    predicted_numbers: prediction.main.numbers,
+    confidence_score: prediction.main.confidence,
+    strategy,
+    day_of_week: toNumber(prediction.context.dayOfWeek),
+    target_key: target?.key || null,
+    target_date: target?.date || null,
+    target_starts_at: target?.startsAt || null,
+    target: target || null,
+    post_close: isClosed(target, new Date(createdAt)),
+    official: false,
+    expected_hits: prediction.main.expectedHits,
+    scores: prediction.main.scores,
+    machine_numbers: prediction.machine?.numbers || null,
+    machine_confidence: prediction.machine?.confidence || null,
+    hybrid_numbers: prediction.hybrid?.numbers || null,
+    hybrid_confidence: prediction.hybrid?.confidence || null,
+    created_at: createdAt
+  };
+}
+
+/**
+ * History entry of a predictions row (DECIMAL columns come back as strings)
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    timestamp: row.created_at,
+    drawTypeId: row.draw_type_id,
+    dayOfWeek: row.day_of_week,
+    strategy: row.strategy,
+    target: row.target || null,
+    postClose: Boolean(row.post_close),
+    official: Boolean(row.official),
+    predictedNumbers: row.predicted_numbers,
+    confidence: toNumber(row.confidence_score),
+    expectedHits: toNumber(row.expected_hits),
+    machineNumbers: row.machine_numbers || null,
+    machineConfidence: toNumber(row.machine_confidence),
+    hybridNumbers: row.hybrid_numbers || null,
+    hybridConfidence: toNumber(row.hybrid_confidence),
+    result: row.result || null,
+    machineResult: row.machine_result || null,
+    hybridResult: row.hybrid_result || null,
+    verifiedAt: row.verified_at || null
+  };
+}
+
+// Every column but the per-number scores
+const ENTRY_COLUMNS = 'id, created_at, draw_type_id, day_of_week, strategy, target, post_close, official, predicted_numbers, ' +
+  'confidence_score, expected_hits, machine_numbers, machine_confidence, hybrid_numbers, hybrid_confidence, ' +
+  'result, machine_result, hybrid_result, verified_at';
+
+async function query(options) {
+  const { data, count, error } = await storage.fetchPredictions({ columns: ENTRY_COLUMNS, ...options });
+  if (error) throw new Error(`Failed to fetch predictions: ${error.message}`);
+  return { entries: data.map(toEntry), total: count };
+}
+
+// =============================================================================
+// LOG & QUERIES
+// =============================================================================
+
+const sameNumbers = (a, b) => JSON.stringify(a || null) === JSON.stringify(b || null);
+
+// Logs of this process run one at a time; the unique index on official
+// predictions settles the races with other processes
+let logging = Promise.resolve();
+
+/**
+ * Log a server prediction
+ * Before its draw, a prediction becomes the official one under the 'last'
+ * policy, or under 'first' when the draw has none yet. One losing the race
+ * for the official slot to another process is logged as a preview.
+ * @returns {Promise<Object>} The logged entry, or the identical one already logged
+ */
+export function logPrediction(prediction) {
+  const run = logging.then(() => writePrediction(prediction));
+  logging = run.catch(() => {});
+  return run;
+}
+
+async function writePrediction(prediction) {
+  const record = toRecord(prediction);
+  let current = null;
+  let wanted = false;
+
+  if (record.target_key && !record.post_close) {
+    const { entries } = await query({ targetKey: record.target_key, postClose: false });
+    current = entries.find(p => p.official) || null;
+    const same = entries.find(p => sameNumbers(p.predictedNumbers, record.predicted_numbers) &&
+      sameNumbers(p.machineNumbers, record.machine_numbers) && sameNumbers(p.hybridNumbers, record.hybrid_numbers));
+    wanted = CONFIG.predictions.official === 'last' || !current;
+
+    if (same) {
+      // Predicted again: under 'last' the identical preview becomes official
+      return wanted && !same.official ? promote(same, current) : same;
+    }
+    // With an official row already there, the new one is promoted once stored
+    record.official = wanted && !current;
+  }
+
+  let { data, error } = await storage.savePrediction(record);
+  if (record.official && storage.isUniqueViolation(error)) {
+    record.official = false;
+    wanted = false; // Another process logged the official one meanwhile
+    ({ data, error } = await storage.savePrediction(record));
+  }
+  if (error) throw new Error(`Failed to log prediction: ${error.message}`);
+
+  let entry = toEntry(data[0] || record);
+  if (wanted && current) entry = await promote(entry, current);
+
+  const kind = record.post_close ? ' (after the draw)' : entry.official ? ' (official)' : ' (preview)';
+  console.log(`📝 Prediction logged to history${kind}`);
+  return entry;
+}
+
+/**
+ * Make a logged preview the official prediction of its draw in place of the
+ * current one. A draw has a single official row: the current one is demoted
+ * first and restored when the promotion fails.
+ * @returns {Promise<Object>} The entry, official unless another process won
+ */
+async function promote(entry, current) {
+  if (current) {
+    const { error } = await storage.updatePrediction(current.id, { official: false });
+    if (error) throw new Error(`Failed to update official prediction: ${error.message}`);
+  }
+
+  const { error } = await storage.updatePrediction(entry.id, { official: true });
+  if (!error) return { ...entry, official: true };
+
+  if (current) {
+    const { error: restoreError } = await storage.updatePrediction(current.id, { official: true });
+    if (restoreError) console.error(`❌ Could not restore official prediction ${current.id}: ${restoreError.message}`);
+  }
+  if (storage.isUniqueViolation(error)) return entry;
+  throw new Error(`Failed to update official prediction: ${error.message}`);
+}
+
+/**
+ * One page of the history, newest first
+ * @param {Object} options - fetchPredictions filters (drawTypeId, strategy, fromDate,
+ *   toDate, verified, postClose) plus limit and offset
+ * @returns {Promise<{entries: Object[], total: number}>}
+ */
+export async function fetchHistory(options = {}) {
+  const { limit = 50, offset = 0, ...filters } = options;
+  return query({ ...filters, limit, offset, count: true });
+}
+
+/**
+ * Official prediction of a draw instance
+ */
+export async function findOfficialPrediction(key) {
+  const { entries } = await query({ targetKey: key, official: true, limit: 1 });
+  return entries[0] || null;
+}
+
+/**
+ * Official prediction of each of several draw instances
+ * @param {Object[]} instances - Schedule instances ({ key, date })
+ * @returns {Promise<Map<string, Object>>} key -> entry
+ */
+export async function findOfficialPredictions(instances) {
+  const found = new Map();
+  if (instances.length === 0) return found;
+
+  const dates = instances.map(d => d.date).sort();
+  const keys = new Set(instances.map(d => d.key));
+  const { entries } = await query({ fromDate: dates[0], toDate: dates[dates.length - 1], official: true });
+  entries
+    .filter(e => keys.has(e.target?.key) && !found.has(e.target.key))
+    .forEach(e => found.set(e.target.key, e));
+  return found;
+}
+
+/**
+ * Most recent scored prediction (latest draw first), of one type or any
+ */
+export async function lastScoredPrediction(drawTypeId = null) {
+  const { entries } = await query({
+    drawTypeId,
+    verified: true,
+    official: true,
+    order: 'target_starts_at',
+    limit: 1
+  });
+  return entries[0] || null;
+}
+
+/**
+ * Real performance of the logged predictions (official scored ones only)
+ */
+export async function historyStats() {
+  const count = async (options) => {
+    const { count: total, error } = await storage.fetchPredictions({ columns: 'id', limit: 1, count: true, ...options });
+    if (error) throw new Error(`Failed to count predictions: ${error.message}`);
+    return total || 0;
+  };
+
+  const { data: scored, error } = await storage.fetchPredictions({
+    columns: 'id, result',
+    verified: true,
+    official: true
+  });
+  if (error) throw new Error(`Failed to fetch predictions: ${error.message}`);
+
+  const total = await count({});
+  return {
+    totalPredictions: total,
+    scoredPredictions: scored.length,
+    officialPredictions: await count({ official: true }),
+    postClosePredictions: await count({ postClose: true }),
+    untargetedPredictions: total - await count({ fromDate: EVER }),
+    totalHits: scored.reduce((sum, p) => sum + p.result.matchCount, 0),
+    wins: scored.filter(p => p.result.matchCount >= 3).length
+  };
+}
+
+// =============================================================================
+// VERIFICATION & RETENTION
+// =============================================================================
+
+function compare(predicted, actual) {
+  return {
+    actual,
+    matchCount: predicted.filter(n => actual.includes(n)).length,
+    matches: predicted.filter(n => actual.includes(n)),
+    nearMisses: predicted.filter(n => !actual.includes(n) && actual.some(a => Math.abs(a - n) === 1))
+  };
+}
+
+/**
+ * Score pending predictions against the stored draw of their target
+ * @returns {Promise<number>} Number of predictions verified
+ */
+export async function verifyHistory(now = new Date()) {
+  const since = localDate(new Date(now.getTime() - VERIFY_DAYS * 86400000));
+  const { entries } = await query({ fromDate: since, toDate: localDate(now) });
+  const pending = entries.filter(p => !p.result && isClosed(p.target, now));
+  if (pending.length === 0) return 0;
+
+  const { data: draws, error } = await storage.fetchDraws({
+    columns: 'id, draw_date, draw_type_id, winning_number_1, winning_number_2, winning_number_3, winning_number_4, winning_number_5, machine_number_1, machine_number_2, machine_number_3, machine_number_4, machine_number_5',
+    fromDate: since,
+    ascending: false
+  });
+  if (error) throw new Error(`Failed to fetch draws: ${error.message}`);
+
+  let verified = 0;
+  for (const pred of pending) {
+    const draw = draws.find(d =>
+      String(d.draw_type_id) === String(pred.target.drawTypeId) && d.draw_date === pred.target.date);
+    if (!draw) continue;
+
+    const actual = [1, 2, 3, 4, 5].map(i => draw[`winning_number_${i}`]);
+    const values = {
+      result: { drawId: draw.id, drawDate: draw.draw_date, ...compare(pred.predictedNumbers, actual) },
+      actual_numbers: actual,
+      verified_at: now.toISOString()
+    };
+
+    const actualMachine = [1, 2, 3, 4, 5].map(i => draw[`machine_number_${i}`]).filter(n => n !== null && n !== undefined);
+    if (pred.machineNumbers && actualMachine.length === 5) {
+      values.machine_result = compare(pred.machineNumbers, actualMachine);
+    }
+    if (pred.hybridNumbers) {
+      values.hybrid_result = compare(pred.hybridNumbers, actual);
+    }
+
+    const { error: updateError } = await storage.updatePrediction(pred.id, values);
+    if (updateError) throw new Error(`Failed to save verification: ${updateError.message}`);
+    verified++;
+  }
+
+  return verified;
+}
+
+/**
+ * Re-pick the official prediction of every draw under the current policy
+ * (rows logged before official predictions existed, policy changes)
+ * @returns {Promise<number>} Rows whose flag changed
+ */
+export async function electOfficialPredictions(policy = CONFIG.predictions.official) {
+  const { data, error } = await storage.fetchPredictions({
+    columns: 'id, target_key, official, created_at',
+    fromDate: EVER,
+    postClose: false,
+    order: 'created_at',
+    ascending: true
+  });
+  if (error) throw new Error(`Failed to fetch predictions: ${error.message}`);
+
+  const elected = new Map();
+  data.forEach(p => {
+    if (policy === 'last' || !elected.has(p.target_key)) elected.set(p.target_key, p.id);
+  });
+  const winners = new Set(elected.values());
+
+  // Demotions first, so a draw never has two official rows (unique index)
+  const changes = data
+    .filter(p => Boolean(p.official) !== winners.has(p.id))
+    .sort((a, b) => winners.has(a.id) - winners.has(b.id));
+
+  let changed = 0;
+  for (const p of changes) {
+    const official = winners.has(p.id);
+    const { error: updateError } = await storage.updatePrediction(p.id, { official });
+    if (updateError) throw new Error(`Failed to update prediction: ${updateError.message}`);
+    changed++;
+  }
+  return changed;
+}
+
+/**
+ * Delete predictions older than the retention period
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function pruneHistory(days = CONFIG.predictions.retentionDays, now = new Date()) {
+  if (!days) return 0;
+  const before = new Date(now.getTime() - days * 86400000).toISOString();
+  const { data, error } = await storage.deletePredictionsBefore(before);
+  if (error) throw new Error(`Failed to prune predictions: ${error.message}`);
+  return data.length;
+}
+
+/**
+ * Import data/predictions_history.json (the former history file)
+ * Entries without a target keep no result: theirs came from fuzzy matching
+ * @returns {Promise<{imported: number, skipped: number}>}
+ */
+export async function importLegacyHistory(file = LEGACY_FILE) {
+  const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  // Already imported entries share their creation time
+  const { data: existing, error } = await storage.fetchPredictions({ columns: 'created_at' });
+  if (error) throw new Error(`Failed to fetch predictions: ${error.message}`);
+  const seen = new Set(existing.map(p => new Date(p.created_at).toISOString()));
+
+  const records = history
+    .filter(p => p.timestamp && p.predictedNumbers && !seen.has(new Date(p.timestamp).toISOString()))
+    .map(p => ({
+      ...toRecord({
+        context: { drawTypeId: p.drawTypeId, dayOfWeek: p.dayOfWeek, target: p.target || null },
+        main: { numbers: p.predictedNumbers, confidence: p.confidence, expectedHits: p.expectedHits ?? null, scores: p.scores || null },
+        machine: p.machineNumbers ? { numbers: p.machineNumbers, confidence: p.machineConfidence } : null,
+        hybrid: p.hybridNumbers ? { numbers: p.hybridNumbers, confidence: p.hybridConfidence } : null,
+        generatedAt: p.timestamp
+      }),
+      post_close: Boolean(p.postClose),
+      ...(p.target && p.result ? {
+        result: p.result,
+        machine_result: p.machineResult || null,
+        hybrid_result: p.hybridResult || null,
+        actual_numbers: p.result.actual,
+        verified_at: p.timestamp
+      } : {})
+    }));
+
+  if (records.length > 0) {
+    const { error: insertError } = await storage.insert('predictions', records);
+    if (insertError) throw new Error(`Failed to import predictions: ${insertError.message}`);
+    await electOfficialPredictions();
+  }
+  return { imported: records.length, skipped: history.length - records.length };
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('prediction-history')) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  const command = args[0] && !args[0].startsWith('--') ? args[0] : 'list';
+
+  const commands = {
+    async list() {
+      const { entries, total } = await fetchHistory({
+        drawTypeId: flag('--type'),
+        strategy: flag('--strategy'),
+        official: args.includes('--official') ? true : null,
+        limit: parseInt(flag('--limit') || '20'),
+        offset: parseInt(flag('--offset') || '0')
+      });
+      console.log(`📜 ${total} predictions`);
+      entries.forEach(p => {
+        const outcome = p.result ? `${p.result.matchCount}/5 ${JSON.stringify(p.result.matches)}` : 'pending';
+        console.log(`   #${p.id} ${p.timestamp.slice(0, 16)} ${p.target?.key || `type ${p.drawTypeId ?? 'all'} (no target)`} ` +
+          `${p.predictedNumbers.join('-')} → ${outcome}${p.official ? ' ★ official' : ''}${p.postClose ? ' ⚠️ after the draw' : ''}`);
+      });
+    },
+    async elect() {
+      console.log(`★ ${await electOfficialPredictions()} predictions changed (${CONFIG.predictions.official} before the draw is official)`);
+    },
+    async verify() {
+      console.log(`✅ Verified ${await verifyHistory()} predictions`);
+    },
+    async prune() {
+      const days = parseInt(flag('--days') || CONFIG.predictions.retentionDays);
+      console.log(`🗑️ Deleted ${await pruneHistory(days)} predictions older than ${days} days`);
+    },
+    async import() {
+      const { imported, skipped } = await importLegacyHistory(flag('--file') || LEGACY_FILE);
+      console.log(`📥 Imported ${imported} predictions (${skipped} skipped)`);
+    }
+  };
+
+  if (!commands[command]) {
+    console.error(`❌ Unknown command "${command}". Use list, elect, verify, prune or import.`);
+    process.exit(1);
+  }
+  commands[command]().catch(e => {
+    console.error('❌ Prediction history failed:', e.message);
+    process.exit(1);
+  });
+}
+
+export default {
+  resolveTarget,
+  isClosed,
+  isScored,
+  logPrediction,
+  fetchHistory,
+  findOfficialPrediction,
+  findOfficialPredictions,
+  lastScoredPrediction,
+  historyStats,
+  electOfficialPredictions,
+  verifyHistory,
+  pruneHistory,
+  importLegacyHistory
+};
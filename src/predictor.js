@@ -4,37 +4,23 @@
  * Génère des prédictions basées sur l'analyse des patterns historiques
  */
 
-import supabase from './supabase-client.js';
+import { calculateNumberScores, loadBrain, resolveWeights } from './brain.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
 
 // =====================================================
 // CONFIGURATION
 // =====================================================
 
-const WEIGHTS = {
-  hotNumber: 0.25,        // Numéros fréquents
-  coldNumber: 0.15,       // Numéros rares (contrarian)
-  overdueNumber: 0.20,    // Numéros en retard
-  dayOfWeek: 0.15,        // Favoris du jour
-  positionFreq: 0.10,     // Fréquence par position
-  pairs: 0.10,            // Paires fréquentes
-  sumRange: 0.05          // Dans la plage de somme typique
-};
+// Les tirages du même jour ne sont utilisés qu'à partir de ce nombre
+const MIN_DAY_DRAWS = 10;
 
 // =====================================================
 // DATA LOADING
 // =====================================================
 
 async function loadDrawData(drawTypeId = null) {
-  let query = supabase
-    .from('draws')
-    .select('*, draw_types(name)')
-    .order('draw_date', { ascending: false });
-  
-  if (drawTypeId) {
-    query = query.eq('draw_type_id', drawTypeId);
-  }
-  
-  const { data, error } = await query;
+  const { data, error } = await fetchCleanDraws({ drawTypeId, ascending: false, withTypeName: true });
   
   if (error) {
     console.error('Error loading draws:', error);
@@ -45,9 +31,7 @@ async function loadDrawData(drawTypeId = null) {
 }
 
 async function loadDrawTypes() {
-  const { data, error } = await supabase
-    .from('draw_types')
-    .select('id, name, category');
+  const { data, error } = await storage.fetchDrawTypes('id, name, category');
   
   if (error) {
     console.error('Error loading draw types:', error);
@@ -111,22 +95,6 @@ function calculateLastSeen(draws) {
   return lastSeen;
 }
 
-function calculateDayOfWeekFavorites(draws, targetDayOfWeek) {
-  const counts = {};
-  for (let i = 1; i <= 90; i++) counts[i] = 0;
-  
-  const dayDraws = draws.filter(d => d.day_of_week === targetDayOfWeek);
-  
-  for (const draw of dayDraws) {
-    [draw.winning_number_1, draw.winning_number_2, draw.winning_number_3,
-     draw.winning_number_4, draw.winning_number_5].forEach(num => {
-      if (num) counts[num]++;
-    });
-  }
-  
-  return counts;
-}
-
 function calculatePairFrequency(draws) {
   const pairs = {};
   
@@ -172,43 +140,23 @@ function calculateSumStats(draws) {
 // SCORING FUNCTIONS
 // =====================================================
 
-function scoreNumbers(draws, targetDayOfWeek) {
-  const totalDraws = draws.length || 1;
-  const scores = {};
-  
-  for (let i = 1; i <= 90; i++) scores[i] = 0;
-  
-  // Frequency analysis
-  const freq = calculateNumberFrequency(draws);
-  const maxFreq = Math.max(...Object.values(freq).map(f => f.total));
-  const minFreq = Math.min(...Object.values(freq).map(f => f.total));
-  
-  // Last seen analysis
-  const lastSeen = calculateLastSeen(draws);
-  const maxDays = Math.max(...Object.values(lastSeen).map(l => l.daysSince === 9999 ? 0 : l.daysSince));
+/**
+ * Scores de l'ensemble (stratégies de strategies.js, poids appris du type)
+ * ramenés sur 0-100, le meilleur numéro à 100
+ * @param {Object[]} draws - Tirages du type, du plus récent au plus ancien
+ */
+async function scoreNumbers(draws, targetDayOfWeek, drawTypeId = null) {
+  const chronological = draws.slice().reverse();
+  const sameDay = chronological.filter(d => d.day_of_week === targetDayOfWeek);
+  const history = sameDay.length >= MIN_DAY_DRAWS ? sameDay : chronological;
   
-  // Day of week analysis
-  const dayFavs = calculateDayOfWeekFavorites(draws, targetDayOfWeek);
-  const maxDayCount = Math.max(...Object.values(dayFavs));
+  const weights = resolveWeights(await loadBrain('winning'), drawTypeId);
+  const ensemble = calculateNumberScores(history, weights);
+  const best = Math.max(...Object.values(ensemble));
   
-  // Score each number
+  const scores = {};
   for (let num = 1; num <= 90; num++) {
-    // Hot number score (higher frequency = higher score)
-    const hotScore = maxFreq > 0 ? (freq[num].total / maxFreq) * WEIGHTS.hotNumber * 100 : 0;
-    
-    // Cold number score (lower frequency = higher score for contrarian)
-    const coldScore = maxFreq > minFreq ? 
-      ((maxFreq - freq[num].total) / (maxFreq - minFreq)) * WEIGHTS.coldNumber * 100 : 0;
-    
-    // Overdue score (more days since = higher score)
-    const overdueScore = maxDays > 0 && lastSeen[num].daysSince !== 9999 ? 
-      (lastSeen[num].daysSince / maxDays) * WEIGHTS.overdueNumber * 100 : 0;
-    
-    // Day of week score
-    const dayScore = maxDayCount > 0 ? 
-      (dayFavs[num] / maxDayCount) * WEIGHTS.dayOfWeek * 100 : 0;
-    
-    scores[num] = hotScore + coldScore + overdueScore + dayScore;
+    scores[num] = best > 0 ? (ensemble[num] / best) * 100 : 0;
   }
   
   return scores;
@@ -254,7 +202,7 @@ function generatePrediction(scores, sumStats, count = 5) {
       if (sum >= sumStats.q1 && sum <= sumStats.q3) {
         // Calculate confidence score
         const avgScore = selected.reduce((acc, num) => acc + scores[num], 0) / 5;
-        const confidence = Math.min(99, Math.max(1, avgScore * 1.5));
+        const confidence = Math.min(99, Math.max(1, avgScore));
         
         predictions.push({
           numbers: selected,
@@ -346,9 +294,7 @@ async function storePredictions(predictions, drawTypeId, drawTypeName) {
       pattern_ids: { strategy: pred.strategy, avgScore: pred.avgScore }
     };
     
-    const { error } = await supabase
-      .from('predictions')
-      .insert(record);
+    const { error } = await storage.savePrediction(record);
     
     if (error) {
       console.error(`Error storing prediction:`, error.message);
@@ -397,7 +343,7 @@ async function generateAllPredictions() {
     }
     
     // Calculate scores
-    const scores = scoreNumbers(draws, dayOfWeek);
+    const scores = await scoreNumbers(draws, dayOfWeek, drawType.id);
     const sumStats = calculateSumStats(draws);
     const lastSeen = calculateLastSeen(draws);
     const freq = calculateNumberFrequency(draws);
@@ -0,0 +1,194 @@
+/**
+ * Read API
+ *
+ * Curated, read-only endpoints over the stored tables. They replace the raw
+ * /api/<table> passthrough to Supabase REST: only the columns and filters
+ * declared here can be read, and nothing can be written.
+ *
+ *   GET /api/draws        ?type=&from=&to=&day=
+ *   GET /api/draw-types   ?category=
+ *   GET /api/frequencies  ?type=&number=
+ *   GET /api/pairs        ?type=&min=
+ *   GET /api/patterns     ?type=&kind=
+ *
+ * Common parameters:
+ *   fields=a,b,c          Columns to return (default: all listed below)
+ *   order=column.asc|desc Sort column, one of the resource's sortable columns
+ *   limit, offset         Paging (limit defaults to 100, at most 2000)
+ *
+ * Responses: { total, limit, offset, <resource>: [...] }
+ */
+
+import storage from './storage/index.js';
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 2000;
+
+const DRAW_COLUMNS = [
+  'id', 'draw_type_id', 'draw_date', 'draw_time',
+  'winning_number_1', 'winning_number_2', 'winning_number_3', 'winning_number_4', 'winning_number_5',
+  'machine_number_1', 'machine_number_2', 'machine_number_3', 'machine_number_4', 'machine_number_5',
+  'raw_winning_numbers', 'raw_machine_numbers', 'month_year', 'day_of_week', 'week_of_year', 'created_at'
+];
+
+// =============================================================================
+// PARAMETER PARSERS
+// =============================================================================
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const integer = (min, max) => (value, name) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    throw badRequest(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return parsed;
+};
+
+const date = (value, name) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw badRequest(`${name} must be a YYYY-MM-DD date`);
+  return value;
+};
+
+const text = (value) => value;
+
+// =============================================================================
+// RESOURCES
+// =============================================================================
+
+/**
+ * Path => { table, key (response field), columns, sortable, order (default),
+ * filters: { param: { column, op: eq|gte|lte, parse } } }
+ */
+export const READ_RESOURCES = {
+  '/api/draws': {
+    table: 'draws',
+    key: 'draws',
+    columns: DRAW_COLUMNS,
+    sortable: ['draw_date', 'id', 'draw_type_id', 'created_at'],
+    order: 'draw_date.desc',
+    filters: {
+      type: { column: 'draw_type_id', op: 'eq', parse: integer(1, Number.MAX_SAFE_INTEGER) },
+      day: { column: 'day_of_week', op: 'eq', parse: integer(0, 6) },
+      from: { column: 'draw_date', op: 'gte', parse: date },
+      to: { column: 'draw_date', op: 'lte', parse: date }
+    }
+  },
+  '/api/draw-types': {
+    table: 'draw_types',
+    key: 'drawTypes',
+    columns: ['id', 'name', 'category', 'created_at'],
+    sortable: ['id', 'name', 'category'],
+    order: 'id.asc',
+    filters: {
+      category: { column: 'category', op: 'eq', parse: text }
+    }
+  },
+  '/api/frequencies': {
+    table: 'number_frequency',
+    key: 'frequencies',
+    columns: [
+      'id', 'draw_type_id', 'number', 'total_count',
+      'position_1_count', 'position_2_count', 'position_3_count', 'position_4_count', 'position_5_count',
+      'last_seen', 'updated_at'
+    ],
+    sortable: ['total_count', 'number', 'last_seen', 'draw_type_id'],
+    order: 'total_count.desc',
+    filters: {
+      type: { column: 'draw_type_id', op: 'eq', parse: integer(1, Number.MAX_SAFE_INTEGER) },
+      number: { column: 'number', op: 'eq', parse: integer(1, 90) }
+    }
+  },
+  '/api/pairs': {
+    table: 'number_pairs',
+    key: 'pairs',
+    columns: ['id', 'draw_type_id', 'number_1', 'number_2', 'occurrence_count', 'last_seen', 'updated_at'],
+    sortable: ['occurrence_count', 'last_seen', 'number_1', 'draw_type_id'],
+    order: 'occurrence_count.desc',
+    filters: {
+      type: { column: 'draw_type_id', op: 'eq', parse: integer(1, Number.MAX_SAFE_INTEGER) },
+      min: { column: 'occurrence_count', op: 'gte', parse: integer(0, Number.MAX_SAFE_INTEGER) }
+    }
+  },
+  '/api/patterns': {
+    table: 'patterns',
+    key: 'patterns',
+    columns: [
+      'id', 'pattern_type', 'draw_type_id', 'description', 'numbers', 'strength',
+      'last_occurrence', 'occurrence_count', 'created_at', 'updated_at'
+    ],
+    sortable: ['strength', 'occurrence_count', 'last_occurrence', 'pattern_type'],
+    order: 'strength.desc',
+    filters: {
+      type: { column: 'draw_type_id', op: 'eq', parse: integer(1, Number.MAX_SAFE_INTEGER) },
+      kind: { column: 'pattern_type', op: 'eq', parse: text }
+    }
+  }
+};
+
+/**
+ * Resource served at a request path, or null
+ */
+export function findReadResource(pathname) {
+  return READ_RESOURCES[pathname] || null;
+}
+
+/**
+ * Storage select options for a query string (throws status 400 errors)
+ * @param {Object} resource - Entry of READ_RESOURCES
+ * @param {URLSearchParams} params
+ */
+export function parseReadQuery(resource, params) {
+  const fields = params.get('fields');
+  const columns = fields ? fields.split(',').map(f => f.trim()).filter(Boolean) : resource.columns;
+  const unknown = columns.filter(c => !resource.columns.includes(c));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown field(s): ${unknown.join(', ')} (allowed: ${resource.columns.join(', ')})`);
+  }
+
+  const [orderColumn, direction = 'asc'] = (params.get('order') || resource.order).split('.');
+  if (!resource.sortable.includes(orderColumn) || !['asc', 'desc'].includes(direction)) {
+    throw badRequest(`order must be <column>.asc|desc with column in ${resource.sortable.join(', ')}`);
+  }
+
+  const limit = params.has('limit') ? integer(1, MAX_LIMIT)(params.get('limit'), 'limit') : DEFAULT_LIMIT;
+  const offset = params.has('offset') ? integer(0, Number.MAX_SAFE_INTEGER)(params.get('offset'), 'offset') : 0;
+
+  const filters = { eq: {}, gte: {}, lte: {} };
+  for (const [name, filter] of Object.entries(resource.filters)) {
+    if (params.get(name)) filters[filter.op][filter.column] = filter.parse(params.get(name), name);
+  }
+
+  return {
+    columns: columns.join(','),
+    ...filters,
+    order: orderColumn,
+    ascending: direction === 'asc',
+    limit,
+    offset,
+    count: true
+  };
+}
+
+/**
+ * Read one page of a resource
+ * @returns {Promise<Object>} { total, limit, offset, <resource key>: rows }
+ */
+export async function readResource(resource, params) {
+  const options = parseReadQuery(resource, params);
+  const { data, count, error } = await storage.select(resource.table, options);
+  if (error) throw new Error(`Failed to read ${resource.table}: ${error.message}`);
+
+  return {
+    total: count ?? data.length,
+    limit: options.limit,
+    offset: options.offset,
+    [resource.key]: data
+  };
+}
+
+export default { READ_RESOURCES, findReadResource, parseReadQuery, readResource };
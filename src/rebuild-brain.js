@@ -0,0 +1,65 @@
+/**
+ * Rebuild Brain
+ *
+ * Resets the brain weights and replays every stored draw in date order,
+ * so the weights only depend on the data (not on how often learning ran).
+ *
+ * Usage:
+ *   npm run brain:rebuild                     # winning + machine
+ *   npm run brain:rebuild -- --target machine
+ *   npm run brain:rebuild -- --min-history 100 --dry-run
+ */
+
+import { rebuildBrain } from './brain.js';
+import { STORAGE_BACKEND } from './storage/index.js';
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const idx = args.indexOf(name);
+  return idx >= 0 ? args[idx + 1] : null;
+};
+
+async function main() {
+  const targets = flag('--target') ? [flag('--target')] : ['winning', 'machine'];
+  const minHistory = parseInt(flag('--min-history')) || 50;
+  const dryRun = args.includes('--dry-run');
+
+  console.log(`🧠 Rebuilding brain from ${STORAGE_BACKEND} storage${dryRun ? ' (dry run)' : ''}...`);
+  console.log(`   Min history per type: ${minHistory} draws`);
+
+  for (const target of targets) {
+    if (!['winning', 'machine'].includes(target)) {
+      console.error(`   ❌ Unknown target "${target}" (use winning or machine)`);
+      process.exitCode = 1;
+      continue;
+    }
+
+    console.log(`\n🔁 Replaying ${target} numbers...`);
+    let lastLogged = 0;
+    const brain = await rebuildBrain(target, {
+      minHistory,
+      save: !dryRun,
+      onProgress: (done, total) => {
+        if (done - lastLogged >= 500 || done === total) {
+          lastLogged = done;
+          process.stdout.write(`\r   ${done}/${total} draws`);
+        }
+      }
+    });
+    process.stdout.write('\n');
+
+    const learnedTypes = Object.keys(brain.ledger).length;
+    console.log(`   ✅ ${brain.stats.totalDraws} draws learned across ${learnedTypes} types`);
+    console.log(`   Accuracy: ${brain.stats.globalAccuracy.toFixed(2)}%`);
+    console.log(`   Weights: ${Object.entries(brain.weights).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+  }
+
+  if (!dryRun) {
+    console.log('\n✨ Done. Restart the server to load the rebuilt weights.');
+  }
+}
+
+main().catch(e => {
+  console.error('❌ Rebuild failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,419 @@
+/**
+ * Offline Re-ingest
+ *
+ * Rebuilds the draws table from saved monthly API payloads, without network
+ * access. Every month is parsed again with extractDraws and compared with the
+ * stored draws of the same dates: new draws are inserted, changed ones
+ * updated and stored draws missing from the payload deleted. Run it after a
+ * fix in parseFrenchDate / parseNumbers.
+ *
+ * The payload directory is either the scrape archive layout
+ * (<YYYY-MM>/<timestamp>.json, latest file wins) or one file per month
+ * (<YYYY-MM>.json) holding the raw API response as exported from the site.
+ *
+ * Usage:
+ *   npm run reingest -- --from 2024-01 --to 2026-10            (dry run)
+ *   npm run reingest -- --from 2024-01 --to 2026-10 --apply
+ *   Flags: --dir <path>  --save (fetch the months into --dir first)  --no-delete  --verbose
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CONFIG from './config.js';
+import { printDataQualitySummary, runDataQualityCheck } from './data-quality.js';
+import { canonicalName, findStoredType } from './draw-catalog.js';
+import { listArchivedMonths, monthYearFromKey, readArchivedMonth } from './scrape-archive.js';
+import { extractDraws, fetchMonthResults, getDrawTypeId, toDrawRecord } from './scraper.js';
+import storage from './storage/index.js';
+
+const BATCH_SIZE = 50;
+const DETAIL_LIMIT = 20; // Changes listed per kind without --verbose
+
+// Fields compared between a parsed draw and its stored row
+const COMPARED_FIELDS = [
+  'day_of_week', 'week_of_year', 'month_year',
+  'winning_number_1', 'winning_number_2', 'winning_number_3', 'winning_number_4', 'winning_number_5',
+  'machine_number_1', 'machine_number_2', 'machine_number_3', 'machine_number_4', 'machine_number_5',
+  'raw_winning_numbers', 'raw_machine_numbers'
+];
+
+const MONTH_KEY = /^\d{4}-\d{2}$/;
+
+// =============================================================================
+// PAYLOADS
+// =============================================================================
+
+/**
+ * Month keys from `from` to `to` included ("2024-11", "2024-12", "2025-01"...)
+ */
+export function monthRange(from, to) {
+  if (!MONTH_KEY.test(from) || !MONTH_KEY.test(to)) {
+    throw new Error('Months must be given as YYYY-MM');
+  }
+  if (from > to) throw new Error(`--from ${from} is after --to ${to}`);
+
+  const keys = [];
+  let [year, month] = from.split('-').map(Number);
+  for (let key = from; key <= to;) {
+    keys.push(key);
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+    key = `${year}-${String(month).padStart(2, '0')}`;
+  }
+  return keys;
+}
+
+/**
+ * Last day of a month key: "2026-02" -> "2026-02-28"
+ */
+function monthEnd(key) {
+  const [year, month] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month, 0)).toISOString().slice(0, 10);
+}
+
+/**
+ * Month keys with a payload in the directory (both layouts), oldest first
+ */
+export function listPayloadMonths(dir) {
+  if (!fs.existsSync(dir)) return [];
+  const files = fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}\.json$/.test(name))
+    .map(name => name.slice(0, 7));
+  return [...new Set([...listArchivedMonths(dir), ...files])].sort();
+}
+
+/**
+ * Saved payload of a month, or null
+ * Archived responses take precedence over a plain <YYYY-MM>.json export.
+ * @returns {{monthYear: string, source: string, body: Object}|null}
+ */
+export function readPayload(dir, key) {
+  const archived = readArchivedMonth(key, dir);
+  if (archived) {
+    return {
+      monthYear: archived.monthYear || monthYearFromKey(key),
+      source: `archive ${archived.fetchedAt || '?'}`,
+      body: archived.body
+    };
+  }
+
+  const file = path.join(dir, `${key}.json`);
+  if (!fs.existsSync(file)) return null;
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  // Also accept a single archived response copied next to the exports
+  const body = content.drawsResultsWeekly ? content : content.body;
+  return { monthYear: content.monthYear || monthYearFromKey(key), source: path.basename(file), body };
+}
+
+// =============================================================================
+// DIFF
+// =============================================================================
+
+const sameValue = (a, b) => String(a ?? '') === String(b ?? '');
+
+const drawNumbers = (draw) =>
+  [1, 2, 3, 4, 5].map(i => draw[`winning_number_${i}`]).join('-');
+
+/**
+ * Compare parsed draws with the stored ones
+ * Draws are matched on draw type + date (and the raw winning numbers when a
+ * type has several results on the same date). Stored draws of months outside
+ * `scope` are never deleted: payloads spill over into the neighbouring weeks.
+ * @param {Object[]} parsed - extractDraws() output with draw_type_id (null for new types)
+ *   and spillover (draw dated outside its payload's month)
+ * @param {Object[]} stored - Stored draws covering the parsed dates
+ * @param {Set<string>} scope - Month keys with a payload
+ * @returns {{inserts: Object[], updates: Object[], deletes: Object[], unchanged: number}}
+ */
+export function diffDraws(parsed, stored, scope) {
+  const identity = (draw) => `${draw.draw_type_id ?? `new:${canonicalName(draw.draw_name)}`}|${draw.draw_date}`;
+  const groups = new Map();
+  const group = (key) => {
+    if (!groups.has(key)) groups.set(key, { parsed: [], stored: [] });
+    return groups.get(key);
+  };
+
+  // The same draw can come from two monthly payloads: keep the one of its own month
+  const seen = new Set();
+  const ordered = [...parsed.filter(d => !d.spillover), ...parsed.filter(d => d.spillover)];
+  for (const draw of ordered) {
+    const key = `${identity(draw)}|${draw.raw_winning_numbers}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    group(identity(draw)).parsed.push(draw);
+  }
+  for (const row of stored) group(identity(row)).stored.push(row);
+
+  const inserts = [];
+  const updates = [];
+  const deletes = [];
+  let unchanged = 0;
+
+  for (const { parsed: fresh, stored: rows } of groups.values()) {
+    const remaining = rows.slice();
+
+    // Exact raw matches first, then pair the rest in order
+    const pairs = [];
+    const unmatched = [];
+    for (const draw of fresh) {
+      const index = remaining.findIndex(row => row.raw_winning_numbers === draw.raw_winning_numbers);
+      if (index >= 0) pairs.push([draw, remaining.splice(index, 1)[0]]);
+      else unmatched.push(draw);
+    }
+    for (const draw of unmatched) {
+      if (remaining.length > 0) pairs.push([draw, remaining.shift()]);
+      else inserts.push(draw);
+    }
+
+    for (const [draw, row] of pairs) {
+      const changes = {};
+      for (const field of COMPARED_FIELDS) {
+        // A neighbouring month's payload does not own the draw's month label
+        if (field === 'month_year' && draw.spillover) continue;
+        if (!sameValue(draw[field], row[field])) changes[field] = { from: row[field] ?? null, to: draw[field] ?? null };
+      }
+      if (Object.keys(changes).length > 0) updates.push({ id: row.id, draw, row, changes });
+      else unchanged++;
+    }
+
+    for (const row of remaining) {
+      if (scope.has(String(row.draw_date).slice(0, 7))) deletes.push(row);
+    }
+  }
+
+  return { inserts, updates, deletes, unchanged };
+}
+
+// =============================================================================
+// RE-INGEST
+// =============================================================================
+
+/**
+ * Fetch months from the live API into the payload directory
+ */
+async function savePayloads(keys, dir) {
+  const failed = [];
+  for (const key of keys) {
+    const monthYear = monthYearFromKey(key);
+    process.stdout.write(`🌐 ${monthYear}... `);
+    const data = await fetchMonthResults(monthYear, 'Tous les tirages', { archiveDir: dir });
+    if (data) console.log('✅ saved');
+    else failed.push(key);
+  }
+  if (failed.length > 0) console.log(`⚠️ Not saved: ${failed.join(', ')}`);
+  return failed;
+}
+
+async function applyDiff(diff) {
+  const result = { inserted: 0, updated: 0, deleted: 0, errors: 0 };
+
+  for (const row of diff.deletes) {
+    const { error } = await storage.deleteDraw(row.id);
+    if (error) {
+      console.error(`   Delete ${row.id} failed:`, error.message);
+      result.errors++;
+    } else {
+      result.deleted++;
+    }
+  }
+
+  for (const { id, changes } of diff.updates) {
+    const values = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+    const { error } = await storage.updateDraw(id, values);
+    if (error) {
+      console.error(`   Update ${id} failed:`, error.message);
+      result.errors++;
+    } else {
+      result.updated++;
+    }
+  }
+
+  for (let i = 0; i < diff.inserts.length; i += BATCH_SIZE) {
+    const records = [];
+    for (const draw of diff.inserts.slice(i, i + BATCH_SIZE)) {
+      // Creates the draw types first seen in the payloads
+      const drawTypeId = draw.draw_type_id ?? await getDrawTypeId(draw.draw_name);
+      if (drawTypeId) records.push(toDrawRecord(draw, drawTypeId));
+      else result.errors++;
+    }
+    if (records.length === 0) continue;
+
+    const { data, error } = await storage.saveDraws(records);
+    if (error) {
+      console.error('   Insert batch failed:', error.message);
+      result.errors += records.length;
+    } else {
+      result.inserted += data?.length || 0;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Re-parse saved payloads and reconcile the draws table
+ * @param {Object} options
+ * @param {string} options.from - First month (YYYY-MM), default: oldest payload
+ * @param {string} options.to - Last month (YYYY-MM), default: latest payload
+ * @param {string} options.dir - Payload directory (default: the scrape archive)
+ * @param {boolean} options.save - Fetch the months from the live API into `dir` first
+ * @param {boolean} options.apply - Write the changes (otherwise dry run)
+ * @param {boolean} options.deletes - Delete stored draws missing from the payloads
+ * @returns {{months: Object[], missing: string[], diff: Object, result: Object|null}}
+ */
+export async function reingest(options = {}) {
+  const { dir = CONFIG.lotto.archiveDir, save = false, apply = false, deletes = true } = options;
+
+  if (save) {
+    if (!options.from || !options.to) throw new Error('--save needs --from and --to');
+    await savePayloads(monthRange(options.from, options.to), dir);
+  }
+
+  const available = listPayloadMonths(dir);
+  const from = options.from || available[0];
+  const to = options.to || available[available.length - 1];
+  if (!from || !to) throw new Error(`No saved payloads in ${dir}`);
+
+  const { data: drawTypes, error: typesError } = await storage.fetchDrawTypes();
+  if (typesError) throw new Error(`Failed to fetch draw types: ${typesError.message}`);
+  const typeNames = new Map(drawTypes.map(t => [String(t.id), t.name]));
+
+  const months = [];
+  const missing = [];
+  const parsed = [];
+
+  for (const key of monthRange(from, to)) {
+    const payload = readPayload(dir, key);
+    if (!payload) {
+      missing.push(key);
+      continue;
+    }
+
+    const draws = extractDraws(payload.body?.drawsResultsWeekly, payload.monthYear)
+      .map(d => ({ ...d, draw_type_id: findStoredType(drawTypes, d.draw_name)?.id ?? null, spillover: !d.draw_date.startsWith(key) }));
+    months.push({ key, source: payload.source, draws: draws.length });
+    parsed.push(...draws);
+  }
+
+  // An empty payload is more likely broken than a month without draws
+  const scope = new Set(months.filter(m => m.draws > 0).map(m => m.key));
+  let stored = [];
+
+  if (months.length > 0) {
+    // Payloads start and end with partial weeks of the neighbouring months
+    const dates = parsed.map(d => d.draw_date).sort();
+    const first = [dates[0], `${months[0].key}-01`].filter(Boolean).sort()[0];
+    const last = [dates[dates.length - 1], monthEnd(months[months.length - 1].key)].filter(Boolean).sort().pop();
+
+    const { data, error } = await storage.fetchDraws({ fromDate: first, toDate: last });
+    if (error) throw new Error(`Failed to fetch draws: ${error.message}`);
+    stored = data || [];
+  }
+
+  const diff = diffDraws(parsed, stored, scope);
+  if (!deletes) diff.deletes = [];
+
+  const byMonth = (list, dateOf) => {
+    const counts = {};
+    for (const item of list) {
+      const key = String(dateOf(item)).slice(0, 7);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  };
+  const inserts = byMonth(diff.inserts, d => d.draw_date);
+  const updates = byMonth(diff.updates, u => u.draw.draw_date);
+  const removed = byMonth(diff.deletes, r => r.draw_date);
+  months.forEach(m => {
+    m.inserts = inserts[m.key] || 0;
+    m.updates = updates[m.key] || 0;
+    m.deletes = removed[m.key] || 0;
+  });
+
+  const result = apply ? await applyDiff(diff) : null;
+
+  return { from, to, dir, months, missing, diff, result, typeName: (id) => typeNames.get(String(id)) };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+function printReport(report, verbose) {
+  const { months, missing, diff, typeName } = report;
+
+  months.forEach(m => {
+    console.log(`📂 ${m.key} (${m.source}): ${m.draws} draws → +${m.inserts} ~${m.updates} -${m.deletes}`);
+  });
+  if (missing.length > 0) {
+    console.log(`⚠️ No payload for ${missing.length} month(s): ${missing.join(', ')}`);
+  }
+
+  const limit = verbose ? Infinity : DETAIL_LIMIT;
+  const section = (title, items, line) => {
+    if (items.length === 0) return;
+    console.log(`\n${title} (${items.length})`);
+    items.slice(0, limit).forEach(item => console.log(`   ${line(item)}`));
+    if (items.length > limit) console.log(`   ... ${items.length - limit} more (--verbose)`);
+  };
+
+  section('➕ Inserts', diff.inserts, d =>
+    `${d.draw_date} ${d.draw_name}${d.draw_type_id ? '' : ' (new type)'}  ${drawNumbers(d)}`);
+  section('✏️ Updates', diff.updates, u =>
+    `${u.draw.draw_date} ${u.draw.draw_name} #${u.id}  ` +
+    Object.entries(u.changes).map(([field, c]) => `${field}: ${c.from} → ${c.to}`).join(', '));
+  section('🗑️ Deletes', diff.deletes, r =>
+    `${r.draw_date} ${typeName(r.draw_type_id) || `type ${r.draw_type_id}`} #${r.id}  ${drawNumbers(r)}`);
+
+  console.log('');
+  console.log(`📊 ${diff.inserts.length} to insert, ${diff.updates.length} to update, ` +
+    `${diff.deletes.length} to delete, ${diff.unchanged} unchanged`);
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('reingest.js')) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+  const apply = args.includes('--apply');
+
+  console.log('🎰 LOTTO PATTERNS - OFFLINE RE-INGEST');
+  console.log('=' .repeat(50));
+  console.log('');
+
+  reingest({
+    from: flag('--from'),
+    to: flag('--to'),
+    dir: flag('--dir') || CONFIG.lotto.archiveDir,
+    save: args.includes('--save'),
+    apply,
+    deletes: !args.includes('--no-delete')
+  }).then(async report => {
+    console.log(`📦 ${report.dir}: ${report.from} → ${report.to}\n`);
+    printReport(report, args.includes('--verbose'));
+
+    if (!report.result) {
+      console.log('\n🔍 Dry run: nothing written. Re-run with --apply to write these changes.');
+      return;
+    }
+
+    const { inserted, updated, deleted, errors } = report.result;
+    console.log(`\n✅ Applied: ${inserted} inserted, ${updated} updated, ${deleted} deleted, ${errors} errors`);
+    if (inserted + updated + deleted > 0) {
+      console.log('');
+      printDataQualitySummary(await runDataQualityCheck());
+      console.log('🧠 Draws changed: run npm run brain:rebuild to replay the brain on the corrected history');
+    }
+  }).catch(e => {
+    console.error('❌ Re-ingest failed:', e.message);
+    process.exit(1);
+  });
+}
+
+export default { monthRange, listPayloadMonths, readPayload, diffDraws, reingest };
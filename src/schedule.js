@@ -0,0 +1,273 @@
+/**
+ * Schedule Engine
+ *
+ * Turns the draw catalog into concrete draw instances: "Digital 21h on
+ * 2026-10-19 at 20:58 Abidjan time". Every instance has a key
+ * ("2026-10-19|Digital 21h") and a UTC instant, so "next N draws" and
+ * "previous N draws" work across midnight and whatever the server's zone.
+ *
+ * The slots of a day take into account, in order:
+ * - the games active on that date (activeFrom / activeTo)
+ * - schedule changes effective from a date (entry.slotChanges)
+ * - exception dates (catalog.exceptions): holidays cancelling some or all
+ *   draws, extra or moved draws
+ */
+
+import { canonicalName, findCatalogEntry, isActiveOn, loadCatalog, slotsFor } from './draw-catalog.js';
+
+const DEFAULT_TIMEZONE = 'Africa/Abidjan';
+const SEARCH_DAYS = 14; // How far next/previous look before giving up
+export const LIVE_MINUTES = 10; // A draw counts as live this long after its time
+
+const pad = (n) => String(n).padStart(2, '0');
+const timeOf = (hour, minute) => `${pad(hour)}:${pad(minute)}`;
+
+// =============================================================================
+// TIME ZONES
+// =============================================================================
+
+const formatters = new Map();
+
+function zoneFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @returns {{date: string, day: number, hour: number, minute: number}}
+ */
+export function zonedParts(instant, timeZone = DEFAULT_TIMEZONE) {
+  const parts = {};
+  zoneFormatter(timeZone).formatToParts(instant).forEach(p => { parts[p.type] = p.value; });
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return { date, day: dayOfWeek(date), hour: Number(parts.hour), minute: Number(parts.minute) };
+}
+
+/**
+ * UTC instant of a wall-clock time in a time zone
+ */
+export function zonedTime(date, hour, minute, timeZone = DEFAULT_TIMEZONE) {
+  const [year, month, day] = date.split('-').map(Number);
+  const wanted = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Shift by the zone offset, twice in case the first guess crossed a DST change
+  let instant = wanted;
+  for (let i = 0; i < 2; i++) {
+    const local = zonedParts(new Date(instant), timeZone);
+    const [y, m, d] = local.date.split('-').map(Number);
+    instant += wanted - Date.UTC(y, m - 1, d, local.hour, local.minute);
+  }
+  return new Date(instant);
+}
+
+/**
+ * Time zone of the catalog's schedule slots
+ */
+export function calendarTimeZone(catalog = loadCatalog()) {
+  return catalog.metadata?.timezone || DEFAULT_TIMEZONE;
+}
+
+export function dayOfWeek(date) {
+  return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// =============================================================================
+// DRAW INSTANCES
+// =============================================================================
+
+const dayCache = new WeakMap();
+
+/**
+ * Draw instances of a local date, by time
+ * @param {string} date - YYYY-MM-DD in the catalog's time zone
+ * @returns {Array<{key, name, category, isDigital, date, day, hour, minute, time, at: Date}>}
+ */
+export function drawsOn(date, catalog = loadCatalog()) {
+  if (!dayCache.has(catalog)) dayCache.set(catalog, new Map());
+  const cache = dayCache.get(catalog);
+  if (cache.has(date)) return cache.get(date);
+
+  const timeZone = calendarTimeZone(catalog);
+  const day = dayOfWeek(date);
+  const exceptions = (catalog.exceptions || []).filter(e => e.date === date);
+  const cancelled = new Set(exceptions.flatMap(e => e.cancel || []).map(name => canonicalName(name, catalog)));
+
+  const slots = [];
+  for (const entry of catalog.drawTypes) {
+    if (!isActiveOn(entry, date) || cancelled.has('*') || cancelled.has(entry.name)) continue;
+    slotsFor(entry, date)
+      .filter(s => s.day === day)
+      .forEach(({ hour, minute }) => slots.push({ entry, hour, minute }));
+  }
+  // Extra or moved draws of the exception date
+  for (const extra of exceptions.flatMap(e => e.add || [])) {
+    const entry = findCatalogEntry(extra.name, catalog) || { name: extra.name, category: 'special' };
+    slots.push({ entry, hour: extra.hour, minute: extra.minute });
+  }
+
+  const instances = slots
+    .map(({ entry, hour, minute }) => ({
+      key: `${date}|${entry.name}`,
+      name: entry.name,
+      category: entry.category,
+      isDigital: entry.category === 'digital',
+      date,
+      day,
+      hour,
+      minute,
+      time: timeOf(hour, minute),
+      at: zonedTime(date, hour, minute, timeZone)
+    }))
+    .sort((a, b) => a.at - b.at);
+
+  cache.set(date, instances);
+  return instances;
+}
+
+/**
+ * Local date of an instant in the catalog's time zone
+ */
+export function localDate(instant = new Date(), catalog = loadCatalog()) {
+  return zonedParts(instant, calendarTimeZone(catalog)).date;
+}
+
+/**
+ * Next `count` draws at or after an instant
+ */
+export function nextDraws(from = new Date(), count = 10, catalog = loadCatalog()) {
+  const result = [];
+  const start = localDate(from, catalog);
+  for (let i = 0; i <= SEARCH_DAYS && result.length < count; i++) {
+    drawsOn(addDays(start, i), catalog)
+      .filter(d => d.at >= from)
+      .forEach(d => result.length < count && result.push(d));
+  }
+  return result;
+}
+
+/**
+ * Last `count` draws before an instant, most recent first
+ */
+export function previousDraws(from = new Date(), count = 10, catalog = loadCatalog()) {
+  const result = [];
+  const start = localDate(from, catalog);
+  for (let i = 0; i <= SEARCH_DAYS && result.length < count; i++) {
+    drawsOn(addDays(start, -i), catalog)
+      .filter(d => d.at < from)
+      .reverse()
+      .forEach(d => result.length < count && result.push(d));
+  }
+  return result;
+}
+
+/**
+ * Next draw of one game at or after an instant
+ * @param {string} name - Draw type name (any alias)
+ * @param {number|string|null} day - Only on this day of week
+ */
+export function nextDrawOf(name, from = new Date(), day = null, catalog = loadCatalog()) {
+  const canonical = canonicalName(name, catalog);
+  return nextDraws(from, Infinity, catalog)
+    .find(d => d.name === canonical && (day === null || d.day === Number(day))) || null;
+}
+
+/**
+ * Draw instance of a game on a date (a stored draw row, a prediction...)
+ * @param {string} name - Draw type name (any alias)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} null when the game has no slot that day
+ */
+export function drawInstance(name, date, catalog = loadCatalog()) {
+  const canonical = canonicalName(name, catalog);
+  return drawsOn(date, catalog).find(d => d.name === canonical) || null;
+}
+
+/**
+ * Draw instance from its key ("2026-10-19|Digital 21h")
+ */
+export function drawInstanceByKey(key, catalog = loadCatalog()) {
+  const [date, ...name] = String(key).split('|');
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? drawInstance(name.join('|'), date, catalog) : null;
+}
+
+/**
+ * Status of a draw instance at an instant
+ * @returns {'upcoming'|'live'|'finished'}
+ */
+export function drawStatus(instance, now = new Date()) {
+  const minutes = (now - instance.at) / 60000;
+  if (minutes < 0) return 'upcoming';
+  return minutes < LIVE_MINUTES ? 'live' : 'finished';
+}
+
+/**
+ * Time left before a draw, or null once it started
+ */
+export function countdown(instance, now = new Date()) {
+  const minutes = Math.ceil((instance.at - now) / 60000);
+  if (minutes <= 0) return null;
+  return { hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+}
+
+/**
+ * Draw to feature at an instant: the one being drawn (live), else the next
+ * one, tomorrow's first draw included
+ */
+export function featuredDraw(now = new Date(), catalog = loadCatalog()) {
+  const live = nextDraws(new Date(now - LIVE_MINUTES * 60000), 1, catalog)[0];
+  if (live && live.at <= now) return { draw: live, status: 'live' };
+
+  const next = nextDraws(now, 1, catalog)[0];
+  return next ? { draw: next, status: 'upcoming' } : { draw: null, status: 'finished' };
+}
+
+/**
+ * API shape of an instance
+ */
+export function describeDraw(instance, now = new Date()) {
+  return {
+    key: instance.key,
+    name: instance.name,
+    category: instance.category,
+    isDigital: instance.isDigital,
+    date: instance.date,
+    dayOfWeek: instance.day,
+    time: instance.time,
+    timeMinutes: instance.hour * 60 + instance.minute,
+    startsAt: instance.at.toISOString(),
+    status: drawStatus(instance, now),
+    countdown: countdown(instance, now)
+  };
+}
+
+export default {
+  LIVE_MINUTES,
+  zonedParts,
+  zonedTime,
+  calendarTimeZone,
+  localDate,
+  drawsOn,
+  nextDraws,
+  previousDraws,
+  nextDrawOf,
+  drawInstance,
+  drawInstanceByKey,
+  drawStatus,
+  countdown,
+  featuredDraw,
+  describeDraw
+};
@@ -0,0 +1,192 @@
+/**
+ * Scheduler
+ *
+ * Runs the server's automatic work from the draw calendar instead of a fixed
+ * interval (see CONFIG.schedule):
+ * - a refresh (scrape, then analysis and training) `scrapeDelay` minutes after
+ *   each draw of the catalog, tried again every `retryInterval` minutes until
+ *   the result of that draw is stored, at most `retries` more times
+ * - cron tasks queued as jobs: the nightly analysis and the weekly LSTM
+ *   retraining
+ *
+ * Between the last draw of a day and the first of the next one nothing runs.
+ * A single timer waits for the earliest task; describeSchedule() lists the
+ * upcoming ones for /api/status and the dashboard countdown.
+ */
+
+import { CONFIG } from './config.js';
+import { parseCron, runsOn } from './cron.js';
+import { findStoredType, loadCatalog } from './draw-catalog.js';
+import { startJob } from './jobs.js';
+import { addDays, calendarTimeZone, dayOfWeek, localDate, nextDraws, zonedTime } from './schedule.js';
+import storage from './storage/index.js';
+
+const CRON_SEARCH_DAYS = 4 * 366; // Long enough for a 29 February
+// Re-plan at least this often (catalog edits, clock changes)
+const MAX_TIMER_MS = 60 * 60 * 1000;
+
+let refresh = null;
+let timer = null;
+let ticking = false;
+let cursor = null; // Draws at or after this instant are not handled yet
+const waiting = new Map(); // draw key => { draw, attempts, nextTry }
+let cronTasks = [];
+
+/**
+ * Next run of a cron expression after an instant, in the calendar's time zone
+ * @returns {Date|null} null when the expression never matches
+ */
+export function nextCronRun(expression, from = new Date(), catalog = loadCatalog()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const timeZone = calendarTimeZone(catalog);
+  const start = localDate(from, catalog);
+
+  for (let i = 0; i <= CRON_SEARCH_DAYS; i++) {
+    const date = addDays(start, i);
+    if (!runsOn(cron, date, dayOfWeek(date))) continue;
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const at = zonedTime(date, hour, minute, timeZone);
+        if (at > from) return at;
+      }
+    }
+  }
+  return null;
+}
+
+const scrapeTime = (draw) => new Date(draw.at.getTime() + CONFIG.schedule.scrapeDelay * 60000);
+
+/**
+ * Whether the result of a draw instance is stored
+ */
+async function resultStored(draw) {
+  const { data: types, error } = await storage.fetchDrawTypes('id, name');
+  if (error) throw new Error(`Failed to load draw types: ${error.message}`);
+  const type = findStoredType(types || [], draw.name);
+  if (!type) return false;
+
+  const { data: rows, error: drawsError } = await storage.fetchDraws({
+    drawTypeId: type.id, columns: 'id', fromDate: draw.date, toDate: draw.date, limit: 1
+  });
+  if (drawsError) throw new Error(`Failed to load draws: ${drawsError.message}`);
+  return rows.length > 0;
+}
+
+/**
+ * Upcoming tasks, earliest first
+ * @returns {Array<Object>} { task: 'scrape'|'job', at: Date, draw, attempt, job, cron }
+ */
+function upcomingTasks(count) {
+  if (!refresh) return [];
+
+  const tasks = [
+    ...nextDraws(cursor, count).map(draw => ({ task: 'scrape', at: scrapeTime(draw), draw: draw.key, attempt: 1 })),
+    ...[...waiting.values()].map(w => ({ task: 'scrape', at: w.nextTry, draw: w.draw.key, attempt: w.attempts + 1 })),
+    ...cronTasks.filter(c => c.next).map(c => ({ task: 'job', at: c.next, job: c.job, cron: c.cron.expression }))
+  ];
+  return tasks.sort((a, b) => a.at - b.at).slice(0, count);
+}
+
+function arm() {
+  clearTimeout(timer);
+  const next = upcomingTasks(1)[0];
+  if (!next) return;
+  timer = setTimeout(tick, Math.min(Math.max(next.at - Date.now(), 0), MAX_TIMER_MS));
+}
+
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  const now = new Date();
+
+  try {
+    // Draws whose scrape time has come wait for their result
+    for (let draw = nextDraws(cursor, 1)[0]; draw && scrapeTime(draw) <= now; draw = nextDraws(cursor, 1)[0]) {
+      waiting.set(draw.key, { draw, attempts: 0, nextTry: now });
+      cursor = new Date(draw.at.getTime() + 1);
+    }
+
+    for (const task of cronTasks.filter(c => c.next && c.next <= now)) {
+      task.next = nextCronRun(task.cron, now);
+      try {
+        const job = await startJob(task.job, {}, { requestedBy: 'scheduler' });
+        console.log(`⏰ Scheduled ${task.job} queued (job ${job.id})`);
+      } catch (error) {
+        console.error(`❌ Scheduled ${task.job} failed to start:`, error.message);
+      }
+    }
+
+    const due = [...waiting.values()].filter(w => w.nextTry <= now);
+    if (due.length > 0) {
+      console.log(`⏰ Scraping results of ${due.map(w => w.draw.name).join(', ')}`);
+      await refresh();
+
+      for (const entry of due) {
+        entry.attempts++;
+        // Set first, so a failing check cannot make the timer fire again at once
+        entry.nextTry = new Date(Date.now() + CONFIG.schedule.retryInterval * 60000);
+        let stored = false;
+        try {
+          stored = await resultStored(entry.draw);
+        } catch (error) {
+          console.error(`❌ Could not check the result of ${entry.draw.key}:`, error.message);
+        }
+
+        if (stored) {
+          waiting.delete(entry.draw.key);
+        } else if (entry.attempts > CONFIG.schedule.retries) {
+          waiting.delete(entry.draw.key);
+          console.warn(`⚠️  No result for ${entry.draw.key} after ${entry.attempts} tries, giving up`);
+        } else {
+          console.log(`   ${entry.draw.key} not published yet, next try at ${entry.nextTry.toISOString()}`);
+        }
+      }
+    }
+  } catch (error) {
+    console.error('❌ Scheduler error:', error.message);
+  } finally {
+    ticking = false;
+    arm();
+  }
+}
+
+/**
+ * Start planning
+ * @param {Function} onDraw - Refresh run after draws (resolves when done)
+ */
+export function startScheduler(onDraw) {
+  const now = new Date();
+  refresh = onDraw;
+  // A draw whose scrape time is still ahead is handled, even if it started already
+  cursor = new Date(now.getTime() - CONFIG.schedule.scrapeDelay * 60000);
+  cronTasks = [
+    { job: 'analyze', expression: CONFIG.schedule.analysisCron },
+    { job: 'train-lstm', expression: CONFIG.schedule.lstmCron }
+  ]
+    .filter(c => c.expression)
+    .map(c => ({ job: c.job, cron: parseCron(c.expression), next: nextCronRun(c.expression, now) }));
+  arm();
+}
+
+export function stopScheduler() {
+  clearTimeout(timer);
+  refresh = null;
+  waiting.clear();
+  cronTasks = [];
+}
+
+/**
+ * Planned tasks for the API
+ * @returns {Object} { enabled, next, upcoming: [...], waiting: [{ draw, attempts, nextTry }] }
+ */
+export function describeSchedule(count = 5) {
+  const upcoming = upcomingTasks(count).map(t => ({ ...t, at: t.at.toISOString() }));
+  return {
+    enabled: Boolean(refresh),
+    next: upcoming[0] || null,
+    upcoming,
+    waiting: [...waiting.values()].map(w => ({ draw: w.draw.key, attempts: w.attempts, nextTry: w.nextTry.toISOString() }))
+  };
+}
+
+export default { nextCronRun, startScheduler, stopScheduler, describeSchedule };
@@ -0,0 +1,91 @@
+/**
+ * Scrape Archive
+ *
+ * Every raw API response is kept on disk under CONFIG.lotto.archiveDir,
+ * one folder per month: data/archive/2026-02/2026-02-14T21-05-33-120Z.json.
+ * Parsing can then be re-run from the archive without fetching again, and
+ * archived responses double as fixtures for extractDraws.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CONFIG from './config.js';
+
+const MONTH_NAMES = [
+  'janvier', 'février', 'mars', 'avril', 'mai', 'juin',
+  'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'
+];
+
+/**
+ * Archive key of an API month label: "février 2026" -> "2026-02"
+ */
+export function monthKey(monthYear) {
+  const [name, year] = monthYear.toLowerCase().trim().split(/\s+/);
+  const index = MONTH_NAMES.indexOf(name);
+  if (index < 0 || !/^\d{4}$/.test(year || '')) {
+    throw new Error(`Unrecognized month "${monthYear}"`);
+  }
+  return `${year}-${String(index + 1).padStart(2, '0')}`;
+}
+
+/**
+ * API month label of an archive key: "2026-02" -> "février 2026"
+ */
+export function monthYearFromKey(key) {
+  const [year, month] = key.split('-').map(Number);
+  return `${MONTH_NAMES[month - 1]} ${year}`;
+}
+
+function monthDir(key, dir = CONFIG.lotto.archiveDir) {
+  return path.join(dir, key);
+}
+
+/**
+ * Store a raw response
+ * @param {string} monthYear - API month label ("février 2026")
+ * @param {Object} response - { url, drawType, status, body }
+ * @param {string} dir - Archive directory (default CONFIG.lotto.archiveDir)
+ * @returns {string} Path of the archived file
+ */
+export function archiveResponse(monthYear, response, dir = CONFIG.lotto.archiveDir) {
+  const key = monthKey(monthYear);
+  const fetchedAt = new Date().toISOString();
+  const folder = monthDir(key, dir);
+  const file = path.join(folder, `${fetchedAt.replace(/[:.]/g, '-')}.json`);
+
+  fs.mkdirSync(folder, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ monthYear, fetchedAt, ...response }));
+  return file;
+}
+
+/**
+ * Archived month keys, oldest first
+ * @param {string} dir - Archive directory (default CONFIG.lotto.archiveDir)
+ */
+export function listArchivedMonths(dir = CONFIG.lotto.archiveDir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => /^\d{4}-\d{2}$/.test(name))
+    .sort();
+}
+
+/**
+ * Archived responses of a month, oldest first (file names only)
+ */
+export function listArchivedResponses(key, dir = CONFIG.lotto.archiveDir) {
+  const folder = monthDir(key, dir);
+  if (!fs.existsSync(folder)) return [];
+  return fs.readdirSync(folder).filter(name => name.endsWith('.json')).sort();
+}
+
+/**
+ * Most recent archived response of a month, or null
+ * @returns {{monthYear, fetchedAt, url, drawType, status, body}|null}
+ */
+export function readArchivedMonth(key, dir = CONFIG.lotto.archiveDir) {
+  const files = listArchivedResponses(key, dir);
+  if (files.length === 0) return null;
+  return JSON.parse(fs.readFileSync(path.join(monthDir(key, dir), files[files.length - 1]), 'utf8'));
+}
+
+export default { monthKey, monthYearFromKey, archiveResponse, listArchivedMonths, listArchivedResponses, readArchivedMonth };
@@ -2,12 +2,15 @@
  * Lotto Bonheur Scraper
  * 
  * Récupère tous les résultats des tirages depuis l'API de lotobonheur.ci
- * et les stocke dans Supabase.
+ * et les stocke dans la base (Supabase ou stockage local).
  */
 
 import fetch from 'node-fetch';
 import CONFIG from './config.js';
-import supabase from './supabase-client.js';
+import { printDataQualitySummary, runDataQualityCheck } from './data-quality.js';
+import { findCatalogEntry, findStoredType } from './draw-catalog.js';
+import { archiveResponse, listArchivedMonths, monthYearFromKey, readArchivedMonth } from './scrape-archive.js';
+import storage from './storage/index.js';
 
 // French month names to numbers
 const FRENCH_MONTHS = {
@@ -81,6 +84,8 @@ function parseNumbers(numbersStr) {
 
 /**
  * Get draw type ID from name (with cache)
+ * Names go through the draw catalog, so aliases and renamed games land on
+ * the canonical type.
  */
 const drawTypeCache = new Map();
 
@@ -89,21 +94,22 @@ async function getDrawTypeId(drawName) {
     return drawTypeCache.get(drawName);
   }
   
-  const { data, error } = await supabase
-    .from('draw_types')
-    .select('id')
-    .eq('name', drawName)
-    .single();
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  const existing = error ? null : findStoredType(drawTypes || [], drawName);
   
-  if (error || !data) {
+  if (!existing) {
     // Insert new draw type if not exists
-    const { data: newType, error: insertError } = await supabase
-      .from('draw_types')
-      .insert({ name: drawName, category: 'unknown' })
-      .select('id')
-      .single();
+    const entry = findCatalogEntry(drawName);
+    if (!entry) {
+      console.warn(`⚠️ "${drawName}" is not in data/draw_catalog.json, stored as category 'unknown'`);
+    }
+    
+    const { data: newType, error: insertError } = await storage.createDrawType({
+      name: entry?.name || drawName,
+      category: entry?.category || 'unknown'
+    });
     
-    if (insertError) {
+    if (insertError || !newType) {
       console.error(`Error creating draw type: ${drawName}`, insertError);
       return null;
     }
@@ -111,41 +117,91 @@ async function getDrawTypeId(drawName) {
     return newType.id;
   }
   
-  drawTypeCache.set(drawName, data.id);
-  return data.id;
+  drawTypeCache.set(drawName, existing.id);
+  return existing.id;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Start time of the last request (rate limit shared by every caller)
+let lastRequestAt = 0;
+
+/**
+ * Wait until CONFIG.lotto.requestInterval has passed since the last request
+ */
+async function rateLimit() {
+  const wait = lastRequestAt + CONFIG.lotto.requestInterval - Date.now();
+  if (wait > 0) await sleep(wait);
+  lastRequestAt = Date.now();
+}
+
+/**
+ * Errors worth retrying: network failures, rate limiting and server errors
+ */
+function isRetryable(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
 }
 
 /**
  * Fetch results for a specific month/year
+ * Retries transient failures with exponential backoff and archives every
+ * successful raw response (see scrape-archive.js).
+ * @param {Object} options - { retries, archive, archiveDir }
+ * @returns {Object|null} Parsed response, or null once all attempts failed
  */
-async function fetchMonthResults(monthYear, drawType = 'Tous les tirages') {
+async function fetchMonthResults(monthYear, drawType = 'Tous les tirages', options = {}) {
+  const { retries = CONFIG.lotto.retries, archive = true, archiveDir = CONFIG.lotto.archiveDir } = options;
   const url = `${CONFIG.lotto.apiUrl}?monthYear=${encodeURIComponent(monthYear)}&drawType=${encodeURIComponent(drawType)}`;
   
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'Accept': 'application/json',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      await rateLimit();
+      const response = await fetch(url, {
+        headers: {
+          'Accept': 'application/json',
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36'
+        }
+      });
+      
+      if (!response.ok) {
+        const error = new Error(`HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
-    });
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      
+      const body = await response.json();
+      
+      if (archive) {
+        try {
+          archiveResponse(monthYear, { url, drawType, status: response.status, body }, archiveDir);
+        } catch (e) {
+          console.error(`Error archiving ${monthYear}:`, e.message);
+        }
+      }
+      
+      return body;
+    } catch (error) {
+      if (attempt === retries || !isRetryable(error)) {
+        console.error(`Error fetching ${monthYear} (attempt ${attempt + 1}/${retries + 1}):`, error.message);
+        return null;
+      }
+      
+      // 1x, 2x, 4x... the base delay, with some jitter
+      const delay = CONFIG.lotto.retryDelay * 2 ** attempt * (0.75 + Math.random() * 0.5);
+      console.warn(`⚠️ ${monthYear}: ${error.message}, retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
     }
-    
-    return await response.json();
-  } catch (error) {
-    console.error(`Error fetching ${monthYear}:`, error.message);
-    return null;
   }
+  
+  return null;
 }
 
 /**
- * Get week number of the year
+ * Get ISO week number of a YYYY-MM-DD date (independent of the server time zone)
  */
 function getWeekNumber(dateStr) {
-  const date = new Date(dateStr);
-  const d = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const d = new Date(Date.UTC(year, month - 1, day));
   const dayNum = d.getUTCDay() || 7;
   d.setUTCDate(d.getUTCDate() + 4 - dayNum);
   const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
@@ -225,6 +281,31 @@ function extractDraws(weeklyData, monthYear) {
   return draws;
 }
 
+/**
+ * Database record of an extracted draw
+ */
+function toDrawRecord(draw, drawTypeId) {
+  return {
+    draw_type_id: drawTypeId,
+    draw_date: draw.draw_date,
+    day_of_week: draw.day_of_week,
+    week_of_year: draw.week_of_year,
+    month_year: draw.month_year,
+    winning_number_1: draw.winning_number_1,
+    winning_number_2: draw.winning_number_2,
+    winning_number_3: draw.winning_number_3,
+    winning_number_4: draw.winning_number_4,
+    winning_number_5: draw.winning_number_5,
+    machine_number_1: draw.machine_number_1,
+    machine_number_2: draw.machine_number_2,
+    machine_number_3: draw.machine_number_3,
+    machine_number_4: draw.machine_number_4,
+    machine_number_5: draw.machine_number_5,
+    raw_winning_numbers: draw.raw_winning_numbers,
+    raw_machine_numbers: draw.raw_machine_numbers
+  };
+}
+
 /**
  * Insert draws into database in batches
  */
@@ -248,36 +329,12 @@ async function insertDraws(draws) {
         continue;
       }
       
-      records.push({
-        draw_type_id: drawTypeId,
-        draw_date: draw.draw_date,
-        day_of_week: draw.day_of_week,
-        week_of_year: draw.week_of_year,
-        month_year: draw.month_year,
-        winning_number_1: draw.winning_number_1,
-        winning_number_2: draw.winning_number_2,
-        winning_number_3: draw.winning_number_3,
-        winning_number_4: draw.winning_number_4,
-        winning_number_5: draw.winning_number_5,
-        machine_number_1: draw.machine_number_1,
-        machine_number_2: draw.machine_number_2,
-        machine_number_3: draw.machine_number_3,
-        machine_number_4: draw.machine_number_4,
-        machine_number_5: draw.machine_number_5,
-        raw_winning_numbers: draw.raw_winning_numbers,
-        raw_machine_numbers: draw.raw_machine_numbers
-      });
+      records.push(toDrawRecord(draw, drawTypeId));
     }
     
     if (records.length === 0) continue;
     
-    const { data, error } = await supabase
-      .from('draws')
-      .upsert(records, { 
-        onConflict: 'draw_type_id,draw_date,raw_winning_numbers',
-        ignoreDuplicates: true 
-      })
-      .select('id');
+    const { data, error } = await storage.saveDraws(records);
     
     if (error) {
       if (error.code === '23505') {
@@ -329,8 +386,10 @@ function getRecentMonths() {
 /**
  * Quick scraper - only fetches current and previous month
  * Ideal for regular updates
+ * @param {Object} options - { onProgress(done, total, monthYear) } called before each month
  */
-async function scrapeRecent() {
+async function scrapeRecent(options = {}) {
+  const { onProgress = null } = options;
   console.log('🎰 LOTTO PATTERNS - QUICK UPDATE');
   console.log('=' .repeat(50));
   console.log('');
@@ -344,13 +403,17 @@ async function scrapeRecent() {
   let totalErrors = 0;
   let totalDraws = 0;
   
-  for (const monthYear of months) {
+  const failedMonths = [];
+  
+  for (const [i, monthYear] of months.entries()) {
+    onProgress?.(i, months.length, monthYear);
     process.stdout.write(`📥 Fetching ${monthYear.padEnd(20)}... `);
     
     const data = await fetchMonthResults(monthYear);
     
     if (!data || !data.drawsResultsWeekly) {
       console.log('❌ No data');
+      failedMonths.push(monthYear);
       continue;
     }
     
@@ -373,16 +436,23 @@ async function scrapeRecent() {
   console.log('');
   console.log('─'.repeat(50));
   console.log(`📊 Quick Update: ${totalInserted} new draws added`);
+  if (failedMonths.length > 0) {
+    console.log(`⚠️ Failed months: ${failedMonths.join(', ')}`);
+  }
   console.log('');
   
-  return { inserted: totalInserted, skipped: totalSkipped, errors: totalErrors };
+  return { inserted: totalInserted, skipped: totalSkipped, errors: totalErrors, failedMonths };
 }
 
+const sameMonth = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
 /**
  * Full scraper - fetches ALL available months
  * Use for initial setup or full resync
+ * @param {Object} options - { onProgress(done, total, monthYear) } called before each month
  */
-async function scrapeAll() {
+async function scrapeAll(options = {}) {
+  const { onProgress = null } = options;
   console.log('🎰 LOTTO PATTERNS - FULL SCRAPE');
   console.log('=' .repeat(50));
   console.log('');
@@ -395,7 +465,7 @@ async function scrapeAll() {
   
   if (!initialData || !initialData.monthYears) {
     console.error('❌ Could not fetch month list from API');
-    return { inserted: 0, skipped: 0, errors: 1 };
+    return { inserted: 0, skipped: 0, errors: 1, failedMonths: [currentMonthYear] };
   }
   
   const months = initialData.monthYears;
@@ -408,17 +478,22 @@ async function scrapeAll() {
   let totalErrors = 0;
   let totalDraws = 0;
   
-  // Process each month
+  const failedMonths = [];
+  
+  // Process each month (requests are spaced by CONFIG.lotto.requestInterval)
   for (let i = 0; i < months.length; i++) {
     const monthYear = months[i];
     const progress = `[${i + 1}/${months.length}]`;
+    onProgress?.(i, months.length, monthYear);
     
     process.stdout.write(`${progress} Fetching ${monthYear.padEnd(20)}... `);
     
-    const data = await fetchMonthResults(monthYear);
+    // The month list came with the current month's results: not fetched (and archived) twice
+    const data = sameMonth(monthYear, currentMonthYear) ? initialData : await fetchMonthResults(monthYear);
     
     if (!data || !data.drawsResultsWeekly) {
       console.log('❌ No data');
+      failedMonths.push(monthYear);
       continue;
     }
     
@@ -436,9 +511,6 @@ async function scrapeAll() {
     } else {
       console.log('0 draws');
     }
-    
-    // Small delay to be nice to the server
-    await new Promise(resolve => setTimeout(resolve, 100));
   }
   
   console.log('');
@@ -449,21 +521,83 @@ async function scrapeAll() {
   console.log(`   Total inserted: ${totalInserted}`);
   console.log(`   Total skipped (duplicates): ${totalSkipped}`);
   console.log(`   Total errors: ${totalErrors}`);
+  if (failedMonths.length > 0) {
+    console.log(`   ⚠️ Failed months (${failedMonths.length}): ${failedMonths.join(', ')}`);
+    console.log('   Run the full scrape again to retry them.');
+  }
   console.log('');
   console.log('✅ Scraping complete! Run: npm run analyze');
   
+  return { inserted: totalInserted, skipped: totalSkipped, errors: totalErrors, failedMonths };
+}
+
+/**
+ * Re-parse the archived raw responses (latest one per month) without
+ * fetching anything, and store the draws
+ */
+async function scrapeFromArchive() {
+  console.log('🎰 LOTTO PATTERNS - REPARSE FROM ARCHIVE');
+  console.log('=' .repeat(50));
+  console.log('');
+  
+  const keys = listArchivedMonths();
+  if (keys.length === 0) {
+    console.log(`❌ No archived responses in ${CONFIG.lotto.archiveDir}`);
+    return { inserted: 0, skipped: 0, errors: 0 };
+  }
+  console.log(`📦 ${keys.length} archived months (${keys[0]} → ${keys[keys.length - 1]})`);
+  console.log('');
+  
+  let totalInserted = 0;
+  let totalSkipped = 0;
+  let totalErrors = 0;
+  
+  for (const key of keys) {
+    const archived = readArchivedMonth(key);
+    const monthYear = archived?.monthYear || monthYearFromKey(key);
+    process.stdout.write(`📂 ${key} (${archived?.fetchedAt || '?'})... `);
+    
+    const draws = extractDraws(archived?.body?.drawsResultsWeekly, monthYear);
+    if (draws.length === 0) {
+      console.log('0 draws');
+      continue;
+    }
+    
+    process.stdout.write(`${draws.length} draws → `);
+    const { inserted, skipped, errors } = await insertDraws(draws);
+    console.log(`✅ ${inserted} new, ${skipped} existing`);
+    
+    totalInserted += inserted;
+    totalSkipped += skipped;
+    totalErrors += errors;
+  }
+  
+  console.log('');
+  console.log(`📊 Archive: ${totalInserted} new draws added, ${totalSkipped} existing, ${totalErrors} errors`);
+  
   return { inserted: totalInserted, skipped: totalSkipped, errors: totalErrors };
 }
 
 // Export functions for server use
-export { extractDraws, fetchMonthResults, insertDraws, scrapeAll, scrapeRecent };
+export { extractDraws, fetchMonthResults, getDrawTypeId, insertDraws, scrapeAll, scrapeFromArchive, scrapeRecent, toDrawRecord };
 
-// Run based on command line argument
-const mode = process.argv[2] || 'full';
-
-if (mode === 'quick' || mode === '--quick' || mode === '-q') {
-  scrapeRecent().catch(console.error);
-} else {
-  scrapeAll().catch(console.error);
+// CLI execution (run based on command line argument)
+if (process.argv[1] && process.argv[1].includes('scraper.js')) {
+  const mode = process.argv[2] || 'full';
+  
+  let run = scrapeAll;
+  if (mode === 'quick' || mode === '--quick' || mode === '-q') {
+    run = scrapeRecent;
+  } else if (mode === '--from-archive') {
+    run = scrapeFromArchive;
+  }
+  
+  run()
+    .then(async () => {
+      // Validate the table once the new draws are in
+      console.log('');
+      printDataQualitySummary(await runDataQualityCheck());
+    })
+    .catch(console.error);
 }
 
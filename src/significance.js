@@ -0,0 +1,207 @@
+/**
+ * Significance Module
+ *
+ * Compares observed hit counts against a uniformly random 5-of-90 ticket.
+ * A random ticket matches k of the 5 drawn numbers with the hypergeometric
+ * probability C(5,k)·C(85,5-k) / C(90,5), i.e. 5·5/90 ≈ 0.278 hits per draw.
+ *
+ * Used by the backtesters and /api/brain so every accuracy figure comes with
+ * the random expectation, a one-sided p-value and a 95% confidence interval.
+ */
+
+export const POOL_SIZE = 90;
+export const PICKS = 5;
+export const DRAWN = 5;
+export const RANDOM_EXPECTED_HITS = (PICKS * DRAWN) / POOL_SIZE;
+
+const DEFAULT_ALPHA = 0.05;
+const Z_95 = 1.96;
+
+// Above this many draws the exact convolution gets slow; the normal
+// approximation is already very accurate there
+const EXACT_MAX_TESTS = 1000;
+
+// =============================================================================
+// DISTRIBUTIONS
+// =============================================================================
+
+function binomialCoefficient(n, k) {
+  if (k < 0 || k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = result * (n - k + i) / i;
+  }
+  return result;
+}
+
+/**
+ * Probability of matching exactly k numbers with one random ticket
+ * @returns {number[]} pmf indexed by k (0..PICKS)
+ */
+export function randomHitDistribution(picks = PICKS, drawn = DRAWN, pool = POOL_SIZE) {
+  const total = binomialCoefficient(pool, drawn);
+  const pmf = [];
+  for (let k = 0; k <= picks; k++) {
+    pmf.push(binomialCoefficient(picks, k) * binomialCoefficient(pool - picks, drawn - k) / total);
+  }
+  return pmf;
+}
+
+const HIT_PMF = randomHitDistribution();
+const HIT_VARIANCE = HIT_PMF.reduce((sum, p, k) => sum + p * (k - RANDOM_EXPECTED_HITS) ** 2, 0);
+
+// Chance that a random ticket gets 3+ matches (the backtester's "win")
+export const RANDOM_WIN_RATE = HIT_PMF.slice(3).reduce((a, b) => a + b, 0);
+
+function normalUpperTail(z) {
+  // Abramowitz & Stegun 7.1.26 approximation of erfc
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erfc = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? erfc / 2 : 1 - erfc / 2;
+}
+
+/**
+ * P(total hits >= observed) over `tests` independent random tickets
+ * Exact convolution of the hypergeometric pmf, normal approximation for large runs
+ */
+export function hitsPValue(totalHits, tests) {
+  if (tests <= 0) return 1;
+
+  if (tests > EXACT_MAX_TESTS) {
+    const mean = tests * RANDOM_EXPECTED_HITS;
+    const sd = Math.sqrt(tests * HIT_VARIANCE);
+    return normalUpperTail((totalHits - 0.5 - mean) / sd);
+  }
+
+  let dist = new Float64Array([1]);
+  for (let t = 0; t < tests; t++) {
+    const next = new Float64Array(dist.length + PICKS);
+    for (let s = 0; s < dist.length; s++) {
+      if (dist[s] === 0) continue;
+      for (let k = 0; k <= PICKS; k++) {
+        next[s + k] += dist[s] * HIT_PMF[k];
+      }
+    }
+    dist = next;
+  }
+
+  let tail = 0;
+  for (let s = Math.max(0, totalHits); s < dist.length; s++) tail += dist[s];
+  return Math.min(1, tail);
+}
+
+/**
+ * P(wins >= observed) for a Binomial(tests, p)
+ */
+export function binomialPValue(successes, trials, p) {
+  if (successes <= 0) return 1;
+  if (successes > trials) return 0;
+
+  // Walk the pmf up to `successes`, then sum the tail
+  let pmf = Math.pow(1 - p, trials);
+  for (let k = 0; k < successes; k++) {
+    pmf *= ((trials - k) / (k + 1)) * (p / (1 - p));
+  }
+
+  let tail = 0;
+  for (let k = successes; k <= trials; k++) {
+    tail += pmf;
+    if (pmf < tail * 1e-12) break;
+    pmf *= ((trials - k) / (k + 1)) * (p / (1 - p));
+  }
+  return Math.min(1, tail);
+}
+
+/**
+ * Wilson score interval for a proportion
+ * @returns {[number, number]}
+ */
+export function wilsonInterval(successes, trials, z = Z_95) {
+  if (trials <= 0) return [0, 1];
+  const phat = successes / trials;
+  const denom = 1 + (z * z) / trials;
+  const center = (phat + (z * z) / (2 * trials)) / denom;
+  const half = (z * Math.sqrt((phat * (1 - phat)) / trials + (z * z) / (4 * trials * trials))) / denom;
+  return [Math.max(0, center - half), Math.min(1, center + half)];
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+const round = (value, digits = 4) => parseFloat(value.toFixed(digits));
+
+/**
+ * Compare a strategy's record against random tickets
+ * @param {Object} record
+ * @param {number} record.totalHits - Matched numbers over all tests
+ * @param {number} record.totalTests - Number of predicted draws
+ * @param {number} record.wins - Draws with 3+ matches (optional)
+ * @param {number} comparisons - Strategies/types tested together (Bonferroni)
+ */
+export function evaluateSignificance({ totalHits = 0, totalTests = 0, wins = null }, comparisons = 1) {
+  const alpha = DEFAULT_ALPHA / Math.max(1, comparisons);
+
+  if (!totalTests) {
+    return {
+      tests: 0,
+      randomExpectedHits: round(RANDOM_EXPECTED_HITS),
+      observedHits: null,
+      pValue: null,
+      ci95: null,
+      alpha: round(alpha, 6),
+      significant: false,
+      verdict: 'insufficient data'
+    };
+  }
+
+  const observed = totalHits / totalTests;
+  const pValue = hitsPValue(totalHits, totalTests);
+  // CI on hits per draw from the per-number hit rate (hits out of 5·tests slots)
+  const [low, high] = wilsonInterval(totalHits, totalTests * PICKS);
+  const significant = pValue < alpha;
+
+  const result = {
+    tests: totalTests,
+    randomExpectedHits: round(RANDOM_EXPECTED_HITS),
+    observedHits: round(observed),
+    lift: round(observed / RANDOM_EXPECTED_HITS, 3),
+    pValue: round(pValue, 6),
+    ci95: [round(low * PICKS), round(high * PICKS)],
+    alpha: round(alpha, 6),
+    significant,
+    verdict: significant ? 'better than random' : 'consistent with random'
+  };
+
+  if (wins !== null && wins !== undefined) {
+    result.winRate = {
+      observed: round(wins / totalTests),
+      randomExpected: round(RANDOM_WIN_RATE, 6),
+      pValue: round(binomialPValue(wins, totalTests, RANDOM_WIN_RATE), 6)
+    };
+  }
+
+  return result;
+}
+
+/**
+ * One-line summary for CLI output
+ */
+export function formatSignificance(sig) {
+  if (!sig || !sig.tests) return 'n/a (no tests)';
+  const [low, high] = sig.ci95;
+  const flag = sig.significant ? '✅' : '🎲';
+  return `${flag} ${sig.observedHits} vs ${sig.randomExpectedHits} random, p=${sig.pValue}, 95% CI [${low}, ${high}] → ${sig.verdict}`;
+}
+
+export default {
+  RANDOM_EXPECTED_HITS,
+  RANDOM_WIN_RATE,
+  randomHitDistribution,
+  hitsPValue,
+  binomialPValue,
+  wilsonInterval,
+  evaluateSignificance,
+  formatSignificance
+};
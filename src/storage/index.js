@@ -0,0 +1,394 @@
+/**
+ * Storage Layer
+ *
+ * Single entry point for persistence. The backend is chosen by
+ * CONFIG.storage.backend:
+ * - 'supabase': hosted PostgreSQL through the Supabase client
+ * - 'local':    JSON files on disk (offline runs, tests)
+ *
+ * Both backends expose the same primitives (select, insert, upsert,
+ * update, remove); the domain helpers below are written once on top of
+ * them. Every function resolves to { data, error } like the Supabase client.
+ */
+
+import CONFIG from '../config.js';
+
+const backend = CONFIG.storage.backend === 'local'
+  ? await import('./local-storage.js')
+  : await import('./supabase-storage.js');
+
+export const STORAGE_BACKEND = CONFIG.storage.backend;
+
+export const { select, insert, upsert, update, remove } = backend;
+
+// =============================================================================
+// DRAWS
+// =============================================================================
+
+/**
+ * Fetch draws, chronological by default
+ * @param {Object} options
+ * @param {number|string} options.drawTypeId - Restrict to one draw type
+ * @param {string} options.columns - Column list (PostgREST syntax)
+ * @param {boolean} options.ascending - Sort order on draw_date
+ * @param {number} options.limit - Max rows
+ * @param {string} options.fromDate - Only draws on/after this YYYY-MM-DD date
+ * @param {string} options.toDate - Only draws on/before this YYYY-MM-DD date
+ * @param {boolean} options.withTypeName - Attach draw_types: { name } to each row
+ */
+export async function fetchDraws(options = {}) {
+  const {
+    drawTypeId = null,
+    columns = '*',
+    ascending = true,
+    limit = null,
+    fromDate = null,
+    toDate = null,
+    withTypeName = false
+  } = options;
+
+  // The type name is joined on draw_type_id, so make sure it is selected
+  const selectColumns = withTypeName && !/\*|draw_type_id/.test(columns)
+    ? `${columns}, draw_type_id`
+    : columns;
+
+  const { data, error } = await backend.select('draws', {
+    columns: selectColumns,
+    eq: drawTypeId ? { draw_type_id: drawTypeId } : {},
+    gte: fromDate ? { draw_date: fromDate } : {},
+    lte: toDate ? { draw_date: toDate } : {},
+    order: 'draw_date',
+    ascending,
+    limit
+  });
+
+  if (error || !withTypeName) return { data, error };
+
+  const { data: types } = await fetchDrawTypes();
+  const typeNames = new Map(types.map(t => [String(t.id), t.name]));
+
+  return {
+    data: data.map(d => ({
+      ...d,
+      draw_types: typeNames.has(String(d.draw_type_id)) ? { name: typeNames.get(String(d.draw_type_id)) } : null
+    })),
+    error: null
+  };
+}
+
+/**
+ * Count draws (optionally for a single type)
+ */
+export async function countDraws(drawTypeId = null) {
+  const { count, error } = await backend.select('draws', {
+    columns: 'id',
+    eq: drawTypeId ? { draw_type_id: drawTypeId } : {},
+    count: true
+  });
+
+  return { count: count || 0, error };
+}
+
+/**
+ * Insert draws, skipping ones already stored
+ * (unique key: draw_type_id + draw_date + raw_winning_numbers)
+ * @returns {Promise<{data: Object[], error: Object|null}>} data = newly inserted rows
+ */
+export async function saveDraws(records) {
+  return backend.upsert('draws', records, {
+    onConflict: 'draw_type_id,draw_date,raw_winning_numbers',
+    ignoreDuplicates: true
+  });
+}
+
+/**
+ * Overwrite the fields of one stored draw
+ */
+export async function updateDraw(id, values) {
+  return backend.update('draws', values, { eq: { id } });
+}
+
+/**
+ * Delete one stored draw
+ */
+export async function deleteDraw(id) {
+  return backend.remove('draws', { eq: { id } });
+}
+
+// =============================================================================
+// DRAW TYPES
+// =============================================================================
+
+export async function fetchDrawTypes(columns = 'id, name, category') {
+  return backend.select('draw_types', { columns, order: 'id' });
+}
+
+/**
+ * Find a draw type by exact name
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function findDrawTypeByName(name) {
+  const { data, error } = await backend.select('draw_types', {
+    columns: 'id, name, category',
+    eq: { name },
+    limit: 1
+  });
+
+  return { data: data[0] || null, error };
+}
+
+export async function createDrawType(record) {
+  const { data, error } = await backend.insert('draw_types', record);
+  return { data: data[0] || null, error };
+}
+
+// =============================================================================
+// AI MEMORY (brain weights)
+// =============================================================================
+
+/**
+ * Load the JSON blob stored under an ai_memory id ('winning', 'machine', ...)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+export async function loadMemory(id) {
+  const { data, error } = await backend.select('ai_memory', {
+    columns: 'data, updated_at',
+    eq: { id },
+    limit: 1
+  });
+
+  return { data: data[0]?.data || null, updatedAt: data[0]?.updated_at || null, error };
+}
+
+/**
+ * When an ai_memory blob was last written (a cheap check before reusing a cached copy)
+ * @returns {Promise<{data: string|null, error: Object|null}>}
+ */
+export async function fetchMemoryStamp(id) {
+  const { data, error } = await backend.select('ai_memory', {
+    columns: 'updated_at',
+    eq: { id },
+    limit: 1
+  });
+
+  return { data: data[0]?.updated_at || null, error };
+}
+
+export async function saveMemory(id, data) {
+  return backend.upsert('ai_memory', {
+    id,
+    data,
+    updated_at: new Date().toISOString()
+  }, { onConflict: 'id' });
+}
+
+// =============================================================================
+// BRAIN VERSIONS (immutable weight history)
+// =============================================================================
+
+/**
+ * Append one weight version
+ * @param {Object} record - { target, draw_type_key, version, weights, trigger, parent_version }
+ */
+export async function saveBrainVersion(record) {
+  return backend.insert('brain_versions', record);
+}
+
+/**
+ * Weight versions of one brain profile, newest first
+ * @param {string} target - 'winning' or 'machine'
+ * @param {string} drawTypeKey - Draw type id or 'global'
+ */
+export async function fetchBrainVersions(target, drawTypeKey, limit = null) {
+  return backend.select('brain_versions', {
+    eq: { target, draw_type_key: drawTypeKey },
+    order: 'version',
+    ascending: false,
+    limit
+  });
+}
+
+export async function fetchBrainVersion(target, drawTypeKey, version) {
+  const { data, error } = await backend.select('brain_versions', {
+    eq: { target, draw_type_key: drawTypeKey, version },
+    limit: 1
+  });
+
+  return { data: data[0] || null, error };
+}
+
+// =============================================================================
+// PATTERNS
+// =============================================================================
+
+/**
+ * Insert or replace a pattern (unique key: pattern_type + draw_type_id)
+ */
+export async function savePattern(record) {
+  return backend.upsert('patterns', record, { onConflict: 'pattern_type,draw_type_id' });
+}
+
+export async function fetchPatterns(drawTypeId = null) {
+  return backend.select('patterns', {
+    eq: drawTypeId ? { draw_type_id: drawTypeId } : {},
+    order: 'strength',
+    ascending: false
+  });
+}
+
+// =============================================================================
+// PREDICTIONS
+// =============================================================================
+
+/**
+ * Log a prediction
+ * Both backends reject a second official row for a draw (unique index, see
+ * isUniqueViolation).
+ */
+export async function savePrediction(record) {
+  return backend.insert('predictions', record);
+}
+
+/**
+ * Whether a write failed on a unique index (PostgreSQL code 23505)
+ */
+export function isUniqueViolation(error) {
+  return Boolean(error && error.code === '23505');
+}
+
+/**
+ * Fetch logged predictions, newest first by default
+ * @param {Object} options
+ * @param {number|string} options.drawTypeId - Restrict to one draw type
+ * @param {string} options.strategy - Restrict to one strategy ('ensemble', 'hot'...)
+ * @param {string} options.targetKey - Predictions of one draw instance
+ * @param {string} options.fromDate - Target draw on/after this YYYY-MM-DD date
+ * @param {string} options.toDate - Target draw on/before this YYYY-MM-DD date
+ * @param {boolean} options.verified - Only predictions scored against their draw
+ * @param {boolean} options.postClose - Only (true) or never (false) made after the draw
+ * @param {boolean} options.official - Only official predictions (true) or previews (false)
+ * @param {string} options.order - Sort column (default created_at)
+ * @param {boolean} options.count - Also return the total matching rows
+ */
+export async function fetchPredictions(options = {}) {
+  const {
+    drawTypeId = null,
+    strategy = null,
+    targetKey = null,
+    fromDate = null,
+    toDate = null,
+    verified = false,
+    postClose = null,
+    official = null,
+    columns = '*',
+    order = 'created_at',
+    ascending = false,
+    limit = null,
+    offset = 0,
+    count = false
+  } = options;
+
+  const eq = {};
+  if (drawTypeId) eq.draw_type_id = drawTypeId;
+  if (strategy) eq.strategy = strategy;
+  if (targetKey) eq.target_key = targetKey;
+  if (postClose !== null) eq.post_close = postClose;
+  if (official !== null) eq.official = official;
+
+  const gte = {};
+  if (fromDate) gte.target_date = fromDate;
+  // Any date excludes the rows not verified yet (NULL) on both backends
+  if (verified) gte.verified_at = '1970-01-01';
+
+  return backend.select('predictions', {
+    columns,
+    eq,
+    gte,
+    lte: toDate ? { target_date: toDate } : {},
+    order,
+    ascending,
+    limit,
+    offset,
+    count
+  });
+}
+
+export async function updatePrediction(id, values) {
+  return backend.update('predictions', values, { eq: { id } });
+}
+
+/**
+ * Delete predictions logged before a date (retention)
+ */
+export async function deletePredictionsBefore(date) {
+  return backend.remove('predictions', { lte: { created_at: date } });
+}
+
+// =============================================================================
+// JOBS (see jobs.js)
+// =============================================================================
+
+/**
+ * Create a job record
+ * @returns {Promise<Object>} { data: the stored row, error }
+ */
+export async function saveJob(record) {
+  const { data, error } = await backend.insert('jobs', record);
+  return { data: data[0] || null, error };
+}
+
+export async function updateJob(id, values) {
+  return backend.update('jobs', values, { eq: { id } });
+}
+
+export async function fetchJob(id) {
+  const { data, error } = await backend.select('jobs', { eq: { id }, limit: 1 });
+  return { data: data[0] || null, error };
+}
+
+/**
+ * Job records, newest first
+ * @param {Object} options - { name, status, limit, offset, count }
+ */
+export async function fetchJobs(options = {}) {
+  const { name = null, status = null, limit = null, offset = 0, count = false } = options;
+
+  const eq = {};
+  if (name) eq.name = name;
+  if (status) eq.status = status;
+
+  return backend.select('jobs', { eq, order: 'id', ascending: false, limit, offset, count });
+}
+
+export default {
+  select,
+  insert,
+  upsert,
+  update,
+  remove,
+  fetchDraws,
+  countDraws,
+  saveDraws,
+  updateDraw,
+  deleteDraw,
+  fetchDrawTypes,
+  findDrawTypeByName,
+  createDrawType,
+  loadMemory,
+  fetchMemoryStamp,
+  saveMemory,
+  saveBrainVersion,
+  fetchBrainVersions,
+  fetchBrainVersion,
+  savePattern,
+  fetchPatterns,
+  savePrediction,
+  isUniqueViolation,
+  fetchPredictions,
+  updatePrediction,
+  deletePredictionsBefore,
+  saveJob,
+  updateJob,
+  fetchJob,
+  fetchJobs
+};
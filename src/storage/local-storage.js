@@ -0,0 +1,283 @@
+/**
+ * Local Storage Backend
+ *
+ * Keeps each table as a JSON file under CONFIG.storage.localDir
+ * (data/store/<table>.json by default) so analyses, backtests and the
+ * dashboard can run offline. Mirrors the subset of PostgREST behaviour
+ * used by the app: column selection, eq/gte/lte filters, ordering,
+ * limits and offsets, exact counts, upserts on a unique key and the
+ * unique indexes listed in UNIQUE_INDEXES.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import CONFIG from '../config.js';
+
+// In-memory copy of each table: { nextId, rows, mtimeMs }
+const tables = new Map();
+
+// Partial unique indexes of database/schema.sql the app relies on
+const UNIQUE_INDEXES = {
+  predictions: [{ name: 'idx_predictions_official', columns: ['target_key'], where: row => Boolean(row.official) }]
+};
+
+function tableFile(table) {
+  return path.join(CONFIG.storage.localDir, `${table}.json`);
+}
+
+/**
+ * Load a table from disk (reloading it if another process wrote it,
+ * e.g. the scraper running as a child of the server)
+ */
+function loadTable(table) {
+  const file = tableFile(table);
+  const cached = tables.get(table);
+  const mtimeMs = fs.existsSync(file) ? fs.statSync(file).mtimeMs : 0;
+
+  if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+  let content = { nextId: 1, rows: [] };
+  if (mtimeMs) {
+    content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  const loaded = { nextId: content.nextId || 1, rows: content.rows || [], mtimeMs };
+  tables.set(table, loaded);
+  return loaded;
+}
+
+/**
+ * Write a table back to disk (atomic rename so readers never see half a file)
+ */
+function saveTable(table) {
+  const loaded = tables.get(table);
+  const file = tableFile(table);
+  const tmpFile = `${file}.tmp`;
+
+  fs.mkdirSync(CONFIG.storage.localDir, { recursive: true });
+  fs.writeFileSync(tmpFile, JSON.stringify({ nextId: loaded.nextId, rows: loaded.rows }));
+  fs.renameSync(tmpFile, file);
+
+  loaded.mtimeMs = fs.statSync(file).mtimeMs;
+}
+
+function sameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  return String(a) === String(b);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1; // NULLS LAST
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function matchesFilters(row, { eq = {}, gte = {}, lte = {} } = {}) {
+  for (const [column, value] of Object.entries(eq)) {
+    if (!sameValue(row[column], value)) return false;
+  }
+  for (const [column, value] of Object.entries(gte)) {
+    if (row[column] === null || row[column] === undefined || compareValues(row[column], value) < 0) return false;
+  }
+  for (const [column, value] of Object.entries(lte)) {
+    if (row[column] === null || row[column] === undefined || compareValues(row[column], value) > 0) return false;
+  }
+  return true;
+}
+
+function pickColumns(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+
+  const picked = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    if (column === '*') Object.assign(picked, row);
+    else picked[column] = row[column] ?? null;
+  }
+  return picked;
+}
+
+function withTimestamps(row, existing = null) {
+  const now = new Date().toISOString();
+  const stamped = { ...row };
+  if (!existing && stamped.created_at === undefined) stamped.created_at = now;
+  if ('updated_at' in stamped || existing?.updated_at !== undefined) stamped.updated_at = now;
+  return stamped;
+}
+
+function toRows(rows) {
+  return Array.isArray(rows) ? rows : [rows];
+}
+
+function fail(e) {
+  return { data: [], count: null, error: { message: e.message, ...(e.code && { code: e.code }) } };
+}
+
+/**
+ * Refuse a write breaking a unique index like PostgreSQL does (code 23505).
+ * The rows were changed in memory: they are dropped, so the next read
+ * reloads the file as it was.
+ * @param {Object[]} written - Rows written (with their ids)
+ */
+function checkUnique(table, loaded, written) {
+  for (const index of UNIQUE_INDEXES[table] || []) {
+    const keyOf = (row) => index.columns.map(c => row[c] ?? null);
+
+    for (const row of written) {
+      const key = keyOf(row);
+      if (!index.where(row) || key.includes(null)) continue; // NULLs never conflict
+
+      const clash = loaded.rows.some(other => other.id !== row.id && index.where(other) &&
+        keyOf(other).every((value, i) => sameValue(value, key[i])));
+      if (clash) {
+        tables.delete(table);
+        const error = new Error(`duplicate key value violates unique constraint "${index.name}"`);
+        error.code = '23505';
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Read rows from a table
+ * @param {string} table - Table name
+ * @param {Object} options - { columns, eq, gte, lte, order, ascending, limit, offset, count }
+ */
+export async function select(table, options = {}) {
+  const { columns = '*', order = null, ascending = true, limit = null, offset = 0, count = false } = options;
+
+  try {
+    let rows = loadTable(table).rows.filter(row => matchesFilters(row, options));
+    const total = rows.length;
+
+    if (order) {
+      rows = [...rows].sort((a, b) => {
+        const cmp = compareValues(a[order], b[order]);
+        return ascending ? cmp : -cmp;
+      });
+    }
+    if (offset || limit) rows = rows.slice(offset, limit ? offset + limit : undefined);
+
+    return {
+      data: rows.map(row => pickColumns(row, columns)),
+      count: count ? total : null,
+      error: null
+    };
+  } catch (e) {
+    return fail(e);
+  }
+}
+
+/**
+ * Give a new row the next id, or move nextId past the id it brings
+ */
+function assignId(loaded, record) {
+  if (record.id === undefined || record.id === null) record.id = loaded.nextId++;
+  else if (Number.isInteger(record.id)) loaded.nextId = Math.max(loaded.nextId, record.id + 1);
+}
+
+/**
+ * Insert rows and return them with their generated ids
+ */
+export async function insert(table, rows) {
+  try {
+    const loaded = loadTable(table);
+    const inserted = toRows(rows).map(row => {
+      const record = withTimestamps(row);
+      assignId(loaded, record);
+      loaded.rows.push(record);
+      return { ...record };
+    });
+
+    checkUnique(table, loaded, inserted);
+    saveTable(table);
+    return { data: inserted, error: null };
+  } catch (e) {
+    return fail(e);
+  }
+}
+
+/**
+ * Insert or update rows on a unique key
+ * @param {Object} options - { onConflict: 'col1,col2', ignoreDuplicates }
+ */
+export async function upsert(table, rows, options = {}) {
+  const { onConflict = 'id', ignoreDuplicates = false } = options;
+  const keyColumns = onConflict.split(',').map(c => c.trim());
+
+  try {
+    const loaded = loadTable(table);
+    const written = [];
+
+    for (const row of toRows(rows)) {
+      const existing = loaded.rows.find(r => keyColumns.every(col => sameValue(r[col], row[col])));
+
+      if (existing) {
+        if (ignoreDuplicates) continue;
+        Object.assign(existing, withTimestamps(row, existing), { id: existing.id });
+        written.push({ ...existing });
+      } else {
+        const record = withTimestamps(row);
+        assignId(loaded, record);
+        loaded.rows.push(record);
+        written.push({ ...record });
+      }
+    }
+
+    if (written.length > 0) {
+      checkUnique(table, loaded, written);
+      saveTable(table);
+    }
+    return { data: written, error: null };
+  } catch (e) {
+    return fail(e);
+  }
+}
+
+/**
+ * Update rows matching the filters
+ */
+export async function update(table, values, filters = {}) {
+  try {
+    const loaded = loadTable(table);
+    const updated = [];
+
+    for (const row of loaded.rows) {
+      if (!matchesFilters(row, filters)) continue;
+      Object.assign(row, withTimestamps(values, row));
+      updated.push({ ...row });
+    }
+
+    if (updated.length > 0) {
+      checkUnique(table, loaded, updated);
+      saveTable(table);
+    }
+    return { data: updated, error: null };
+  } catch (e) {
+    return fail(e);
+  }
+}
+
+/**
+ * Delete rows matching the filters
+ */
+export async function remove(table, filters = {}) {
+  try {
+    const loaded = loadTable(table);
+    const removed = loaded.rows.filter(row => matchesFilters(row, filters));
+
+    if (removed.length > 0) {
+      loaded.rows = loaded.rows.filter(row => !matchesFilters(row, filters));
+      saveTable(table);
+    }
+    return { data: removed, error: null };
+  } catch (e) {
+    return fail(e);
+  }
+}
+
+export default { select, insert, upsert, update, remove };
@@ -0,0 +1,105 @@
+/**
+ * Supabase Storage Backend
+ *
+ * Thin wrapper translating the storage primitives into Supabase
+ * (PostgREST) queries. Every function resolves to { data, error }.
+ */
+
+import supabase from '../supabase-client.js';
+
+/**
+ * Apply eq / gte / lte filters to a query builder
+ */
+function applyFilters(query, { eq = {}, gte = {}, lte = {} } = {}) {
+  for (const [column, value] of Object.entries(eq)) query = query.eq(column, value);
+  for (const [column, value] of Object.entries(gte)) query = query.gte(column, value);
+  for (const [column, value] of Object.entries(lte)) query = query.lte(column, value);
+  return query;
+}
+
+// PostgREST returns at most this many rows per request (max-rows)
+const PAGE_SIZE = 1000;
+
+/**
+ * Read rows from a table, page by page so the server's row cap never
+ * truncates the result
+ * @param {string} table - Table name
+ * @param {Object} options - { columns, eq, gte, lte, order, ascending, limit, offset, count }
+ */
+export async function select(table, options = {}) {
+  const { columns = '*', order = null, ascending = true, limit = null, offset = 0, count = false } = options;
+  const end = limit ? offset + limit : Infinity;
+  const rows = [];
+  let total = null;
+
+  for (let from = offset; from < end; from += PAGE_SIZE) {
+    const to = Math.min(from + PAGE_SIZE, end) - 1;
+
+    let query = supabase
+      .from(table)
+      .select(columns, count && from === offset ? { count: 'exact' } : undefined);
+
+    query = applyFilters(query, options);
+    if (order) query = query.order(order, { ascending });
+    // Every table has an id: a stable order keeps pages from overlapping
+    if (order !== 'id') query = query.order('id', { ascending: true });
+
+    const { data, error, count: pageCount } = await query.range(from, to);
+    if (error) return { data: [], count: null, error };
+
+    if (from === offset) total = pageCount ?? null;
+    rows.push(...(data || []));
+    if (!data || data.length < to - from + 1) break;
+  }
+
+  return { data: rows, count: total, error: null };
+}
+
+/**
+ * Insert rows and return them with their generated ids
+ */
+export async function insert(table, rows) {
+  const { data, error } = await supabase
+    .from(table)
+    .insert(rows)
+    .select();
+
+  return { data: data || [], error };
+}
+
+/**
+ * Insert or update rows on a unique key
+ * @param {Object} options - { onConflict: 'col1,col2', ignoreDuplicates }
+ */
+export async function upsert(table, rows, options = {}) {
+  const { onConflict = 'id', ignoreDuplicates = false } = options;
+
+  const { data, error } = await supabase
+    .from(table)
+    .upsert(rows, { onConflict, ignoreDuplicates })
+    .select();
+
+  return { data: data || [], error };
+}
+
+/**
+ * Update rows matching the filters
+ */
+export async function update(table, values, filters = {}) {
+  const query = applyFilters(supabase.from(table).update(values), filters);
+  const { data, error } = await query.select();
+
+  return { data: data || [], error };
+}
+
+/**
+ * Delete rows matching the filters
+ */
+export async function remove(table, filters = {}) {
+  const query = applyFilters(supabase.from(table).delete(), filters);
+  const { data, error } = await query.select();
+
+  return { data: data || [], error };
+}
+
+export default { select, insert, upsert, update, remove };
@@ -0,0 +1,628 @@
+/**
+ * Strategy Registry
+ *
+ * Single place where prediction strategies are defined. Each entry declares
+ * its name, parameters, default ensemble weight and how it scores numbers,
+ * so a strategy added here is picked up by the brain's ensemble and
+ * learning, the weight optimizer, both backtests, the predictors and the
+ * dashboard without further wiring.
+ */
+
+import { analyzeCorrelations, analyzeCycles, analyzePositions } from './advanced-analyzer.js';
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * Extract numbers from a draw based on type (winning or machine)
+ * @param {Object} draw - The draw object
+ * @param {string} type - 'winning' or 'machine'
+ * @returns {number[]} Array of 5 numbers
+ */
+export function extractNumbers(draw, type = 'winning') {
+  const prefix = type === 'machine' ? 'machine_number_' : 'winning_number_';
+  return [
+    draw[`${prefix}1`],
+    draw[`${prefix}2`],
+    draw[`${prefix}3`],
+    draw[`${prefix}4`],
+    draw[`${prefix}5`]
+  ].filter(n => n !== null && n !== undefined).map(n => parseInt(n));
+}
+
+/**
+ * Calculate Lift score for number pairs (co-occurrence analysis)
+ * Lift > 1 means numbers appear together more than expected by chance
+ */
+function calculateLift(rawDraws) {
+  const totalDraws = rawDraws.length;
+  if (totalDraws === 0) return {};
+  
+  const freq = {};
+  const pairFreq = {};
+  
+  for (let i = 1; i <= 90; i++) freq[i] = 0;
+  
+  for (const draw of rawDraws) {
+    for (const n of draw) {
+      if (n) freq[n]++;
+    }
+    // Count pairs
+    for (let i = 0; i < draw.length; i++) {
+      for (let j = i + 1; j < draw.length; j++) {
+        const key = [draw[i], draw[j]].sort((a, b) => a - b).join('-');
+        pairFreq[key] = (pairFreq[key] || 0) + 1;
+      }
+    }
+  }
+  
+  const lifts = {};
+  for (const [key, count] of Object.entries(pairFreq)) {
+    const [a, b] = key.split('-').map(Number);
+    const pA = freq[a] / totalDraws;
+    const pB = freq[b] / totalDraws;
+    const pAB = count / totalDraws;
+    const lift = (pA * pB > 0) ? pAB / (pA * pB) : 0;
+    lifts[key] = { a, b, lift };
+  }
+  
+  return lifts;
+}
+
+/**
+ * Calculate follower probabilities (what numbers tend to appear after a given number)
+ */
+function calculateFollowers(rawDraws) {
+  const followers = {};
+  
+  for (let i = 1; i < rawDraws.length; i++) {
+    const prevDraw = rawDraws[i - 1];
+    const currentDraw = rawDraws[i];
+    
+    for (const anchor of prevDraw) {
+      if (!followers[anchor]) followers[anchor] = {};
+      for (const follow of currentDraw) {
+        followers[anchor][follow] = (followers[anchor][follow] || 0) + 1;
+      }
+    }
+  }
+  
+  // Convert to probability format
+  const result = {};
+  for (const [anchor, follows] of Object.entries(followers)) {
+    const total = Object.values(follows).reduce((a, b) => a + b, 0);
+    result[anchor] = Object.entries(follows)
+      .map(([num, count]) => ({ number: parseInt(num), probability: count / total }))
+      .sort((a, b) => b.probability - a.probability)
+      .slice(0, 10);
+  }
+  
+  return result;
+}
+
+/**
+ * Analyze last digit (finale) patterns
+ */
+function analyzeLastDigits(draws, type = 'winning') {
+  const finaleStats = {};
+  for (let f = 0; f <= 9; f++) {
+    finaleStats[f] = { finale: f, count: 0, lastSeen: 0, gap: 0, dueScore: 0, percentage: 0 };
+  }
+  
+  let totalNumbers = 0;
+  for (let idx = 0; idx < draws.length; idx++) {
+    const nums = extractNumbers(draws[idx], type);
+    for (const n of nums) {
+      if (n) {
+        const finale = n % 10;
+        finaleStats[finale].count++;
+        finaleStats[finale].lastSeen = idx;
+        totalNumbers++;
+      }
+    }
+  }
+  
+  // Calculate percentages and due scores
+  for (let f = 0; f <= 9; f++) {
+    finaleStats[f].percentage = totalNumbers > 0 ? (finaleStats[f].count / totalNumbers) * 100 : 0;
+    finaleStats[f].gap = draws.length - finaleStats[f].lastSeen;
+    finaleStats[f].dueScore = finaleStats[f].gap / Math.max(1, finaleStats[f].count / draws.length);
+  }
+  
+  return finaleStats;
+}
+
+// =============================================================================
+// PREDICTION STRATEGIES
+// =============================================================================
+
+/**
+ * Strategy 1: Hot Numbers - Pick the most frequent numbers
+ */
+function strategyHotNumbers(draws, count = 5, type = 'winning') {
+  const freq = {};
+  for (let i = 1; i <= 90; i++) freq[i] = 0;
+  
+  for (const draw of draws) {
+    extractNumbers(draw, type).forEach(n => {
+      if (n) freq[n]++;
+    });
+  }
+  
+  return Object.entries(freq)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([n]) => parseInt(n))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 2: Due Numbers - Pick numbers that are overdue based on cycle analysis
+ */
+function strategyDueNumbers(draws, count = 5, type = 'winning') {
+  const cycles = analyzeCycles(draws, type);
+  
+  return Object.entries(cycles)
+    .filter(([_, stats]) => stats.cycleCount >= 3) // Only consider numbers with history
+    .sort((a, b) => b[1].dueScore - a[1].dueScore)
+    .slice(0, count)
+    .map(([n]) => parseInt(n))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 3: Position-Based - Pick top numbers for each position
+ */
+function strategyPositionBased(draws, type = 'winning') {
+  const positions = analyzePositions(draws, type);
+  const selected = [];
+  
+  for (let pos = 1; pos <= 5; pos++) {
+    if (positions[pos]?.top10?.length > 0) {
+      // Pick the most frequent number for this position that's not already selected
+      for (const candidate of positions[pos].top10) {
+        if (!selected.includes(candidate.number)) {
+          selected.push(candidate.number);
+          break;
+        }
+      }
+    }
+  }
+  
+  // Fill remaining with hot numbers if needed
+  if (selected.length < 5) {
+    const freq = {};
+    for (let i = 1; i <= 90; i++) freq[i] = 0;
+    for (const draw of draws) {
+      extractNumbers(draw, type).forEach(n => {
+        if (n) freq[n]++;
+      });
+    }
+    
+    const sorted = Object.entries(freq)
+      .sort((a, b) => b[1] - a[1])
+      .map(([n]) => parseInt(n));
+    
+    for (const num of sorted) {
+      if (!selected.includes(num) && selected.length < 5) {
+        selected.push(num);
+      }
+    }
+  }
+  
+  return selected.sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 4: Mixed - Combine hot and due numbers
+ */
+function strategyMixed(draws, count = 5, type = 'winning') {
+  const hotNumbers = strategyHotNumbers(draws, 20, type);
+  const dueNumbers = strategyDueNumbers(draws, 20, type);
+  
+  // Alternate between hot and due
+  const selected = [];
+  for (let i = 0; i < 10 && selected.length < count; i++) {
+    if (i % 2 === 0 && hotNumbers[Math.floor(i/2)]) {
+      const num = hotNumbers[Math.floor(i/2)];
+      if (!selected.includes(num)) selected.push(num);
+    } else if (dueNumbers[Math.floor(i/2)]) {
+      const num = dueNumbers[Math.floor(i/2)];
+      if (!selected.includes(num)) selected.push(num);
+    }
+  }
+  
+  return selected.sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 5: Correlation-Based - Pick numbers that often appear together
+ */
+function strategyCorrelationBased(draws, count = 5, type = 'winning') {
+  const { topPairs } = analyzeCorrelations(draws, type);
+  const selected = new Set();
+  
+  for (const pair of topPairs) {
+    for (const num of pair.numbers) {
+      selected.add(num);
+      if (selected.size >= count) break;
+    }
+    if (selected.size >= count) break;
+  }
+  
+  return [...selected].slice(0, count).sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 6: Balanced - Ensure good decade distribution
+ */
+function strategyBalanced(draws, count = 5, type = 'winning') {
+  const freq = {};
+  for (let i = 1; i <= 90; i++) freq[i] = 0;
+  
+  for (const draw of draws) {
+    extractNumbers(draw, type).forEach(n => {
+      if (n) freq[n]++;
+    });
+  }
+  
+  // Group by decade
+  const decades = {};
+  for (let i = 0; i < 9; i++) {
+    decades[i] = [];
+    const start = i === 0 ? 1 : i * 10;
+    const end = i === 0 ? 9 : Math.min(i * 10 + 9, 90);
+    
+    for (let n = start; n <= end; n++) {
+      decades[i].push({ number: n, freq: freq[n] });
+    }
+    decades[i].sort((a, b) => b.freq - a.freq);
+  }
+  
+  // Pick one from each of 5 different decades
+  const selected = [];
+  const decadeOrder = [2, 3, 4, 5, 1, 6, 7, 0, 8]; // Prioritize middle decades
+  
+  for (const decade of decadeOrder) {
+    if (selected.length >= count) break;
+    if (decades[decade]?.length > 0) {
+      const num = decades[decade][0].number;
+      if (!selected.includes(num)) {
+        selected.push(num);
+      }
+    }
+  }
+  
+  return selected.sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 7: Last Digits (Finales) - Pick numbers from high-probability finales
+ */
+function strategyLastDigits(draws, count = 5, type = 'winning') {
+  const finaleStats = analyzeLastDigits(draws, type);
+  
+  // Rank finales based on a combination of frequency and "due" score
+  const prioritizedFinales = Object.values(finaleStats)
+    .sort((a, b) => (b.dueScore * 0.6 + b.percentage * 0.4) - (a.dueScore * 0.6 + a.percentage * 0.4))
+    .slice(0, 3) // Top 3 finales
+    .map(f => parseInt(f.finale));
+  
+  // Collect all numbers belonging to these finales
+  const candidates = [];
+  for (let n = 1; n <= 90; n++) {
+    if (prioritizedFinales.includes(n % 10)) {
+      candidates.push(n);
+    }
+  }
+  
+  // Sort candidates by global frequency (to pick the "best" of those finales)
+  const freq = {};
+  for (const draw of draws) {
+    extractNumbers(draw, type).forEach(num => {
+      if (candidates.includes(num)) freq[num] = (freq[num] || 0) + 1;
+    });
+  }
+  
+  return candidates
+    .sort((a, b) => (freq[b] || 0) - (freq[a] || 0))
+    .slice(0, count)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Strategy 8: Statistical - Use Co-occurrence Lift and Follower Probability
+ */
+function strategyStatistical(draws, count = 5, type = 'winning') {
+  const numberScores = {};
+  for (let i = 1; i <= 90; i++) numberScores[i] = 0;
+
+  const rawDraws = draws.map(d => extractNumbers(d, type));
+  const lifts = calculateLift(rawDraws);
+  const followers = calculateFollowers(rawDraws);
+
+  // 1. Scoring based on Lift (Current co-occurrence patterns)
+  // We check the last draw and see if its numbers have high lift pairs
+  if (rawDraws.length > 0) {
+    const lastDraw = rawDraws[rawDraws.length - 1];
+    Object.values(lifts).forEach(l => {
+      if (lastDraw.includes(l.a)) numberScores[l.b] += (l.lift - 1) * 2;
+      if (lastDraw.includes(l.b)) numberScores[l.a] += (l.lift - 1) * 2;
+    });
+
+    // 2. Scoring based on Followers (Sequential patterns)
+    lastDraw.forEach(anchor => {
+      if (followers[anchor]) {
+        followers[anchor].forEach(f => {
+          numberScores[f.number] += (f.probability * 5);
+        });
+      }
+    });
+  }
+
+  return Object.entries(numberScores)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([n]) => parseInt(n))
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Position-based ticket trimmed to a pick count (the strategy itself always
+ * picks one number per position)
+ */
+function strategyPositionPick(draws, count = 5, type = 'winning') {
+  return strategyPositionBased(draws, type).slice(0, count);
+}
+
+// =============================================================================
+// PER-NUMBER SCORES
+// =============================================================================
+// A strategy's ensemble input is a ranked signal (its candidates, best first);
+// its score function turns that signal and the strategy's weight into points
+// per number. Points of all strategies are summed by the brain.
+
+/**
+ * Numbers of a signal (entries are numbers or { number, ... })
+ */
+export function signalNumbers(signal) {
+  return signal.map(entry => (typeof entry === 'number' ? entry : entry.number));
+}
+
+/**
+ * Linearly decreasing points by rank: weight at the top, 0 at params.depth
+ */
+function rankScore(signal, weight, params) {
+  const points = {};
+  signal.forEach((num, idx) => {
+    points[num] = weight * (params.depth - idx) / params.depth;
+  });
+  return points;
+}
+
+// =============================================================================
+// REGISTRY
+// =============================================================================
+
+/**
+ * Registered strategies, in the order the ensemble sums their points
+ *
+ * key          Weight key in the brain (never rename a shipped key)
+ * name         Console / backtest name
+ * label, icon  Dashboard display
+ * weight       Default ensemble weight, null when not part of the ensemble
+ * tunable      Weight adjusted by learning and the optimizer
+ * params       Parameters of signal() and score()
+ * pick         (draws, count, type) => ticket, for backtests and learning;
+ *              null when the strategy needs outside input
+ * signal       (draws, type, params, externalScores) => ranked candidates
+ * score        (signal, weight, params) => { number: points }
+ */
+export const STRATEGIES = [
+  {
+    key: 'due',
+    name: '⏰ Due Numbers',
+    label: 'Numéros En Retard',
+    icon: '⏰',
+    description: 'Basé sur les cycles de retour',
+    weight: 0.15,
+    tunable: true,
+    params: { depth: 15, minCycles: 5, cap: 150 },
+    pick: strategyDueNumbers,
+    signal: (draws, type, params) => Object.entries(analyzeCycles(draws, type))
+      .filter(([_, stats]) => stats.cycleCount >= params.minCycles)
+      .sort((a, b) => b[1].dueScore - a[1].dueScore)
+      .slice(0, params.depth)
+      .map(([num, stats]) => ({ number: parseInt(num), dueScore: stats.dueScore })),
+    // dueScore is capped at 200 in the analyzer, dampened further so it
+    // doesn't purely dominate
+    score: (signal, weight, params) => {
+      const points = {};
+      signal.forEach(({ number, dueScore }, idx) => {
+        points[number] = weight * (params.depth - idx) / params.depth * (Math.min(dueScore, params.cap) / params.cap);
+      });
+      return points;
+    }
+  },
+  {
+    key: 'hot',
+    name: '🔥 Hot Numbers',
+    label: 'Numéros Chauds',
+    icon: '🔥',
+    description: 'Basé sur la fréquence',
+    weight: 0.15,
+    tunable: true,
+    params: { depth: 15 },
+    pick: strategyHotNumbers,
+    signal: (draws, type, params) => strategyHotNumbers(draws, params.depth, type),
+    score: rankScore
+  },
+  {
+    key: 'position',
+    name: '📍 Position-Based',
+    label: 'Favoris par Position',
+    icon: '📍',
+    description: 'Favoris de chaque position',
+    weight: 0.10,
+    tunable: true,
+    params: { boost: 2.0 },
+    pick: strategyPositionPick,
+    signal: (draws, type) => strategyPositionBased(draws, type),
+    score: (signal, weight, params) => Object.fromEntries(signal.map(num => [num, weight * params.boost]))
+  },
+  {
+    key: 'correlation',
+    name: '🔗 Correlation-Based',
+    label: 'Paires Fréquentes',
+    icon: '🔗',
+    description: 'Meilleures associations',
+    weight: 0.15,
+    tunable: true,
+    params: { depth: 15 },
+    pick: strategyCorrelationBased,
+    signal: (draws, type, params) => strategyCorrelationBased(draws, params.depth, type),
+    score: rankScore
+  },
+  {
+    key: 'balanced',
+    name: '⚖️ Balanced Decades',
+    label: 'Équilibre Décades',
+    icon: '⚖️',
+    description: 'Distribution équilibrée par décade',
+    weight: 0.10,
+    tunable: true,
+    params: { depth: 15, top: 5, boost: 3.0 },
+    pick: strategyBalanced,
+    signal: (draws, type, params) => strategyBalanced(draws, params.depth, type),
+    // Full boost for the first picks, then decreasing
+    score: (signal, weight, params) => {
+      const points = {};
+      signal.forEach((num, idx) => {
+        let multiplier = params.boost;
+        if (idx >= params.top) {
+          multiplier = 1.0 + ((params.boost - 1.0) * (params.depth - idx) / (params.depth - params.top));
+        }
+        points[num] = weight * multiplier;
+      });
+      return points;
+    }
+  },
+  {
+    key: 'statistical',
+    name: '📊 Statistical',
+    label: 'Statistique',
+    icon: '📊',
+    description: 'Co-occurrences et suiveurs du dernier tirage',
+    weight: 0.20,
+    tunable: true,
+    params: { depth: 15 },
+    pick: strategyStatistical,
+    signal: (draws, type, params) => strategyStatistical(draws, params.depth, type),
+    score: rankScore
+  },
+  {
+    key: 'finales',
+    name: '🔢 Last Digits (Finales)',
+    label: 'Finales',
+    icon: '🔢',
+    description: 'Terminaisons les plus probables',
+    weight: 0.10,
+    tunable: true,
+    params: { depth: 15 },
+    pick: strategyLastDigits,
+    signal: (draws, type, params) => strategyLastDigits(draws, params.depth, type),
+    score: rankScore
+  },
+  {
+    // Candidates come from the LSTM model (lstm-predictor.js), passed in
+    // as externalScores.lstm
+    key: 'lstm',
+    name: '🤖 Deep Learning (LSTM)',
+    label: 'Réseau LSTM',
+    icon: '🤖',
+    description: 'Réseau de neurones entraîné sur l\'historique',
+    weight: 0.15,
+    tunable: false,
+    params: { depth: 15 },
+    pick: null,
+    signal: (draws, type, params, externalScores = {}) => externalScores.lstm || [],
+    score: rankScore
+  },
+  {
+    key: 'mixed',
+    name: '🎯 Mixed (Hot + Due)',
+    label: 'Stratégie Mixte',
+    icon: '🎯',
+    description: 'Alternance chauds / en retard',
+    weight: null,
+    tunable: false,
+    params: {},
+    pick: strategyMixed,
+    signal: null,
+    score: null
+  }
+];
+
+/**
+ * Registered strategy by key, or null
+ */
+export function getStrategy(key) {
+  return STRATEGIES.find(s => s.key === key) || null;
+}
+
+/**
+ * Strategies combined by the ensemble
+ */
+export function ensembleStrategies() {
+  return STRATEGIES.filter(s => s.weight !== null);
+}
+
+/**
+ * Keys of the ensemble weights adjusted by learning and the optimizer
+ */
+export function tunableKeys() {
+  return ensembleStrategies().filter(s => s.tunable).map(s => s.key);
+}
+
+/**
+ * Default ensemble weights { key: weight }
+ */
+export function defaultWeights() {
+  return Object.fromEntries(ensembleStrategies().map(s => [s.key, s.weight]));
+}
+
+/**
+ * Serializable description of the registry (API / dashboard)
+ */
+export function describeStrategies() {
+  return STRATEGIES.map(({ key, name, label, icon, description, weight, tunable, params, pick }) => ({
+    key,
+    name,
+    label,
+    icon,
+    description,
+    defaultWeight: weight,
+    ensemble: weight !== null,
+    tunable,
+    standalone: Boolean(pick),
+    params
+  }));
+}
+
+/**
+ * Ticket pickers by key: strategies.hot(draws, count, type)
+ */
+export const strategies = Object.fromEntries(STRATEGIES.filter(s => s.pick).map(s => [s.key, s.pick]));
+
+export default {
+  STRATEGIES,
+  strategies,
+  extractNumbers,
+  signalNumbers,
+  getStrategy,
+  ensembleStrategies,
+  tunableKeys,
+  defaultWeights,
+  describeStrategies
+};
@@ -0,0 +1,247 @@
+/**
+ * Walk-Forward Ensemble Backtest
+ *
+ * Replays the production prediction path (calculateNumberScores + decade
+ * balanced selection) draw by draw: each prediction only sees the draws
+ * that came before it. Component strategies are scored on the same draws
+ * so the ensemble can be compared against them.
+ *
+ * Usage:
+ *   npm run backtest:ensemble -- --type 3 --window 100 --limit 200
+ *   Flags: --type <id>  --window <n>  --limit <n>  --machine  --by-day  --lstm
+ *          --bet <betType>  --stake <n>  --bankroll <n>  --payout <table>
+ */
+
+import { calculateNumberScores, rankNumberScores, selectBalancedNumbers, loadBrain, resolveWeights } from './brain.js';
+import {
+  extractNumbers,
+  createBacktestResults,
+  recordBacktestResult,
+  finalizeBacktestResults,
+  defaultBankroll,
+  parsePayout,
+  printBetting
+} from './backtester.js';
+import { loadModel, predictWithLSTM } from './lstm-predictor.js';
+import { evaluateSignificance, formatSignificance } from './significance.js';
+import { getBetType, withPayout } from './game-rules.js';
+import { ensembleStrategies } from './strategies.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
+
+const MIN_DAY_HISTORY = 10;
+
+/**
+ * History visible when predicting draws[index]
+ * With byDay, only draws on the same weekday are kept (falls back to the
+ * full history when there are too few of them)
+ */
+export function historyFor(draws, index, byDay) {
+  const history = draws.slice(0, index);
+  if (!byDay) return history;
+
+  const targetDay = new Date(draws[index].draw_date).getDay();
+  const sameDay = history.filter(d => new Date(d.draw_date).getDay() === targetDay);
+  return sameDay.length >= MIN_DAY_HISTORY ? sameDay : history;
+}
+
+/**
+ * Walk-forward backtest of the full ensemble on chronological draws
+ * @param {Object[]} draws - Draws of a single type, oldest first
+ * @param {Object} options
+ * @param {Object} options.weights - Brain weights to evaluate
+ * @param {string} options.type - 'winning' or 'machine'
+ * @param {number} options.trainingWindow - Draws required before the first test
+ * @param {number} options.maxTests - Only test the most recent N draws
+ * @param {boolean} options.byDay - Restrict history to the target's weekday
+ * @param {Object} options.lstmModel - Loaded LSTM model (null = no LSTM input)
+ * @param {boolean} options.compareStrategies - Also score each component alone
+ * @param {string} options.betType - Also settle each prediction as this bet (game-rules)
+ * @param {number} options.stake - Stake per line for the bet
+ * @param {number|Object} options.payout - Custom payout table (default: game-rules)
+ * @param {number} options.bankroll - Starting bankroll (default: 100 tickets)
+ */
+export async function backtestEnsemble(draws, options = {}) {
+  const {
+    weights,
+    type = 'winning',
+    trainingWindow = 100,
+    maxTests = null,
+    byDay = false,
+    lstmModel = null,
+    compareStrategies = true,
+    betType = null,
+    stake = 1,
+    payout = null
+  } = options;
+
+  const bet = betType ? withPayout(getBetType(betType), payout) : null;
+  const bankroll = bet ? options.bankroll || defaultBankroll(bet, stake) : null;
+  const pickCount = Math.max(5, bet?.picks || 0);
+  const ensemble = createBacktestResults('🧠 Ensemble (Brain)', bet, stake, bankroll);
+  // Component strategies of the ensemble that can pick a ticket on their own
+  const compared = compareStrategies
+    ? ensembleStrategies().filter(s => s.pick).map(s => ({ key: s.key, pick: s.pick, results: createBacktestResults(s.name, bet, stake, bankroll) }))
+    : [];
+
+  let start = trainingWindow;
+  if (maxTests && draws.length - maxTests > start) {
+    start = draws.length - maxTests;
+  }
+
+  for (let i = start; i < draws.length; i++) {
+    const history = historyFor(draws, i, byDay);
+    const actual = extractNumbers(draws[i], type);
+    if (actual.length < 5) continue;
+
+    let externalScores = {};
+    if (lstmModel) {
+      const lstmResult = await predictWithLSTM(history, 20, lstmModel);
+      if (lstmResult && lstmResult.numbers) {
+        externalScores = { lstm: lstmResult.numbers };
+      }
+    }
+
+    const numberScores = calculateNumberScores(history, weights, type, externalScores);
+    const prediction = selectBalancedNumbers(rankNumberScores(numberScores), pickCount).map(n => n.number);
+    recordBacktestResult(ensemble, prediction, actual, draws[i].draw_date);
+
+    for (const component of compared) {
+      recordBacktestResult(component.results, component.pick(history, 5, type), actual, draws[i].draw_date);
+    }
+  }
+
+  const comparisons = 1 + compared.length;
+
+  return {
+    totalDraws: draws.length,
+    trainingWindow,
+    testPeriod: ensemble.totalTests,
+    ensemble: finalizeBacktestResults(ensemble, comparisons),
+    strategies: compared.map(c => finalizeBacktestResults(c.results, comparisons))
+  };
+}
+
+function formatDistribution(r) {
+  return [0, 1, 2, 3, 4, 5].map(k => `${k}:${r.matchDistribution[k]}`).join(' ');
+}
+
+function printTypeReport(typeName, report) {
+  const { ensemble } = report;
+  console.log(`\n📋 ${typeName} — ${report.testPeriod} tests (${report.totalDraws} draws)`);
+  console.log('─'.repeat(60));
+  console.log(`   Ensemble: ${ensemble.avgMatchesPerDraw} avg matches, ${ensemble.winRate}% win rate (3+)`);
+  console.log(`   Distribution: ${formatDistribution(ensemble)}`);
+  console.log(`   vs Random: ${formatSignificance(ensemble.significance)}`);
+  if (ensemble.betting) printBetting(ensemble.betting);
+
+  if (report.strategies.length > 0) {
+    const ranking = [ensemble, ...report.strategies]
+      .sort((a, b) => b.avgMatchesPerDraw - a.avgMatchesPerDraw);
+    console.log('   Ranking:');
+    ranking.forEach((r, i) => {
+      const flag = r.significance.significant ? '✅' : '🎲';
+      console.log(`   ${String(i + 1).padStart(2)}. ${r.strategyName.padEnd(26)} ${r.avgMatchesPerDraw}/5  ${r.winRate}%  p=${r.significance.pValue} ${flag}`);
+    });
+  }
+}
+
+/**
+ * Run the walk-forward ensemble backtest for one or all draw types
+ * @param {number|null} drawTypeId - null = every type with enough history
+ * @param {Object} options - See backtestEnsemble (+ weights default to each type's
+ *   effective brain weights, onProgress(done, total, typeName) before each type)
+ */
+export async function runEnsembleBacktest(drawTypeId = null, options = {}) {
+  const { type = 'winning', trainingWindow = 100, lstm = false } = options;
+
+  console.log('🔬 Walk-Forward Ensemble Backtest');
+  console.log('═'.repeat(60));
+
+  const brainData = await loadBrain(type);
+  const formatWeights = (w) => Object.entries(w).map(([k, v]) => `${k}=${v}`).join(', ');
+  console.log(`   Target: ${type} numbers, training window: ${trainingWindow}`);
+  if (options.weights) {
+    console.log(`   Weights: ${formatWeights(options.weights)}`);
+  }
+
+  let lstmModel = null;
+  if (lstm) {
+    lstmModel = await loadModel();
+    if (lstmModel) {
+      console.log('   ⚠️ LSTM model was trained on the full history: its results are optimistic');
+    } else {
+      console.log('   LSTM model unavailable, running without it');
+    }
+  }
+
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  if (error) {
+    console.error('Error fetching draw types:', error);
+    return null;
+  }
+
+  const selectedTypes = drawTypeId
+    ? drawTypes.filter(t => String(t.id) === String(drawTypeId))
+    : drawTypes;
+
+  const reports = [];
+
+  for (const [i, drawType] of selectedTypes.entries()) {
+    options.onProgress?.(i, selectedTypes.length, drawType.name);
+    const { data: draws, error: drawsError } = await fetchCleanDraws({ drawTypeId: drawType.id });
+    if (drawsError || !draws || draws.length <= trainingWindow) {
+      console.log(`\n⏭️ ${drawType.name}: ${draws?.length || 0} draws, not enough history`);
+      continue;
+    }
+
+    const weights = options.weights || resolveWeights(brainData, drawType.id);
+    const report = await backtestEnsemble(draws, { ...options, weights, lstmModel });
+    printTypeReport(drawType.name, report);
+    if (!options.weights) console.log(`   Weights: ${formatWeights(weights)}`);
+    reports.push({ drawTypeId: drawType.id, drawTypeName: drawType.name, weights, ...report });
+  }
+
+  if (reports.length === 0) {
+    console.log('\nNo draw type had enough history to backtest.');
+    return null;
+  }
+
+  // Overall ensemble figures across types
+  const totalTests = reports.reduce((sum, r) => sum + r.ensemble.totalTests, 0);
+  const totalMatches = reports.reduce((sum, r) => sum + r.ensemble.totalMatches, 0);
+  const totalWins = reports.reduce((sum, r) => sum + r.ensemble.wins, 0);
+  const significance = evaluateSignificance({ totalHits: totalMatches, totalTests, wins: totalWins });
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`🏁 ${reports.length} types, ${totalTests} predictions`);
+  console.log(`   Ensemble avg matches: ${(totalMatches / totalTests).toFixed(2)}/5`);
+  console.log(`   Ensemble win rate (3+): ${((totalWins / totalTests) * 100).toFixed(2)}%`);
+  console.log(`   vs Random: ${formatSignificance(significance)}`);
+  console.log('═'.repeat(60));
+
+  return { type, trainingWindow, totalTests, significance, reports };
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('walk-forward')) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+
+  runEnsembleBacktest(flag('--type'), {
+    type: args.includes('--machine') ? 'machine' : 'winning',
+    trainingWindow: parseInt(flag('--window')) || 100,
+    maxTests: parseInt(flag('--limit')) || null,
+    byDay: args.includes('--by-day'),
+    lstm: args.includes('--lstm'),
+    betType: flag('--bet'),
+    stake: parseInt(flag('--stake')) || 1,
+    payout: parsePayout(flag('--payout')),
+    bankroll: parseInt(flag('--bankroll')) || null
+  }).catch(console.error);
+}
+
+export default { backtestEnsemble, runEnsembleBacktest, historyFor };
@@ -0,0 +1,333 @@
+/**
+ * Weight Optimizer
+ *
+ * Offline tuner for the ensemble weights. For each draw type it replays the
+ * last N draws walk-forward, splits them chronologically into a training and
+ * a validation part, and runs a coordinate descent on the type's own weights
+ * to maximize training hits. The result is only written back (as a new brain
+ * version) when it also beats the current weights on the validation draws.
+ *
+ * Strategy signals do not depend on the weights, so they are computed once
+ * per draw and every candidate weight vector is scored cheaply on top of them.
+ *
+ * Usage:
+ *   npm run optimize -- --type 3 --window 300 --validation 0.3
+ *   npm run optimize -- --save            # all types, write improved weights
+ *   Flags: --type <id>  --target machine  --window <n>  --validation <share>
+ *          --min-history <n>  --max-evals <n>  --by-day  --save
+ */
+
+import brain, {
+  computeStrategySignals,
+  combineStrategySignals,
+  rankNumberScores,
+  selectBalancedNumbers,
+  loadBrain,
+  blendWeights,
+  resolveWeights
+} from './brain.js';
+import { extractNumbers, tunableKeys } from './strategies.js';
+import { evaluateSignificance } from './significance.js';
+import { historyFor } from './walk-forward.js';
+import { fetchCleanDraws } from './data-quality.js';
+import storage from './storage/index.js';
+
+// Non-tunable strategies (LSTM: not replayed offline) keep their weight
+const TUNABLE_KEYS = tunableKeys();
+const MIN_WEIGHT = 0.01;
+const MAX_WEIGHT = 0.6;
+const STEP_SIZES = [0.08, 0.04, 0.02, 0.01];
+
+// Hits are discrete, so ties are broken by how high the actual numbers rank
+const RANK_TIE_BREAK = 0.01;
+
+// =============================================================================
+// OBJECTIVE
+// =============================================================================
+
+/**
+ * Precompute strategy signals for the draws to replay
+ * @returns {Array<{signals: Object, actual: number[], date: string}>}
+ */
+export function prepareSamples(draws, options = {}) {
+  const { type = 'winning', window = 300, minHistory = 100, byDay = false } = options;
+  const start = Math.max(minHistory, draws.length - window);
+  const samples = [];
+
+  for (let i = start; i < draws.length; i++) {
+    const actual = extractNumbers(draws[i], type);
+    if (actual.length < 5) continue;
+    samples.push({
+      signals: computeStrategySignals(historyFor(draws, i, byDay), type),
+      actual,
+      date: draws[i].draw_date
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Walk-forward hits of a weight vector over precomputed samples
+ */
+export function evaluateWeights(samples, weights) {
+  let totalHits = 0;
+  let rankSum = 0;
+
+  for (const sample of samples) {
+    const ranked = rankNumberScores(combineStrategySignals(sample.signals, weights));
+    const selected = selectBalancedNumbers(ranked, 5).map(n => n.number);
+    totalHits += selected.filter(n => sample.actual.includes(n)).length;
+
+    const positions = new Map(ranked.map((n, idx) => [n.number, idx + 1]));
+    rankSum += sample.actual.reduce((sum, n) => sum + (positions.get(n) || 90), 0) / sample.actual.length;
+  }
+
+  const tests = samples.length;
+  const avgHits = tests ? totalHits / tests : 0;
+  const meanRank = tests ? rankSum / tests : 90;
+
+  return {
+    tests,
+    totalHits,
+    avgHits: parseFloat(avgHits.toFixed(4)),
+    meanRank: parseFloat(meanRank.toFixed(2)),
+    objective: avgHits + RANK_TIE_BREAK * (1 - (meanRank - 1) / 89)
+  };
+}
+
+/**
+ * Chronological split: the most recent share of samples is held out
+ */
+export function splitSamples(samples, validationShare = 0.3) {
+  const cut = Math.round(samples.length * (1 - validationShare));
+  return { train: samples.slice(0, cut), validation: samples.slice(cut) };
+}
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+/**
+ * Keep tunable weights in bounds and summing to 1 minus the fixed ones
+ */
+function normalizeTunable(weights) {
+  const result = { ...weights };
+  const fixedSum = Object.keys(result)
+    .filter(key => !TUNABLE_KEYS.includes(key))
+    .reduce((sum, key) => sum + result[key], 0);
+
+  for (const key of TUNABLE_KEYS) {
+    result[key] = Math.max(MIN_WEIGHT, Math.min(MAX_WEIGHT, result[key] ?? MIN_WEIGHT));
+  }
+  const tunableSum = TUNABLE_KEYS.reduce((sum, key) => sum + result[key], 0);
+  for (const key of TUNABLE_KEYS) {
+    result[key] = (result[key] / tunableSum) * (1 - fixedSum);
+  }
+  return result;
+}
+
+function roundWeights(weights) {
+  const result = {};
+  for (const key in weights) result[key] = parseFloat(weights[key].toFixed(2));
+  return result;
+}
+
+/**
+ * Coordinate descent: move one weight at a time by a shrinking step and keep
+ * any move that improves the objective
+ * @param {Function} objective - weights => number (higher is better)
+ * @param {Object} start - Initial weights
+ */
+export function coordinateDescent(objective, start, options = {}) {
+  const { steps = STEP_SIZES, maxEvals = 400 } = options;
+
+  let best = normalizeTunable(start);
+  let bestScore = objective(best);
+  let evals = 1;
+
+  for (const step of steps) {
+    let improved = true;
+    while (improved && evals < maxEvals) {
+      improved = false;
+      for (const key of TUNABLE_KEYS) {
+        for (const direction of [1, -1]) {
+          if (evals >= maxEvals) break;
+          const candidate = normalizeTunable({ ...best, [key]: best[key] + direction * step });
+          const score = objective(candidate);
+          evals++;
+          if (score > bestScore + 1e-9) {
+            best = candidate;
+            bestScore = score;
+            improved = true;
+          }
+        }
+      }
+    }
+  }
+
+  return { weights: roundWeights(best), evals };
+}
+
+// =============================================================================
+// RUNNER
+// =============================================================================
+
+/**
+ * Optimize the own weights of one draw type
+ * Candidates are scored through the same prior blend predictions use.
+ */
+export function optimizeProfile(samples, prior, ownStart, learnedDraws, options = {}) {
+  const { validationShare = 0.3, maxEvals = 400 } = options;
+  const { train, validation } = splitSamples(samples, validationShare);
+  const effective = (own) => blendWeights(prior, own, learnedDraws);
+
+  const before = {
+    train: evaluateWeights(train, effective(ownStart)),
+    validation: evaluateWeights(validation, effective(ownStart))
+  };
+
+  const search = coordinateDescent(own => evaluateWeights(train, effective(own)).objective, ownStart, { maxEvals });
+
+  const after = {
+    train: evaluateWeights(train, effective(search.weights)),
+    validation: evaluateWeights(validation, effective(search.weights))
+  };
+
+  return {
+    weights: search.weights,
+    effectiveWeights: effective(search.weights),
+    evals: search.evals,
+    before,
+    after,
+    improved: after.validation.avgHits > before.validation.avgHits
+  };
+}
+
+/**
+ * Run the optimizer for one or all draw types
+ * @param {number|null} drawTypeId - null = every type with enough history
+ * @param {Object} options
+ * @param {string} options.type - 'winning' or 'machine'
+ * @param {number} options.window - Most recent draws to replay per type
+ * @param {number} options.validationShare - Held-out share of the replayed draws
+ * @param {number} options.minHistory - Draws required before the first replayed one
+ * @param {number} options.maxEvals - Objective evaluations per type
+ * @param {boolean} options.byDay - Restrict history to the target's weekday
+ * @param {boolean} options.save - Write improved weights as a brain version
+ */
+export async function runOptimizer(drawTypeId = null, options = {}) {
+  const {
+    type = 'winning',
+    window = 300,
+    validationShare = 0.3,
+    minHistory = 100,
+    maxEvals = 400,
+    byDay = false,
+    save = false
+  } = options;
+
+  console.log('🎛️ Ensemble Weight Optimizer (coordinate descent)');
+  console.log('═'.repeat(60));
+  console.log(`   Target: ${type}, window: ${window} draws, validation: ${Math.round(validationShare * 100)}%`);
+  console.log(`   Mode: ${save ? 'save improved weights' : 'dry run'}`);
+
+  const brainData = await loadBrain(type);
+  const prior = resolveWeights(brainData, null);
+
+  const { data: drawTypes, error } = await storage.fetchDrawTypes();
+  if (error) {
+    console.error('Error fetching draw types:', error);
+    return null;
+  }
+
+  const selectedTypes = drawTypeId
+    ? drawTypes.filter(t => String(t.id) === String(drawTypeId))
+    : drawTypes;
+
+  const results = [];
+
+  for (const drawType of selectedTypes) {
+    const key = String(drawType.id);
+    const profile = brainData.profiles?.[key];
+
+    if (!profile || !profile.learnedDraws) {
+      console.log(`\n⏭️ ${drawType.name}: no learned profile yet (run npm run brain:rebuild first)`);
+      continue;
+    }
+
+    const { data: draws, error: drawsError } = await fetchCleanDraws({ drawTypeId: drawType.id });
+    if (drawsError || !draws || draws.length < minHistory + 20) {
+      console.log(`\n⏭️ ${drawType.name}: ${draws?.length || 0} draws, not enough history`);
+      continue;
+    }
+
+    process.stdout.write(`\n🔎 ${drawType.name}: computing signals... `);
+    const samples = prepareSamples(draws, { type, window, minHistory, byDay });
+    console.log(`${samples.length} draws`);
+
+    const result = optimizeProfile(samples, prior, profile.weights, profile.learnedDraws, { validationShare, maxEvals });
+    const significance = evaluateSignificance({
+      totalHits: result.after.validation.totalHits,
+      totalTests: result.after.validation.tests
+    });
+
+    console.log(`   Train:      ${result.before.train.avgHits} → ${result.after.train.avgHits} hits/draw (${result.evals} evaluations)`);
+    console.log(`   Validation: ${result.before.validation.avgHits} → ${result.after.validation.avgHits} hits/draw, p=${significance.pValue} vs random`);
+    console.log(`   Weights: ${Object.entries(result.weights).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    if (brainData.pins?.[key]) {
+      console.log(`   📌 Pinned on v${brainData.pins[key].version}: predictions keep the pinned weights`);
+    }
+
+    let version = null;
+    if (!result.improved) {
+      console.log('   ↩️ No validation gain, current weights kept');
+    } else if (save) {
+      const committed = await brain.commitWeights(type, drawType.id, result.weights, {
+        kind: 'optimizer',
+        method: 'coordinate-descent',
+        window,
+        validationShare,
+        byDay,
+        train: { before: result.before.train.avgHits, after: result.after.train.avgHits },
+        validation: { before: result.before.validation.avgHits, after: result.after.validation.avgHits },
+        pValue: significance.pValue
+      });
+      version = committed.version;
+      console.log(`   ✅ Saved as version ${version}`);
+    } else {
+      console.log('   💡 Validation improved (use --save to write these weights)');
+    }
+
+    results.push({ drawTypeId: drawType.id, drawTypeName: drawType.name, ...result, significance, version });
+  }
+
+  console.log('\n' + '═'.repeat(60));
+  console.log(`🏁 ${results.length} types optimized, ${results.filter(r => r.improved).length} improved on validation`);
+  if (save && results.some(r => r.version)) {
+    console.log('   Restart the server to load the new weights.');
+  }
+
+  return results;
+}
+
+// CLI execution
+if (process.argv[1] && process.argv[1].includes('weight-optimizer')) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const idx = args.indexOf(name);
+    return idx >= 0 ? args[idx + 1] : null;
+  };
+
+  runOptimizer(flag('--type'), {
+    type: args.includes('--machine') || flag('--target') === 'machine' ? 'machine' : 'winning',
+    window: parseInt(flag('--window')) || 300,
+    validationShare: parseFloat(flag('--validation')) || 0.3,
+    minHistory: parseInt(flag('--min-history')) || 100,
+    maxEvals: parseInt(flag('--max-evals')) || 400,
+    byDay: args.includes('--by-day'),
+    save: args.includes('--save')
+  }).catch(console.error);
+}
+
+export default { prepareSamples, evaluateWeights, splitSamples, coordinateDescent, optimizeProfile, runOptimizer };
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { parseCron, runsOn } from '../src/cron.js';
+import { nextCronRun } from '../src/scheduler.js';
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('expands stars, ranges, lists and steps', () => {
+    const cron = parseCron(' */20  6-8 1,15 */3 1-5 ');
+    assert.equal(cron.expression, '*/20 6-8 1,15 */3 1-5');
+    assert.deepEqual(cron.minutes, [0, 20, 40]);
+    assert.deepEqual(cron.hours, [6, 7, 8]);
+    assert.deepEqual(sorted(cron.daysOfMonth), [1, 15]);
+    assert.deepEqual(sorted(cron.months), [1, 4, 7, 10]);
+    assert.deepEqual(sorted(cron.daysOfWeek), [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDayOfMonth, false);
+    assert.equal(cron.anyDayOfWeek, false);
+  });
+
+  it('runs a stepped start to the end of the range', () => {
+    assert.deepEqual(parseCron('5/15 3 * * *').minutes, [5, 20, 35, 50]);
+    assert.deepEqual(parseCron('0 0-23/10 * * *').hours, [0, 10, 20]);
+  });
+
+  it('accepts 7 for Sunday', () => {
+    assert.deepEqual(sorted(parseCron('0 3 * * 7').daysOfWeek), [0, 7]);
+  });
+
+  it('sorts and deduplicates minutes and hours', () => {
+    const cron = parseCron('30,0,30 12,6 * * *');
+    assert.deepEqual(cron.minutes, [0, 30]);
+    assert.deepEqual(cron.hours, [6, 12]);
+  });
+
+  it('rejects invalid expressions', () => {
+    for (const expression of ['', '0 3 * *', '0 3 * * * *', '60 3 * * *', '0 24 * * *', '0 3 0 * *',
+      '0 3 * 13 *', '0 3 * * 8', '0 5-1 * * *', '*/0 3 * * *', '0 3 * * mon', '0 3,,4 * * *']) {
+      assert.throws(() => parseCron(expression), /^Error: Invalid/, expression);
+    }
+  });
+});
+
+describe('runsOn', () => {
+  it('requires both day fields when one of them is a star', () => {
+    const weekdays = parseCron('0 3 * * 1-5');
+    assert.equal(runsOn(weekdays, '2026-10-19', 1), true);
+    assert.equal(runsOn(weekdays, '2026-10-18', 0), false);
+
+    const firstOfMonth = parseCron('0 3 1 * *');
+    assert.equal(runsOn(firstOfMonth, '2026-11-01', 0), true);
+    assert.equal(runsOn(firstOfMonth, '2026-11-02', 1), false);
+  });
+
+  it('runs on either day field when both are restricted', () => {
+    const cron = parseCron('0 3 1 * 1');
+    assert.equal(runsOn(cron, '2026-11-01', 0), true);
+    assert.equal(runsOn(cron, '2026-10-19', 1), true);
+    assert.equal(runsOn(cron, '2026-10-20', 2), false);
+  });
+
+  it('checks the month', () => {
+    assert.equal(runsOn(parseCron('0 3 * 1,7 *'), '2026-10-19', 1), false);
+  });
+});
+
+describe('nextCronRun', () => {
+  const catalog = (timezone) => ({ metadata: { timezone }, drawTypes: [], exceptions: [] });
+
+  it('returns the next run strictly after the instant', () => {
+    const abidjan = catalog('Africa/Abidjan');
+    assert.equal(nextCronRun('0 3 * * *', new Date('2026-10-19T02:59:00Z'), abidjan).toISOString(), '2026-10-19T03:00:00.000Z');
+    assert.equal(nextCronRun('0 3 * * *', new Date('2026-10-19T03:00:00Z'), abidjan).toISOString(), '2026-10-20T03:00:00.000Z');
+    assert.equal(nextCronRun('30 9 * * 1', new Date('2026-10-19T10:00:00Z'), abidjan).toISOString(), '2026-10-26T09:30:00.000Z');
+  });
+
+  it('evaluates the expression in the calendar time zone', () => {
+    const paris = catalog('Europe/Paris');
+    assert.equal(nextCronRun('0 12 * * *', new Date('2025-03-29T12:00:00Z'), paris).toISOString(), '2025-03-30T10:00:00.000Z');
+    assert.equal(nextCronRun('0 12 * * *', new Date('2025-10-25T12:00:00Z'), paris).toISOString(), '2025-10-26T11:00:00.000Z');
+  });
+});
@@ -0,0 +1,97 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  canonicalName, findCatalogEntry, findStoredType, isActiveOn, normalizeName, slotsFor, validateCatalog
+} from '../src/draw-catalog.js';
+
+const catalog = {
+  metadata: { timezone: 'Africa/Abidjan' },
+  drawTypes: [
+    { name: 'Réveil', category: 'classic', aliases: ['Reveil 10h', 'Morning'], slots: [{ day: 1, hour: 10, minute: 0 }] },
+    {
+      name: 'Digital 21h', category: 'digital', aliases: ['Digital 21H00'],
+      slots: [{ day: 1, hour: 21, minute: 0 }],
+      slotChanges: [
+        { effectiveFrom: '2025-01-01', slots: [{ day: 2, hour: 21, minute: 0 }] },
+        { effectiveFrom: '2025-06-01', slots: [{ day: 3, hour: 21, minute: 0 }] }
+      ],
+      activeFrom: '2024-06-01',
+      activeTo: '2025-12-31'
+    }
+  ],
+  exceptions: []
+};
+
+describe('normalizeName', () => {
+  it('ignores accents, case and extra spaces', () => {
+    assert.equal(normalizeName('  Réveil   10H '), 'reveil 10h');
+  });
+});
+
+describe('canonicalName', () => {
+  it('resolves aliases whatever their spelling', () => {
+    assert.equal(canonicalName('reveil 10H', catalog), 'Réveil');
+    assert.equal(canonicalName('REVEIL', catalog), 'Réveil');
+    assert.equal(findCatalogEntry('digital 21h00', catalog).category, 'digital');
+  });
+
+  it('keeps unknown names as given, trimmed', () => {
+    assert.equal(canonicalName(' Lucky 7 ', catalog), 'Lucky 7');
+    assert.equal(findCatalogEntry('Lucky 7', catalog), null);
+  });
+});
+
+describe('findStoredType', () => {
+  it('prefers the row named after the canonical name', () => {
+    const types = [{ id: 1, name: 'Morning' }, { id: 2, name: 'Reveil' }];
+    assert.equal(findStoredType(types, 'Reveil 10h', catalog).id, 2);
+  });
+
+  it('falls back to a row named after an alias', () => {
+    assert.equal(findStoredType([{ id: 1, name: 'Morning' }], 'Réveil', catalog).id, 1);
+  });
+
+  it('returns null when no row belongs to the game', () => {
+    assert.equal(findStoredType([{ id: 1, name: 'Digital 21h' }], 'Réveil', catalog), null);
+  });
+});
+
+describe('isActiveOn and slotsFor', () => {
+  const digital = catalog.drawTypes[1];
+
+  it('bounds a game to its active dates, both included', () => {
+    assert.equal(isActiveOn(digital, '2024-05-31'), false);
+    assert.equal(isActiveOn(digital, '2024-06-01'), true);
+    assert.equal(isActiveOn(digital, '2025-12-31'), true);
+    assert.equal(isActiveOn(digital, '2026-01-01'), false);
+    assert.equal(isActiveOn(catalog.drawTypes[0], '1990-01-01'), true);
+  });
+
+  it('applies the latest schedule change effective on the date', () => {
+    assert.equal(slotsFor(digital, '2024-12-31')[0].day, 1);
+    assert.equal(slotsFor(digital, '2025-01-01')[0].day, 2);
+    assert.equal(slotsFor(digital, '2025-07-14')[0].day, 3);
+  });
+});
+
+describe('validateCatalog', () => {
+  it('accepts a consistent catalog', () => {
+    assert.equal(validateCatalog(catalog), catalog);
+  });
+
+  it('lists every problem found', () => {
+    const broken = {
+      drawTypes: [
+        { name: 'A', category: 'weekly', aliases: ['réveil'], slots: [{ day: 7, hour: 10, minute: 0 }] },
+        { name: 'Reveil', category: 'classic', activeFrom: '2025-02-01', activeTo: '2025-01-01' }
+      ]
+    };
+    assert.throws(() => validateCatalog(broken), (error) => {
+      assert.match(error.message, /category "weekly"/);
+      assert.match(error.message, /"Reveil" is used by both A and Reveil/);
+      assert.match(error.message, /invalid slot/);
+      assert.match(error.message, /activeFrom is after activeTo/);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { betOdds, getBetType, lineCount, settleBet, validateTicket, withPayout } from '../src/game-rules.js';
+
+const drawn = [7, 21, 34, 58, 90];
+
+describe('getBetType', () => {
+  it('defaults to the 5-number ticket and rejects unknown ids', () => {
+    assert.equal(getBetType().id, 'cinq');
+    assert.equal(getBetType('perm3').combination, 3);
+    assert.throws(() => getBetType('loto'), /Unknown bet type "loto"/);
+  });
+});
+
+describe('lineCount', () => {
+  it('counts one line per combination of a perm', () => {
+    assert.equal(lineCount(getBetType('perm2')), 6);
+    assert.equal(lineCount(getBetType('perm2'), 10), 45);
+    assert.equal(lineCount(getBetType('perm3'), 4), 4);
+    assert.equal(lineCount(getBetType('troisSurs')), 1);
+  });
+});
+
+describe('validateTicket', () => {
+  it('accepts a ticket of the right size', () => {
+    assert.doesNotThrow(() => validateTicket(getBetType('cinq'), [1, 2, 3, 4, 90]));
+    assert.doesNotThrow(() => validateTicket(getBetType('perm2'), [1, 2, 3]));
+  });
+
+  it('rejects out-of-range, fractional and repeated numbers', () => {
+    const bet = getBetType('deuxSurs');
+    assert.throws(() => validateTicket(bet, [0, 5]), /between 1 and 90/);
+    assert.throws(() => validateTicket(bet, [5, 91]), /between 1 and 90/);
+    assert.throws(() => validateTicket(bet, [5, 6.5]), /between 1 and 90/);
+    assert.throws(() => validateTicket(bet, '5,6'), /between 1 and 90/);
+    assert.throws(() => validateTicket(bet, [5, 5]), /distinct/);
+  });
+
+  it('rejects tickets of the wrong size', () => {
+    assert.throws(() => validateTicket(getBetType('poto'), [1, 2]), /takes exactly 1 number$/);
+    assert.throws(() => validateTicket(getBetType('troisSurs'), [1, 2]), /takes exactly 3 numbers/);
+    assert.throws(() => validateTicket(getBetType('perm3'), [1, 2, 3]), /takes 4 to 10 numbers/);
+    assert.throws(() => validateTicket(getBetType('perm2'), Array.from({ length: 11 }, (_, i) => i + 1)), /takes 3 to 10/);
+  });
+});
+
+describe('settleBet', () => {
+  it('pays the Poto only on the first number drawn', () => {
+    const bet = getBetType('poto');
+    assert.deepEqual(settleBet(bet, [7], drawn, 100), { lines: 1, cost: 100, winningLines: 1, hits: 1, payout: 7000, net: 6900 });
+    assert.equal(settleBet(bet, [21], drawn).payout, 0);
+  });
+
+  it('pays a sure bet only when every number is drawn', () => {
+    const bet = getBetType('troisSurs');
+    assert.equal(settleBet(bet, [90, 7, 34], drawn).payout, 8000);
+    assert.deepEqual(settleBet(bet, [90, 7, 35], drawn), { lines: 1, cost: 1, winningLines: 0, hits: 2, payout: 0, net: -1 });
+  });
+
+  it('pays every perm line made of drawn numbers', () => {
+    const bet = getBetType('perm2');
+    const result = settleBet(bet, [7, 21, 34, 1, 2], drawn, 10);
+    assert.deepEqual(result, { lines: 10, cost: 100, winningLines: 3, hits: 3, payout: 9000, net: 8900 });
+    assert.equal(settleBet(bet, [7, 1, 2], drawn).winningLines, 0);
+  });
+
+  it('pays a 5-number ticket by number of matches', () => {
+    const bet = getBetType('cinq');
+    assert.equal(settleBet(bet, drawn, drawn).payout, 5000);
+    assert.equal(settleBet(bet, [7, 21, 34, 58, 1], drawn).payout, 500);
+    assert.equal(settleBet(bet, [7, 21, 1, 2, 3], drawn).payout, 5);
+    assert.deepEqual(settleBet(bet, [7, 1, 2, 3, 4], drawn, 200), { lines: 1, cost: 200, winningLines: 0, hits: 1, payout: 0, net: -200 });
+  });
+
+  it('uses a custom payout table', () => {
+    assert.equal(settleBet(withPayout(getBetType('cinq'), { 2: 10 }), [7, 21, 1, 2, 3], drawn).payout, 10);
+    assert.equal(settleBet(withPayout(getBetType('poto'), 80), [7], drawn).payout, 80);
+  });
+});
+
+describe('betOdds', () => {
+  it('matches the pool odds of a random ticket', () => {
+    assert.equal(betOdds(getBetType('poto')).winProbability, 1 / 90);
+    // C(5,3) / C(90,3): the 3 numbers are among the 5 drawn
+    assert.ok(Math.abs(betOdds(getBetType('troisSurs')).winProbability - 1 / 11748) < 1e-9);
+  });
+});
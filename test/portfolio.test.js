@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildPortfolio, designGuarantees, greedyDesign } from '../src/portfolio.js';
+
+const popcount = (a, b) => a.filter(n => b.includes(n)).length;
+
+describe('greedyDesign', () => {
+  it('covers every pool number before pairing them again', () => {
+    const design = greedyDesign([1, 0.9, 0.8, 0.7, 0.6, 0.5], { tickets: 2, size: 3, maxOverlap: 1 });
+    assert.deepEqual(design.flat().sort(), [0, 1, 2, 3, 4, 5]);
+  });
+
+  it('keeps tickets distinct and within the overlap limit', () => {
+    const design = greedyDesign([1, 0.9, 0.8, 0.7, 0.6, 0.5, 0.5, 0.5], { tickets: 4, size: 3, maxOverlap: 1 });
+    assert.equal(design.length, 4);
+    design.forEach(ticket => assert.equal(new Set(ticket).size, 3));
+    for (let i = 0; i < design.length; i++) {
+      for (let j = i + 1; j < design.length; j++) {
+        assert.ok(popcount(design[i], design[j]) <= 1, `${design[i]} / ${design[j]}`);
+      }
+    }
+  });
+
+  it('puts the strongest numbers on the first ticket', () => {
+    const [first] = greedyDesign([1, 0.9, 0.8, 0.2, 0.1, 0.1], { tickets: 1, size: 3, maxOverlap: 2 });
+    assert.deepEqual(first, [0, 1, 2]);
+  });
+
+  it('stops early when the overlap limit leaves no candidate', () => {
+    const design = greedyDesign([1, 1, 1, 1, 1, 1], { tickets: 10, size: 3, maxOverlap: 0 });
+    assert.deepEqual(design, [[0, 1, 2], [3, 4, 5]]);
+  });
+});
+
+describe('designGuarantees', () => {
+  it('guarantees every drawn number with a single ticket on the whole pool', () => {
+    assert.deepEqual(designGuarantees([[0, 1, 2, 3, 4]], 5).map(g => g.guaranteed), [1, 2, 3, 4, 5]);
+  });
+
+  it('reports the worst case and the average best ticket', () => {
+    const guarantees = designGuarantees([[0, 1, 2, 3, 4], [1, 2, 3, 4, 5]], 6);
+    assert.deepEqual(guarantees.map(g => g.guaranteed), [1, 1, 2, 3, 4]);
+    // Of the 15 pairs only {0, 5} is split over both tickets
+    assert.equal(guarantees[1].averageBest, 1.93);
+  });
+});
+
+describe('buildPortfolio', () => {
+  const scores = Object.fromEntries(Array.from({ length: 90 }, (_, i) => [i + 1, 90 - i]));
+
+  it('spreads the top-ranked numbers over the tickets', () => {
+    const portfolio = buildPortfolio(scores, { tickets: 2, size: 3, pool: 6 });
+    assert.deepEqual(portfolio.tickets.flat().sort((a, b) => a - b), [1, 2, 3, 4, 5, 6]);
+    assert.equal(portfolio.coverage[0].rate, 100);
+    assert.equal(portfolio.complete, true);
+  });
+
+  it('rejects formats outside the limits', () => {
+    assert.throws(() => buildPortfolio(scores, { tickets: 0 }), /tickets must be between/);
+    assert.throws(() => buildPortfolio(scores, { size: 6 }), /size must be one of/);
+    assert.throws(() => buildPortfolio(scores, { size: 5, pool: 4 }), /pool must be between/);
+    assert.throws(() => buildPortfolio(scores, { size: 3, maxOverlap: 3 }), /maxOverlap must be between/);
+  });
+});
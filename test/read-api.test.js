@@ -0,0 +1,76 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { findReadResource, parseReadQuery } from '../src/read-api.js';
+
+const draws = findReadResource('/api/draws');
+const query = (resource, search) => parseReadQuery(resource, new URLSearchParams(search));
+const rejects = (resource, search, pattern) =>
+  assert.throws(() => query(resource, search), error => error.status === 400 && pattern.test(error.message));
+
+describe('findReadResource', () => {
+  it('serves only the declared paths', () => {
+    assert.equal(draws.table, 'draws');
+    assert.equal(findReadResource('/api/predictions'), null);
+    assert.equal(findReadResource('/api/draws/1'), null);
+  });
+});
+
+describe('parseReadQuery', () => {
+  it('applies the resource defaults', () => {
+    assert.deepEqual(query(draws, ''), {
+      columns: draws.columns.join(','),
+      eq: {}, gte: {}, lte: {},
+      order: 'draw_date',
+      ascending: false,
+      limit: 100,
+      offset: 0,
+      count: true
+    });
+  });
+
+  it('maps filters to their column and operator', () => {
+    const options = query(draws, 'type=3&day=0&from=2025-01-01&to=2025-06-30');
+    assert.deepEqual(options.eq, { draw_type_id: 3, day_of_week: 0 });
+    assert.deepEqual(options.gte, { draw_date: '2025-01-01' });
+    assert.deepEqual(options.lte, { draw_date: '2025-06-30' });
+  });
+
+  it('ignores empty and undeclared parameters', () => {
+    const options = query(draws, 'type=&select=*&winning_number_1=5');
+    assert.deepEqual(options.eq, {});
+  });
+
+  it('selects fields, order and page', () => {
+    const options = query(draws, 'fields=id, draw_date&order=id.asc&limit=2000&offset=40');
+    assert.equal(options.columns, 'id,draw_date');
+    assert.equal(options.order, 'id');
+    assert.equal(options.ascending, true);
+    assert.equal(options.limit, 2000);
+    assert.equal(options.offset, 40);
+    assert.equal(query(draws, 'order=id').ascending, true);
+  });
+
+  it('rejects unknown fields and sort columns', () => {
+    rejects(draws, 'fields=id,password', /Unknown field\(s\): password/);
+    rejects(draws, 'order=winning_number_1.desc', /^order must be/);
+    rejects(draws, 'order=id.up', /^order must be/);
+  });
+
+  it('rejects out-of-range paging', () => {
+    rejects(draws, 'limit=0', /^limit must be an integer between 1 and 2000/);
+    rejects(draws, 'limit=2001', /^limit must be/);
+    rejects(draws, 'limit=ten', /^limit must be/);
+    rejects(draws, 'offset=-1', /^offset must be/);
+    rejects(draws, 'offset=1.5', /^offset must be/);
+  });
+
+  it('rejects malformed filter values', () => {
+    rejects(draws, 'day=7', /^day must be an integer between 0 and 6/);
+    rejects(draws, 'from=01/02/2025', /^from must be a YYYY-MM-DD date/);
+    rejects(findReadResource('/api/frequencies'), 'number=91', /^number must be an integer between 1 and 90/);
+  });
+
+  it('passes text filters through', () => {
+    assert.deepEqual(query(findReadResource('/api/patterns'), 'kind=hot_numbers').eq, { pattern_type: 'hot_numbers' });
+  });
+});
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { diffDraws, monthRange } from '../src/reingest.js';
+
+describe('monthRange', () => {
+  it('lists the months across a year boundary', () => {
+    assert.deepEqual(monthRange('2024-11', '2025-02'), ['2024-11', '2024-12', '2025-01', '2025-02']);
+  });
+
+  it('returns a single month when both ends are equal', () => {
+    assert.deepEqual(monthRange('2025-06', '2025-06'), ['2025-06']);
+  });
+
+  it('rejects malformed or reversed ranges', () => {
+    assert.throws(() => monthRange('2025-6', '2025-07'), /YYYY-MM/);
+    assert.throws(() => monthRange('2025-07', '2025-06'), /is after/);
+  });
+});
+
+describe('diffDraws', () => {
+  const draw = (date, numbers, extra = {}) => ({
+    draw_type_id: 1,
+    draw_name: 'Digital 21h',
+    draw_date: date,
+    month_year: date.slice(0, 7),
+    raw_winning_numbers: numbers.join(' - '),
+    ...Object.fromEntries(numbers.map((n, i) => [`winning_number_${i + 1}`, n])),
+    ...extra
+  });
+  const row = (id, date, numbers, extra = {}) => ({ id, ...draw(date, numbers), ...extra });
+  const scope = new Set(['2025-03']);
+
+  it('counts identical draws as unchanged', () => {
+    const diff = diffDraws([draw('2025-03-01', [1, 2, 3, 4, 5])], [row(7, '2025-03-01', [1, 2, 3, 4, 5])], scope);
+    assert.deepEqual(diff, { inserts: [], updates: [], deletes: [], unchanged: 1 });
+  });
+
+  it('updates a stored draw whose numbers changed', () => {
+    const diff = diffDraws(
+      [draw('2025-03-01', [1, 2, 3, 4, 5], { machine_number_1: 9 })],
+      [row(7, '2025-03-01', [1, 2, 3, 4, 5])],
+      scope
+    );
+    assert.equal(diff.updates.length, 1);
+    assert.equal(diff.updates[0].id, 7);
+    assert.deepEqual(diff.updates[0].changes, { machine_number_1: { from: null, to: 9 } });
+  });
+
+  it('inserts new draws and deletes stored ones missing from an ingested month only', () => {
+    const diff = diffDraws(
+      [draw('2025-03-02', [6, 7, 8, 9, 10])],
+      [row(7, '2025-03-05', [1, 2, 3, 4, 5]), row(8, '2025-04-01', [1, 2, 3, 4, 5])],
+      scope
+    );
+    assert.deepEqual(diff.inserts.map(d => d.draw_date), ['2025-03-02']);
+    assert.deepEqual(diff.deletes.map(d => d.id), [7]);
+  });
+
+  it('matches several results of a type on one date by their raw numbers', () => {
+    const diff = diffDraws(
+      [draw('2025-03-01', [6, 7, 8, 9, 10]), draw('2025-03-01', [1, 2, 3, 4, 5])],
+      [row(7, '2025-03-01', [1, 2, 3, 4, 5]), row(8, '2025-03-01', [6, 7, 8, 9, 10])],
+      scope
+    );
+    assert.equal(diff.unchanged, 2);
+    assert.equal(diff.updates.length + diff.inserts.length + diff.deletes.length, 0);
+  });
+
+  it('keeps the copy of a draw from its own month and ignores the neighbour month label', () => {
+    const own = draw('2025-03-31', [1, 2, 3, 4, 5]);
+    const spillover = draw('2025-03-31', [1, 2, 3, 4, 5], { spillover: true, month_year: '2025-04' });
+    const diff = diffDraws([spillover, own], [], scope);
+    assert.equal(diff.inserts.length, 1);
+    assert.equal(diff.inserts[0].spillover, undefined);
+
+    const labelOnly = diffDraws([spillover], [row(7, '2025-03-31', [1, 2, 3, 4, 5])], scope);
+    assert.equal(labelOnly.unchanged, 1);
+  });
+
+  it('groups draws of a type not stored yet by canonical name', () => {
+    const fresh = { ...draw('2025-03-01', [1, 2, 3, 4, 5]), draw_type_id: null };
+    const diff = diffDraws([fresh, { ...fresh, draw_name: 'digital 21h' }], [], scope);
+    assert.equal(diff.inserts.length, 1);
+  });
+});
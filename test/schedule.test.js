@@ -0,0 +1,96 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  addDays, countdown, dayOfWeek, drawInstanceByKey, drawStatus, drawsOn, nextDraws, previousDraws, zonedParts, zonedTime
+} from '../src/schedule.js';
+
+const everyDay = (hour, minute = 0) => [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, hour, minute }));
+
+const catalog = (timezone, extra = {}) => ({
+  metadata: { timezone },
+  drawTypes: [
+    { name: 'Morning', category: 'classic', aliases: ['Reveil'], slots: everyDay(10) },
+    { name: 'Digital 21h', category: 'digital', aliases: [], slots: everyDay(21) }
+  ],
+  exceptions: [],
+  ...extra
+});
+
+describe('zonedTime', () => {
+  it('converts wall-clock times on both sides of the spring DST change', () => {
+    assert.equal(zonedTime('2025-03-29', 12, 0, 'Europe/Paris').toISOString(), '2025-03-29T11:00:00.000Z');
+    assert.equal(zonedTime('2025-03-30', 12, 0, 'Europe/Paris').toISOString(), '2025-03-30T10:00:00.000Z');
+  });
+
+  it('converts wall-clock times on both sides of the autumn DST change', () => {
+    assert.equal(zonedTime('2025-10-25', 21, 0, 'Europe/Paris').toISOString(), '2025-10-25T19:00:00.000Z');
+    assert.equal(zonedTime('2025-10-26', 21, 0, 'Europe/Paris').toISOString(), '2025-10-26T20:00:00.000Z');
+    assert.equal(zonedTime('2025-11-02', 9, 30, 'America/New_York').toISOString(), '2025-11-02T14:30:00.000Z');
+  });
+
+  it('round-trips with zonedParts', () => {
+    const instant = zonedTime('2026-10-19', 21, 15, 'Africa/Abidjan');
+    assert.equal(instant.toISOString(), '2026-10-19T21:15:00.000Z');
+    assert.deepEqual(zonedParts(instant, 'Africa/Abidjan'), { date: '2026-10-19', day: 1, hour: 21, minute: 15 });
+  });
+});
+
+describe('calendar dates', () => {
+  it('adds days across months and years', () => {
+    assert.equal(addDays('2024-12-31', 1), '2025-01-01');
+    assert.equal(addDays('2024-03-01', -1), '2024-02-29');
+    assert.equal(dayOfWeek('2026-10-19'), 1);
+  });
+});
+
+describe('nextDraws and previousDraws', () => {
+  it('keeps the local draw time across the DST change', () => {
+    const draws = nextDraws(new Date('2025-03-29T20:00:00Z'), 3, catalog('Europe/Paris'));
+    assert.deepEqual(draws.map(d => d.key), ['2025-03-29|Digital 21h', '2025-03-30|Morning', '2025-03-30|Digital 21h']);
+    assert.deepEqual(draws.map(d => d.at.toISOString()),
+      ['2025-03-29T20:00:00.000Z', '2025-03-30T08:00:00.000Z', '2025-03-30T19:00:00.000Z']);
+  });
+
+  it('includes a draw starting at the instant and moves on to the next day', () => {
+    const from = new Date('2026-10-19T21:00:00Z');
+    assert.deepEqual(nextDraws(from, 2, catalog('Africa/Abidjan')).map(d => d.key),
+      ['2026-10-19|Digital 21h', '2026-10-20|Morning']);
+  });
+
+  it('lists previous draws most recent first', () => {
+    const draws = previousDraws(new Date('2026-10-19T12:00:00Z'), 3, catalog('Africa/Abidjan'));
+    assert.deepEqual(draws.map(d => d.key), ['2026-10-19|Morning', '2026-10-18|Digital 21h', '2026-10-18|Morning']);
+  });
+
+  it('applies cancelled and added draws of exception dates', () => {
+    const withExceptions = catalog('Africa/Abidjan', {
+      exceptions: [{ date: '2026-10-20', cancel: ['Reveil'], add: [{ name: 'Digital 21h', hour: 23, minute: 0 }] }]
+    });
+    assert.deepEqual(drawsOn('2026-10-20', withExceptions).map(d => `${d.name} ${d.time}`),
+      ['Digital 21h 21:00', 'Digital 21h 23:00']);
+  });
+
+  it('skips games outside their active dates', () => {
+    const retired = catalog('Africa/Abidjan');
+    retired.drawTypes[0].activeTo = '2026-10-19';
+    assert.deepEqual(drawsOn('2026-10-20', retired).map(d => d.name), ['Digital 21h']);
+  });
+});
+
+describe('draw instances', () => {
+  const abidjan = catalog('Africa/Abidjan');
+
+  it('resolves a key, aliases included', () => {
+    assert.equal(drawInstanceByKey('2026-10-19|Reveil', abidjan).key, '2026-10-19|Morning');
+    assert.equal(drawInstanceByKey('19/10/2026|Morning', abidjan), null);
+  });
+
+  it('reports status and countdown around the draw time', () => {
+    const draw = drawInstanceByKey('2026-10-19|Digital 21h', abidjan);
+    assert.equal(drawStatus(draw, new Date('2026-10-19T20:59:00Z')), 'upcoming');
+    assert.equal(drawStatus(draw, new Date('2026-10-19T21:05:00Z')), 'live');
+    assert.equal(drawStatus(draw, new Date('2026-10-19T21:30:00Z')), 'finished');
+    assert.deepEqual(countdown(draw, new Date('2026-10-19T19:45:00Z')), { hours: 1, minutes: 15 });
+    assert.equal(countdown(draw, new Date('2026-10-19T21:00:00Z')), null);
+  });
+});
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { describe, it } from 'node:test';
+import { extractDraws, toDrawRecord } from '../src/scraper.js';
+
+// Archived response (see scrape-archive.js) and the draws it must yield
+const readFixture = (name) => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+const response = readFixture('janvier-2025.json');
+const expected = readFixture('janvier-2025.expected.json');
+
+describe('extractDraws', () => {
+  const draws = extractDraws(response.body.drawsResultsWeekly, response.monthYear);
+
+  it('reproduces the recorded extraction', () => {
+    assert.deepEqual(draws, expected);
+  });
+
+  it('dates the December days of a January page in the previous year', () => {
+    assert.deepEqual([...new Set(draws.map(d => d.draw_date))], ['2024-12-30', '2024-12-31', '2025-01-02']);
+    assert.deepEqual(draws.map(d => d.week_of_year), [1, 1, 1, 1, 1]);
+  });
+
+  it('skips placeholders, pending results and incomplete number lists', () => {
+    const names = draws.map(d => d.draw_name);
+    assert.ok(!names.includes('-'));
+    assert.ok(!names.includes('Etoile'));
+    assert.ok(!names.includes('Midweek'));
+    assert.ok(!names.includes('Baraka'));
+    assert.equal(names.filter(n => n === 'Fortune').length, 1);
+  });
+
+  it('keeps the draw without usable machine numbers', () => {
+    const fortune = draws.find(d => d.draw_name === 'Fortune');
+    assert.equal(fortune.machine_number_1, null);
+    assert.equal(fortune.raw_machine_numbers, '70 - 4 - 19 - 26');
+  });
+
+  it('returns nothing for a missing or malformed page', () => {
+    assert.deepEqual(extractDraws(undefined, 'janvier 2025'), []);
+    assert.deepEqual(extractDraws({ drawResultsDaily: [] }, 'janvier 2025'), []);
+    assert.deepEqual(extractDraws([{ drawResultsDaily: [] }], 'janvier 2025'), []);
+  });
+});
+
+describe('toDrawRecord', () => {
+  it('maps an extracted draw to a draws row', () => {
+    const [draw] = extractDraws(response.body.drawsResultsWeekly, response.monthYear);
+    const record = toDrawRecord(draw, 4);
+    assert.equal(record.draw_type_id, 4);
+    assert.equal(record.draw_name, undefined);
+    assert.equal(record.winning_number_1, 66);
+    assert.equal(record.raw_winning_numbers, '66 - 24 - 16 - 42 - 74');
+  });
+});
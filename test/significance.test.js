@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  RANDOM_EXPECTED_HITS, binomialPValue, evaluateSignificance, hitsPValue, randomHitDistribution, wilsonInterval
+} from '../src/significance.js';
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≉ ${expected}`);
+
+describe('randomHitDistribution', () => {
+  it('is the hypergeometric pmf of 5 picks against 5 numbers out of 90', () => {
+    const pmf = randomHitDistribution();
+    assert.equal(pmf.length, 6);
+    close(pmf.reduce((a, b) => a + b, 0), 1);
+    close(pmf.reduce((sum, p, k) => sum + p * k, 0), RANDOM_EXPECTED_HITS);
+    close(pmf[5], 1 / 43949268);
+  });
+});
+
+describe('hitsPValue', () => {
+  const pmf = randomHitDistribution();
+
+  it('is 1 with no tests or no hits needed', () => {
+    assert.equal(hitsPValue(3, 0), 1);
+    close(hitsPValue(0, 20), 1);
+    assert.equal(hitsPValue(-3, 2), 1);
+  });
+
+  it('is the exact tail for a single ticket', () => {
+    close(hitsPValue(1, 1), 1 - pmf[0]);
+    close(hitsPValue(5, 1), pmf[5]);
+    assert.equal(hitsPValue(6, 1), 0);
+  });
+
+  it('convolves the pmf over several tickets', () => {
+    // Two tickets: 2+ hits = 1 - P(0,0) - P(0,1) - P(1,0)
+    close(hitsPValue(2, 2), 1 - pmf[0] ** 2 - 2 * pmf[0] * pmf[1]);
+  });
+
+  it('decreases as the observed hits grow', () => {
+    const values = [250, 278, 300, 320].map(hits => hitsPValue(hits, 1000));
+    values.slice(1).forEach((value, i) => assert.ok(value < values[i]));
+  });
+
+  it('agrees with the normal approximation past the exact range', () => {
+    // 1000 tests are convolved, 1001 use the normal approximation
+    for (const hits of [278, 300, 320]) {
+      close(hitsPValue(hits, 1000), hitsPValue(hits, 1001), 0.015);
+    }
+  });
+});
+
+describe('binomialPValue and wilsonInterval', () => {
+  it('computes the binomial upper tail', () => {
+    close(binomialPValue(1, 10, 0.1), 1 - 0.9 ** 10);
+    assert.equal(binomialPValue(0, 10, 0.1), 1);
+    assert.equal(binomialPValue(11, 10, 0.1), 0);
+  });
+
+  it('bounds the interval to [0, 1]', () => {
+    assert.deepEqual(wilsonInterval(0, 0), [0, 1]);
+    assert.equal(wilsonInterval(0, 10)[0], 0);
+    const [low, high] = wilsonInterval(5, 10);
+    close(low + high, 1);
+  });
+});
+
+describe('evaluateSignificance', () => {
+  it('reports insufficient data without tests', () => {
+    const result = evaluateSignificance({});
+    assert.equal(result.verdict, 'insufficient data');
+    assert.equal(result.pValue, null);
+  });
+
+  it('calls a random-looking record consistent with random', () => {
+    const result = evaluateSignificance({ totalHits: 28, totalTests: 100 });
+    assert.equal(result.significant, false);
+    assert.equal(result.verdict, 'consistent with random');
+    assert.ok(result.ci95[0] < RANDOM_EXPECTED_HITS && RANDOM_EXPECTED_HITS < result.ci95[1]);
+  });
+
+  it('applies the Bonferroni correction and reports the win rate', () => {
+    const result = evaluateSignificance({ totalHits: 60, totalTests: 100, wins: 3 }, 4);
+    assert.equal(result.alpha, 0.0125);
+    assert.equal(result.significant, true);
+    assert.equal(result.lift, 2.16);
+    assert.equal(result.winRate.observed, 0.03);
+  });
+});